@@ -0,0 +1,216 @@
+const core = require('@actions/core');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { DependencyResolver } = require('../scanners/dependency-resolver');
+const { RepositoryClient } = require('./repository-client');
+const { RepositoryLayout } = require('./repository-layout');
+
+/**
+ * Deploys module publications to JFrog Artifactory and publishes their build-info
+ *
+ * Each file is first deployed by checksum, so Artifactory can reuse content it
+ * already stores, and uploaded only when the checksum is unknown. Files carry
+ * the build and commit as properties, linking them to the published build.
+ */
+class ArtifactoryDeployer {
+  constructor(validatedInputs, dependencyResolver = new DependencyResolver(validatedInputs)) {
+    this.validatedInputs = validatedInputs;
+    this.deployUrl = (validatedInputs.deployUrl || '').replace(/\/+$/, '');
+    this.releaseRepository = validatedInputs.artifactoryReleaseRepository || 'libs-release-local';
+    this.snapshotRepository =
+      validatedInputs.artifactorySnapshotRepository || 'libs-snapshot-local';
+    this.dependencyResolver = dependencyResolver;
+    this.buildInfoVersion = '1.0.1';
+    this.client = new RepositoryClient(validatedInputs);
+    this.layout = new RepositoryLayout();
+  }
+
+  /**
+   * Deploy the publications and publish the build-info of the run, returning
+   * each uploaded file and its URL
+   */
+  async deploy(publications, eventContext = {}) {
+    const build = this.getBuild(eventContext);
+    const files = [];
+    const modules = [];
+
+    for (const publication of publications) {
+      const repository = this.layout.isSnapshot(publication.version)
+        ? this.snapshotRepository
+        : this.releaseRepository;
+      core.info(
+        `📦 Deploying ${publication.groupId}:${publication.artifactId}:${publication.version} to ${repository}`
+      );
+
+      const artifacts = [];
+      for (const file of publication.files) {
+        const content = await fs.readFile(file.path);
+        const checksums = this.getChecksums(content);
+        const fileName = this.layout.getFileName(publication, file);
+        const repositoryPath = `${this.layout.getVersionPath(publication)}/${fileName}`;
+        const url = `${this.deployUrl}/${repository}/${repositoryPath}`;
+
+        await this.upload(`${url}${this.getMatrixParameters(build)}`, content, checksums);
+        core.info(`⬆️ Uploaded ${path.basename(file.path)} to ${url}`);
+
+        files.push({ path: file.path, url });
+        artifacts.push({
+          type: file.extension,
+          name: fileName,
+          path: repositoryPath,
+          ...checksums
+        });
+      }
+
+      modules.push({
+        id: `${publication.groupId}:${publication.artifactId}:${publication.version}`,
+        type: 'maven',
+        artifacts
+      });
+    }
+
+    const buildInfo = this.createBuildInfo(build, await this.addDependencies(modules));
+    await this.publishBuildInfo(buildInfo);
+
+    return {
+      repositoryUrl: this.deployUrl,
+      files,
+      buildInfo: { name: build.name, number: build.number }
+    };
+  }
+
+  /**
+   * Get the build name, number and commit of the run from the event context
+   */
+  getBuild(eventContext) {
+    const repository = process.env.GITHUB_REPOSITORY;
+    const serverUrl = process.env.GITHUB_SERVER_URL || 'https://github.com';
+
+    return {
+      name: eventContext.workflow || repository || 'maven-build',
+      number: String(eventContext.runNumber || eventContext.runId || Date.now()),
+      started: new Date(),
+      revision: eventContext.sha,
+      branch: eventContext.branch || eventContext.pullRequest?.headBranch,
+      vcsUrl: repository ? `${serverUrl}/${repository}` : undefined,
+      url:
+        repository && eventContext.runId
+          ? `${serverUrl}/${repository}/actions/runs/${eventContext.runId}`
+          : undefined
+    };
+  }
+
+  /**
+   * Get the matrix parameters linking a file to the build and commit
+   */
+  getMatrixParameters(build) {
+    const properties = {
+      'build.name': build.name,
+      'build.number': build.number,
+      'build.timestamp': String(build.started.getTime()),
+      'vcs.revision': build.revision
+    };
+
+    return Object.entries(properties)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `;${key}=${encodeURIComponent(value)}`)
+      .join('');
+  }
+
+  /**
+   * Add the resolved dependencies of each module, leaving them out if they
+   * cannot be resolved
+   */
+  async addDependencies(modules) {
+    let moduleDependencies;
+    try {
+      moduleDependencies = await this.dependencyResolver.resolveModules();
+    } catch (error) {
+      core.warning(`Could not resolve the dependencies for the build-info: ${error.message}`);
+      return modules;
+    }
+
+    return modules.map((module) => ({
+      ...module,
+      dependencies: (moduleDependencies.get(module.id) || []).map((dependency) => ({
+        id: `${dependency.groupId}:${dependency.artifactId}:${dependency.version}`,
+        scopes: [dependency.scope]
+      }))
+    }));
+  }
+
+  /**
+   * Create the build-info of the run
+   */
+  createBuildInfo(build, modules) {
+    return {
+      version: this.buildInfoVersion,
+      name: build.name,
+      number: build.number,
+      type: 'MAVEN',
+      started: this.formatBuildDate(build.started),
+      url: build.url,
+      agent: { name: 'GitHub Actions' },
+      buildAgent: { name: 'Maven', version: this.validatedInputs.mavenVersion || '' },
+      vcs: build.revision
+        ? [{ revision: build.revision, branch: build.branch, url: build.vcsUrl }]
+        : [],
+      modules
+    };
+  }
+
+  /**
+   * Format a date the way build-info expects, such as "2024-01-02T03:04:05.000+0000"
+   */
+  formatBuildDate(date) {
+    return date.toISOString().replace('Z', '+0000');
+  }
+
+  /**
+   * Publish the build-info to Artifactory
+   */
+  async publishBuildInfo(buildInfo) {
+    const response = await this.client.request('PUT', `${this.deployUrl}/api/build`, {
+      body: JSON.stringify(buildInfo),
+      headers: { 'Content-Type': 'application/json' }
+    });
+    if (!response.ok) {
+      throw new Error(`Publishing build-info failed: ${response.status} ${response.statusText}`);
+    }
+    core.info(`📋 Published build-info ${buildInfo.name} #${buildInfo.number}`);
+  }
+
+  /**
+   * Deploy a file by checksum, uploading its content only when Artifactory does not store it yet
+   */
+  async upload(url, content, checksums) {
+    const checksumHeaders = {
+      'X-Checksum-Sha1': checksums.sha1,
+      'X-Checksum-Sha256': checksums.sha256,
+      'X-Checksum-Md5': checksums.md5
+    };
+
+    const checksumDeploy = await this.client.request('PUT', url, {
+      headers: { ...checksumHeaders, 'X-Checksum-Deploy': 'true' }
+    });
+    if (checksumDeploy.ok) return;
+    if (checksumDeploy.status !== 404) {
+      throw new Error(
+        `Checksum deploy to ${url} failed: ${checksumDeploy.status} ${checksumDeploy.statusText}`
+      );
+    }
+
+    await this.client.put(url, content, checksumHeaders);
+  }
+
+  /**
+   * Get the checksums of a file's content
+   */
+  getChecksums(content) {
+    const digest = (algorithm) => crypto.createHash(algorithm).update(content).digest('hex');
+    return { sha1: digest('sha1'), sha256: digest('sha256'), md5: digest('md5') };
+  }
+}
+
+module.exports = { ArtifactoryDeployer };
@@ -0,0 +1,113 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { XMLBuilder } = require('fast-xml-parser');
+const { MavenExecutor } = require('../executors/maven-executor');
+
+/**
+ * Deploys the built modules to the GitHub Packages Maven registry of the
+ * repository with `mvn deploy`
+ *
+ * The credentials go to a temporary settings.xml passed as global settings, so
+ * the user settings and settings-file still apply. It is removed after the deploy.
+ */
+class GitHubPackagesDeployer {
+  constructor(validatedInputs, mavenExecutor = new MavenExecutor(validatedInputs)) {
+    this.deployUrl = (validatedInputs.deployUrl || '').replace(/\/+$/, '');
+    this.deployUsername = validatedInputs.deployUsername;
+    this.deployPassword = validatedInputs.deployPassword;
+    this.mavenExecutor = mavenExecutor;
+    this.registryUrl = 'https://maven.pkg.github.com';
+    // Unlikely to clash with a server of the user settings, which would take precedence
+    this.serverId = 'maven-actions-github-packages';
+    this.builder = new XMLBuilder({ format: true });
+    this.uploadPattern = /Uploaded to [^\s:]+: (\S+)/;
+    // Metadata and checksums Maven uploads next to each artifact
+    this.auxiliaryFilePattern = /(maven-metadata\.xml|\.md5|\.sha1|\.sha256|\.sha512)$/;
+  }
+
+  /**
+   * Deploy the built modules, returning each file Maven uploaded and its URL
+   *
+   * Maven reports the uploaded URLs but not the local files, so each file is
+   * identified by its name in the registry.
+   */
+  async deploy(eventContext = {}) {
+    const token = this.deployPassword || process.env.GITHUB_TOKEN;
+    if (!token) {
+      throw new Error(
+        'GitHub Packages deployment requires the GITHUB_TOKEN environment variable or deploy-password'
+      );
+    }
+    core.setSecret(token);
+
+    const repositoryUrl = this.getRepositoryUrl();
+    const username = this.deployUsername || eventContext.actor || github.context.actor;
+    const settingsDirectory = await fs.mkdtemp(
+      path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'maven-settings-')
+    );
+    const settingsPath = path.join(settingsDirectory, 'settings.xml');
+    const files = [];
+
+    core.info(`📦 Deploying to GitHub Packages at ${repositoryUrl}`);
+
+    try {
+      await fs.writeFile(settingsPath, this.createSettings(username, token), { mode: 0o600 });
+
+      await this.mavenExecutor.executeMavenCommand(
+        'deploy',
+        [
+          // Reuse the classes of the build rather than compiling them again
+          '-Dmaven.main.skip=true',
+          '-DskipTests',
+          // The legacy "id::layout::url" format is understood by all maven-deploy-plugin versions
+          `-DaltDeploymentRepository=${this.serverId}::default::${repositoryUrl}`,
+          '-gs',
+          settingsPath
+        ],
+        (line) => {
+          const url = line.match(this.uploadPattern)?.[1];
+          if (url && !this.auxiliaryFilePattern.test(url)) {
+            files.push({ path: url.split('/').pop(), url });
+          }
+        },
+        // The build already annotated its diagnostics
+        { annotate: false }
+      );
+    } finally {
+      await fs.rm(settingsDirectory, { recursive: true, force: true });
+    }
+
+    return { repositoryUrl, files };
+  }
+
+  /**
+   * Get the Maven registry URL of the repository, unless deploy-url sets one
+   * such as the registry of a GitHub Enterprise Server
+   */
+  getRepositoryUrl() {
+    if (this.deployUrl) {
+      return this.deployUrl;
+    }
+
+    const { owner, repo } = github.context.repo;
+    return `${this.registryUrl}/${owner}/${repo}`;
+  }
+
+  /**
+   * Create settings with the server entry the deployment authenticates with
+   */
+  createSettings(username, token) {
+    return this.builder.build({
+      settings: {
+        servers: {
+          server: { id: this.serverId, username, password: token }
+        }
+      }
+    });
+  }
+}
+
+module.exports = { GitHubPackagesDeployer };
@@ -0,0 +1,142 @@
+const core = require('@actions/core');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLBuilder, XMLParser } = require('fast-xml-parser');
+const { RepositoryClient } = require('./repository-client');
+const { RepositoryLayout } = require('./repository-layout');
+
+/**
+ * Deploys module publications to the hosted Maven repositories of a Nexus
+ * Repository Manager 3 server
+ *
+ * Files are uploaded with HTTP PUT in Maven repository layout, each followed by
+ * its MD5 and SHA-1 checksums. SNAPSHOT versions go to the snapshot repository
+ * with unique timestamped versions, releases to the release repository.
+ */
+class NexusDeployer {
+  constructor(validatedInputs) {
+    this.deployUrl = (validatedInputs.deployUrl || '').replace(/\/+$/, '');
+    this.releaseRepository = validatedInputs.nexusReleaseRepository || 'maven-releases';
+    this.snapshotRepository = validatedInputs.nexusSnapshotRepository || 'maven-snapshots';
+    this.checksumAlgorithms = ['md5', 'sha1'];
+    this.parser = new XMLParser({ parseTagValue: false });
+    this.builder = new XMLBuilder({ ignoreAttributes: false, format: true });
+    this.client = new RepositoryClient(validatedInputs);
+    this.layout = new RepositoryLayout();
+  }
+
+  /**
+   * Deploy the publications, returning each uploaded file and its URL
+   */
+  async deploy(publications) {
+    const files = [];
+
+    for (const publication of publications) {
+      const repositoryUrl = this.getRepositoryUrl(publication.version);
+      const versionUrl = `${repositoryUrl}/${this.layout.getVersionPath(publication)}`;
+      const isSnapshot = this.layout.isSnapshot(publication.version);
+      const fileVersion = isSnapshot
+        ? await this.getSnapshotVersion(repositoryUrl, publication)
+        : publication.version;
+
+      core.info(
+        `📦 Deploying ${publication.groupId}:${publication.artifactId}:${fileVersion} to ${repositoryUrl}`
+      );
+
+      for (const file of publication.files) {
+        const url = `${versionUrl}/${this.layout.getFileName(publication, file, fileVersion)}`;
+        await this.upload(url, await fs.readFile(file.path));
+        core.info(`⬆️ Uploaded ${path.basename(file.path)} to ${url}`);
+        files.push({ path: file.path, url });
+      }
+
+      if (isSnapshot) {
+        await this.upload(
+          `${versionUrl}/maven-metadata.xml`,
+          this.createSnapshotMetadata(publication, fileVersion)
+        );
+      }
+    }
+
+    return { repositoryUrl: this.deployUrl, files };
+  }
+
+  /**
+   * Get the URL of the repository a version is deployed to
+   */
+  getRepositoryUrl(version) {
+    const repository = this.layout.isSnapshot(version)
+      ? this.snapshotRepository
+      : this.releaseRepository;
+    return `${this.deployUrl}/repository/${repository}`;
+  }
+
+  /**
+   * Get the next unique version of a SNAPSHOT, such as "1.0-20240102.030405-3",
+   * numbering builds after the ones already in the repository
+   */
+  async getSnapshotVersion(repositoryUrl, publication) {
+    const metadataUrl = `${repositoryUrl}/${this.layout.getVersionPath(publication)}/maven-metadata.xml`;
+    const response = await this.client.request('GET', metadataUrl);
+
+    let buildNumber = 1;
+    if (response.ok) {
+      const metadata = this.parser.parse(await response.text()).metadata;
+      buildNumber = (parseInt(metadata?.versioning?.snapshot?.buildNumber, 10) || 0) + 1;
+    } else if (response.status !== 404) {
+      throw new Error(`Could not read ${metadataUrl}: ${response.status} ${response.statusText}`);
+    }
+
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[-:]/g, '')
+      .replace('T', '.')
+      .replace(/\.\d{3}Z$/, '');
+    return publication.version.replace(/-SNAPSHOT$/, `-${timestamp}-${buildNumber}`);
+  }
+
+  /**
+   * Create the version metadata listing the files of a SNAPSHOT deployment
+   */
+  createSnapshotMetadata(publication, fileVersion) {
+    const [, timestamp, buildNumber] = fileVersion.match(/-(\d{8}\.\d{6})-(\d+)$/);
+    const updated = timestamp.replace('.', '');
+
+    const xml = this.builder.build({
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      metadata: {
+        '@_modelVersion': '1.1.0',
+        groupId: publication.groupId,
+        artifactId: publication.artifactId,
+        version: publication.version,
+        versioning: {
+          snapshot: { timestamp, buildNumber },
+          lastUpdated: updated,
+          snapshotVersions: {
+            snapshotVersion: publication.files.map((file) => ({
+              ...(file.classifier ? { classifier: file.classifier } : {}),
+              extension: file.extension,
+              value: fileVersion,
+              updated
+            }))
+          }
+        }
+      }
+    });
+    return Buffer.from(xml);
+  }
+
+  /**
+   * Upload a file followed by its checksums
+   */
+  async upload(url, content) {
+    await this.client.put(url, content);
+    for (const algorithm of this.checksumAlgorithms) {
+      const checksum = crypto.createHash(algorithm).update(content).digest('hex');
+      await this.client.put(`${url}.${algorithm}`, Buffer.from(checksum));
+    }
+  }
+}
+
+module.exports = { NexusDeployer };
@@ -0,0 +1,169 @@
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { MavenExecutor } = require('../executors/maven-executor');
+
+/**
+ * Collects the files each built module publishes to a Maven repository: its
+ * POM, main artifact and classifier artifacts
+ *
+ * The files are those the build installed to the local repository, so only
+ * modules that were built are published, whatever the final name of their
+ * artifacts in `target`.
+ */
+class PublicationCollector {
+  constructor(validatedInputs, mavenExecutor = new MavenExecutor(validatedInputs)) {
+    this.mavenExecutor = mavenExecutor;
+    // Versions such as "2.0" stay strings
+    this.parser = new XMLParser({ parseTagValue: false });
+  }
+
+  /**
+   * Collect the publications of all modules the build installed
+   */
+  async collect() {
+    // Installed files of a module share its directory in the local repository
+    const modules = new Map();
+    for (const [repositoryPath, file] of this.mavenExecutor.installedFiles) {
+      const directory = path.dirname(repositoryPath);
+      if (!modules.has(directory)) modules.set(directory, []);
+      modules.get(directory).push({ file, repositoryPath });
+    }
+
+    const publications = [];
+    for (const installedFiles of modules.values()) {
+      const publication = await this.collectModule(installedFiles);
+      publications.push(publication);
+      core.debug(
+        `${publication.groupId}:${publication.artifactId}:${publication.version} publishes ${publication.files.length} file(s)`
+      );
+    }
+
+    return publications;
+  }
+
+  /**
+   * Collect the publication of one module from the files the build installed
+   *
+   * The group comes from the pom.properties Maven writes while packaging,
+   * falling back to the POM for modules without one. The artifact and version
+   * come from the repository layout the files were installed to.
+   */
+  async collectModule(installedFiles) {
+    const installedPom = installedFiles.find((installed) =>
+      installed.repositoryPath.endsWith('.pom')
+    );
+    if (!installedPom) {
+      throw new Error(`No POM installed to ${path.dirname(installedFiles[0].repositoryPath)}`);
+    }
+
+    // The installed POM is the module POM, or one generated next to it such as a flattened POM
+    const moduleDirectory = path.dirname(installedPom.file);
+    const pom = await this.readPom(path.join(moduleDirectory, 'pom.xml'));
+    const coordinates =
+      (await this.readPomProperties(moduleDirectory)) || this.getPomCoordinates(pom);
+
+    const versionDirectory = path.dirname(installedPom.repositoryPath);
+    const version = path.basename(versionDirectory);
+    const artifactId = path.basename(path.dirname(versionDirectory));
+    if (!coordinates.groupId || /\$\{/.test(coordinates.groupId)) {
+      throw new Error(`Cannot determine the coordinates of the module in ${moduleDirectory}`);
+    }
+
+    const files = installedFiles
+      .map(({ file, repositoryPath }) => ({
+        path: file,
+        ...this.parseFileName(path.basename(repositoryPath), artifactId, version)
+      }))
+      .filter((file) => file.extension)
+      .sort(
+        (a, b) =>
+          this.fileOrder(a) - this.fileOrder(b) ||
+          (a.classifier || '').localeCompare(b.classifier || '')
+      );
+
+    return {
+      groupId: coordinates.groupId,
+      artifactId,
+      version,
+      packaging: pom.packaging || 'jar',
+      moduleDirectory,
+      files
+    };
+  }
+
+  /**
+   * Split a file name of the repository layout, such as "core-2.0-sources.jar",
+   * into its classifier and extension
+   */
+  parseFileName(fileName, artifactId, version) {
+    const prefix = `${artifactId}-${version}`;
+    if (!fileName.startsWith(prefix)) {
+      return { classifier: null, extension: null };
+    }
+
+    const rest = fileName.substring(prefix.length);
+    if (rest.startsWith('.')) {
+      return { classifier: null, extension: rest.substring(1) };
+    }
+
+    const match = rest.match(/^-([^.]+)\.(.+)$/);
+    return match
+      ? { classifier: match[1], extension: match[2] }
+      : { classifier: null, extension: null };
+  }
+
+  /**
+   * Order the POM first, then the main artifact, then the classifier artifacts
+   */
+  fileOrder(file) {
+    if (file.classifier) return 2;
+    return file.extension === 'pom' ? 0 : 1;
+  }
+
+  /**
+   * Read the coordinates Maven wrote to target/maven-archiver/pom.properties, or null without it
+   */
+  async readPomProperties(moduleDirectory) {
+    const propertiesPath = path.join(moduleDirectory, 'target', 'maven-archiver', 'pom.properties');
+
+    let content;
+    try {
+      content = await fs.readFile(propertiesPath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+
+    const properties = {};
+    for (const line of content.split(/\r?\n/)) {
+      const match = line.match(/^\s*(groupId|artifactId|version)\s*[=:]\s*(.*?)\s*$/);
+      if (match) properties[match[1]] = match[2];
+    }
+    return properties.artifactId ? properties : null;
+  }
+
+  /**
+   * Get the coordinates declared in a POM, inheriting the group and version of its parent
+   */
+  getPomCoordinates(pom) {
+    return {
+      groupId: pom.groupId || pom.parent?.groupId,
+      artifactId: pom.artifactId,
+      version: pom.version || pom.parent?.version
+    };
+  }
+
+  /**
+   * Read the project element of a POM
+   */
+  async readPom(pomPath) {
+    const pom = this.parser.parse(await fs.readFile(pomPath, 'utf8')).project;
+    if (!pom) {
+      throw new Error(`${pomPath} is not a Maven POM`);
+    }
+    return pom;
+  }
+}
+
+module.exports = { PublicationCollector };
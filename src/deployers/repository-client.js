@@ -0,0 +1,34 @@
+/**
+ * Sends HTTP requests to a repository manager, authenticated with the deploy credentials
+ */
+class RepositoryClient {
+  constructor(validatedInputs) {
+    this.username = validatedInputs.deployUsername;
+    this.password = validatedInputs.deployPassword;
+  }
+
+  /**
+   * Send an HTTP request, authenticated when credentials are configured
+   */
+  async request(method, url, { body, headers = {} } = {}) {
+    const requestHeaders = { ...headers };
+    if (this.username) {
+      const credentials = Buffer.from(`${this.username}:${this.password || ''}`).toString('base64');
+      requestHeaders.Authorization = `Basic ${credentials}`;
+    }
+    return fetch(url, { method, headers: requestHeaders, body });
+  }
+
+  /**
+   * Upload content, failing on any unsuccessful response
+   */
+  async put(url, content, headers = {}) {
+    const response = await this.request('PUT', url, { body: content, headers });
+    if (!response.ok) {
+      throw new Error(`Upload to ${url} failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+}
+
+module.exports = { RepositoryClient };
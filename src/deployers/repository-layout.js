@@ -0,0 +1,29 @@
+/**
+ * Maven repository layout of deployed files
+ */
+class RepositoryLayout {
+  /**
+   * Check if a version is a SNAPSHOT version
+   */
+  isSnapshot(version) {
+    return version.endsWith('-SNAPSHOT');
+  }
+
+  /**
+   * Get the repository path of the version directory of a publication
+   */
+  getVersionPath({ groupId, artifactId, version }) {
+    return [...groupId.split('.'), artifactId, version].join('/');
+  }
+
+  /**
+   * Get the repository file name of a publication file, optionally with a
+   * timestamped SNAPSHOT version in place of the publication version
+   */
+  getFileName({ artifactId, version }, file, fileVersion = version) {
+    const classifier = file.classifier ? `-${file.classifier}` : '';
+    return `${artifactId}-${fileVersion}${classifier}.${file.extension}`;
+  }
+}
+
+module.exports = { RepositoryLayout };
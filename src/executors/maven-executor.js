@@ -1,5 +1,8 @@
 const core = require('@actions/core');
 const exec = require('@actions/exec');
+const { MavenLifecycle } = require('../utils/maven-lifecycle');
+const { BuildOutputProcessor } = require('../processors/build-output-processor');
+const { ArgumentParser } = require('../utils/argument-parser');
 /**
  * Executes Maven commands with proper configuration and error handling
  */
@@ -11,6 +14,22 @@ class MavenExecutor {
     this.settingsFile = validatedInputs.settingsFile;
     this.profiles = validatedInputs.profiles;
     this.skipTests = validatedInputs.skipTests;
+    this.mavenCommand = 'mvn';
+    // Module directories to build with their dependents, null builds the whole reactor
+    this.projectList = null;
+    // Files the install plugin copied to the local repository, keyed by their repository path
+    this.installedFiles = new Map();
+    this.installPattern = /^\[INFO\] Installing (.+) to (.+)$/;
+    this.mavenLifecycle = new MavenLifecycle();
+    this.argumentParser = new ArgumentParser();
+  }
+
+  /**
+   * Execute Maven clean phase
+   */
+  async clean() {
+    core.info('🧹 Cleaning build output...');
+    return await this.executeMavenCommand('clean');
   }
 
   /**
@@ -71,57 +90,163 @@ class MavenExecutor {
   async deploy() {
     core.info('🚀 Deploying artifacts...');
     const args = this.skipTests ? ['-DskipTests'] : [];
-    return await this.executeMavenCommand('deploy', args);
+    return await this.executeMavenCommand('deploy', [...args, ...this.getDeploySkipArgs()]);
+  }
+
+  /**
+   * Execute an ordered pipeline of phases and plugin goals in one Maven invocation
+   */
+  async executePipeline(steps) {
+    core.info(`🔗 Running Maven pipeline: ${steps.map((step) => step.name).join(' → ')}`);
+    const runsTests = this.mavenLifecycle.includesPhase(steps, 'test');
+    const args = this.skipTests && runsTests ? ['-DskipTests'] : [];
+    if (this.mavenLifecycle.includesPhase(steps, 'deploy')) {
+      args.push(...this.getDeploySkipArgs());
+    }
+    return await this.executeMavenCommand(steps, args);
+  }
+
+  /**
+   * Skip the deploy phase of the build when deploy-target deploys the
+   * artifacts after it, so they are not deployed twice
+   */
+  getDeploySkipArgs() {
+    return this.validatedInputs.deployTarget ? ['-Dmaven.deploy.skip=true'] : [];
   }
 
   /**
    * Execute Maven command with common configuration
+   *
+   * `goals` is either a single phase name or an array of pipeline steps.
+   * Compiler and plugin diagnostics found in the output are published as
+   * annotations. Failures are rethrown with the per-step results attached as
+   * `error.phases` and the diagnostics as `error.diagnostics`. Files the build
+   * installs to the local repository are recorded in `installedFiles`. Each
+   * output line is also passed to `onOutputLine` when given.
+   *
+   * With `annotate: false` the diagnostics are not published, for runs over
+   * sources a previous build already reported.
    */
-  async executeMavenCommand(phase, additionalArgs = []) {
-    const args = ['mvn', phase];
+  async executeMavenCommand(
+    goals,
+    additionalArgs = [],
+    onOutputLine = null,
+    { annotate = true } = {}
+  ) {
+    const steps = Array.isArray(goals) ? goals : [{ name: goals, type: 'phase' }];
+    const phase = steps.map((step) => step.name).join(' ');
+    const args = [this.mavenCommand, ...steps.map((step) => step.name)];
 
     // Add settings file if specified
     if (this.settingsFile) {
       args.push('-s', this.settingsFile);
     }
 
+    // Restrict the reactor to the selected modules and their dependents
+    if (this.projectList && this.projectList.length > 0) {
+      args.push('-pl', this.projectList.join(','), '-amd');
+    }
+
     // Add additional arguments
     args.push(...additionalArgs);
 
     // Add custom Maven arguments
     if (this.mavenArgs) {
-      args.push(...this.mavenArgs.split(' '));
+      args.push(...this.argumentParser.parse(this.mavenArgs));
     }
 
     // Add common flags
     args.push('-B'); // Batch mode
     args.push('-V'); // Show version
 
+    // Track mojo executions so a failure can be attributed to a step
+    const executions = [];
+    const outputProcessor = new BuildOutputProcessor(this.validatedInputs);
+    const onLine = (line) => {
+      const execution = this.mavenLifecycle.parseMojoExecution(line);
+      if (execution) {
+        executions.push(execution);
+      }
+      const installed = line.match(this.installPattern);
+      if (installed) {
+        this.installedFiles.set(installed[2], installed[1]);
+      }
+      outputProcessor.processLine(line);
+      if (onOutputLine) {
+        onOutputLine(line);
+      }
+    };
+
     const options = {
       cwd: this.workingDirectory,
-      ignoreReturnCode: false
+      ignoreReturnCode: true,
+      listeners: {
+        stdline: onLine,
+        errline: onLine
+      }
     };
 
     try {
       const exitCode = await exec.exec(args[0], args.slice(1), options);
+      if (annotate) {
+        outputProcessor.publishAnnotations();
+      }
 
       if (exitCode === 0) {
         core.info(`✅ Maven ${phase} completed successfully`);
-        return { success: true, phase, exitCode };
+        const phases = this.mavenLifecycle.resolveStepResults(steps, executions, true);
+        return { success: true, phase, exitCode, phases, diagnostics: outputProcessor.diagnostics };
       } else {
-        throw new Error(`Maven ${phase} failed with exit code ${exitCode}`);
+        throw new Error(
+          `Maven ${phase} failed with exit code ${exitCode}${this.describeErrors(outputProcessor)}`
+        );
       }
     } catch (error) {
       core.error(`❌ Maven ${phase} failed: ${error.message}`);
+      error.phases = this.mavenLifecycle.resolveStepResults(steps, executions, false);
+      error.diagnostics = outputProcessor.diagnostics;
       throw error;
     }
   }
 
+  /**
+   * Describe the reported errors for the failure message
+   */
+  describeErrors(outputProcessor) {
+    const errors = outputProcessor.getDiagnostics('error');
+    if (errors.length === 0) return '';
+
+    const [first] = errors;
+    const firstLine = first.message.split('\n')[0];
+    return ` (${errors.length} error(s), first: ${first.file}:${first.line} ${firstLine})`;
+  }
+
+  /**
+   * Get the settings file and custom Maven arguments for Maven runs outside
+   * `executeMavenCommand`, such as those of the dependency scanners
+   */
+  getConfigurationArgs() {
+    const args = [];
+    if (this.settingsFile) {
+      args.push('-s', this.settingsFile);
+    }
+    if (this.mavenArgs) {
+      args.push(...this.argumentParser.parse(this.mavenArgs));
+    }
+    return args;
+  }
+
   /**
    * Get Maven project information
    */
   async getProjectInfo() {
-    const args = ['mvn', 'help:evaluate', '-Dexpression=project.version', '-q', '-DforceStdout'];
+    const args = [
+      this.mavenCommand,
+      'help:evaluate',
+      '-Dexpression=project.version',
+      '-q',
+      '-DforceStdout'
+    ];
 
     let version = '';
     const options = {
@@ -2,9 +2,17 @@ const core = require('@actions/core');
 const { MavenExecutor } = require('../executors/maven-executor');
 const { TestProcessor } = require('../processors/test-processor');
 const { SecurityScanner } = require('../scanners/security-scanner');
+const { LicenseScanner } = require('../scanners/license-scanner');
+const { DependencyResolver } = require('../scanners/dependency-resolver');
 const { ArtifactManager } = require('../managers/artifact-manager');
 const { CacheManager } = require('../managers/cache-manager');
 const { EnvironmentManager } = require('../managers/environment-manager');
+const { SbomManager } = require('../managers/sbom-manager');
+const { ChangeDetector } = require('../processors/change-detector');
+const { CoverageProcessor } = require('../processors/coverage-processor');
+const { DependencyDiffProcessor } = require('../processors/dependency-diff-processor');
+const { CoverageBadge } = require('../utils/coverage-badge');
+const { MavenLifecycle } = require('../utils/maven-lifecycle');
 
 /**
  * Main handler for Maven operations
@@ -13,12 +21,34 @@ class MavenActionHandler {
   constructor(outputManager, validatedInputs) {
     this.outputManager = outputManager;
     this.validatedInputs = validatedInputs;
+    this.cacheManager = new CacheManager(validatedInputs);
     this.environmentManager = new EnvironmentManager(validatedInputs);
     this.mavenExecutor = new MavenExecutor(validatedInputs);
-    this.testProcessor = new TestProcessor(validatedInputs);
-    this.securityScanner = new SecurityScanner(validatedInputs);
-    this.artifactManager = new ArtifactManager(validatedInputs);
-    this.cacheManager = new CacheManager(validatedInputs);
+    this.testProcessor = new TestProcessor(validatedInputs, this.cacheManager);
+    this.dependencyResolver = new DependencyResolver(validatedInputs, this.mavenExecutor);
+    this.securityScanner = new SecurityScanner(
+      validatedInputs,
+      this.cacheManager,
+      this.dependencyResolver,
+      this.mavenExecutor
+    );
+    this.licenseScanner = new LicenseScanner(validatedInputs, this.dependencyResolver);
+    this.artifactManager = new ArtifactManager(
+      validatedInputs,
+      this.cacheManager,
+      this.dependencyResolver,
+      this.mavenExecutor
+    );
+    this.changeDetector = new ChangeDetector(validatedInputs, this.cacheManager);
+    this.coverageProcessor = new CoverageProcessor(validatedInputs);
+    this.dependencyDiffProcessor = new DependencyDiffProcessor(
+      validatedInputs,
+      this.changeDetector,
+      this.dependencyResolver
+    );
+    this.coverageBadge = new CoverageBadge(validatedInputs);
+    this.sbomManager = new SbomManager(validatedInputs, this.mavenExecutor);
+    this.mavenLifecycle = new MavenLifecycle();
   }
 
   /**
@@ -27,6 +57,7 @@ class MavenActionHandler {
   async execute(eventContext) {
     const startTime = Date.now();
     const operation = this.validatedInputs.operation;
+    let affectedModules = null;
 
     try {
       // Setup environment (Java and Maven)
@@ -37,11 +68,44 @@ class MavenActionHandler {
         await this.cacheManager.restore();
       }
 
+      // Limit the build to the modules affected by the event
+      affectedModules = await this.detectAffectedModules(eventContext);
+
       // Execute Maven operation
-      await this.executeMavenOperation(operation, eventContext);
+      const mavenResult =
+        affectedModules && affectedModules.length === 0
+          ? this.skipMavenOperation(operation)
+          : await this.runMavenOperation(operation, eventContext);
+
+      // Render the coverage badge before coverage minimums can fail the build
+      if (this.testResults) {
+        await this.coverageBadge.write(this.testResults.coverage);
+      }
+
+      // Scan dependencies for known vulnerabilities and license policy violations
+      await this.scanDependencies();
+      await this.scanLicenses();
+
+      // Report the dependencies a pull request adds, removes or changes
+      await this.diffDependencies(eventContext);
+
+      // Fail the build when coverage misses the configured minimums
+      await this.checkCoverage(eventContext);
+
+      // Save the findings of the default branch as the cached baseline, before its gate
+      await this.updateVulnerabilityBaseline(eventContext);
+
+      // Fail the build, or warn, on vulnerabilities at or above the security threshold
+      this.checkVulnerabilities();
+
+      // Fail the build, or warn, on dependencies violating the license policy
+      this.checkLicenseViolations();
+
+      // Generate and upload the SBOM of all reactor modules, before anything is deployed
+      await this.generateSbom();
 
       // Handle artifacts
-      const artifactPath = await this.artifactManager.handleArtifacts(operation);
+      const artifactPath = await this.artifactManager.handleArtifacts(operation, eventContext);
 
       // Save cache if enabled
       if (this.validatedInputs.cacheEnabled) {
@@ -56,6 +120,17 @@ class MavenActionHandler {
         artifactPath,
         buildTime,
         operation,
+        phases: mavenResult?.phases || [],
+        affectedModules,
+        testResults: this.testResults || null,
+        coverageCheck: this.coverageCheck || null,
+        diffCoverage: this.diffCoverage || null,
+        securityResults: this.securityResults || null,
+        securitySummary: this.securitySummary || null,
+        licenseResults: this.licenseResults || null,
+        dependencyDiff: this.dependencyDiff || null,
+        sbom: this.sbom || null,
+        deployment: this.artifactManager.deployment || null,
         environment: this.environmentInfo
       };
     } catch (error) {
@@ -67,6 +142,17 @@ class MavenActionHandler {
         error: error.message,
         buildTime,
         operation,
+        phases: error.phases || [],
+        affectedModules,
+        testResults: this.testResults || null,
+        coverageCheck: this.coverageCheck || null,
+        diffCoverage: this.diffCoverage || null,
+        securityResults: this.securityResults || null,
+        securitySummary: this.securitySummary || null,
+        licenseResults: this.licenseResults || null,
+        dependencyDiff: this.dependencyDiff || null,
+        sbom: this.sbom || null,
+        deployment: this.artifactManager.deployment || null,
         environment: this.environmentInfo || null
       };
     }
@@ -82,6 +168,11 @@ class MavenActionHandler {
       // Setup Java and Maven environment
       const environmentSetup = await this.environmentManager.setupEnvironment();
 
+      // Run builds through the Maven Wrapper when it was set up
+      if (environmentSetup.maven.command) {
+        this.mavenExecutor.mavenCommand = environmentSetup.maven.command;
+      }
+
       // Store environment info for outputs
       this.environmentInfo = this.environmentManager.getEnvironmentSummary(
         environmentSetup.java,
@@ -96,38 +187,259 @@ class MavenActionHandler {
     }
   }
 
+  /**
+   * Select the modules to build when building affected modules only
+   */
+  async detectAffectedModules(eventContext) {
+    if (!this.validatedInputs.buildAffectedModules) {
+      return null;
+    }
+
+    const modules = await this.changeDetector.detectAffectedModules(eventContext);
+    this.mavenExecutor.projectList = modules;
+    return modules;
+  }
+
+  /**
+   * Run the Maven operation and collect test results, even when the build fails
+   */
+  async runMavenOperation(operation, eventContext) {
+    try {
+      return await this.executeMavenOperation(operation, eventContext);
+    } finally {
+      if (this.shouldProcessTests(operation)) {
+        this.testResults = await this.testProcessor.process();
+      }
+    }
+  }
+
+  /**
+   * Check the coverage of the processed test results, and of the lines changed
+   * by a pull request, against the configured minimums
+   */
+  async checkCoverage(eventContext) {
+    if (!this.testResults) return;
+
+    const coverage = this.testResults.coverage;
+    this.coverageCheck = this.coverageProcessor.checkThresholds(coverage);
+    this.diffCoverage = await this.measureDiffCoverage(eventContext, coverage);
+
+    const failures = (this.coverageCheck?.failures || []).map((failure) =>
+      this.coverageProcessor.describeFailure(failure)
+    );
+    if (this.diffCoverage && !this.diffCoverage.passed) {
+      failures.push(this.coverageProcessor.describeDiffFailure(this.diffCoverage));
+    }
+    if (failures.length > 0) {
+      throw new Error(`Coverage below minimum: ${failures.join('; ')}`);
+    }
+  }
+
+  /**
+   * Measure the coverage of the lines changed by a pull request and annotate uncovered ones
+   */
+  async measureDiffCoverage(eventContext, coverage) {
+    const range = eventContext.changeRange;
+    if (!coverage || !eventContext.pullRequest || !range) {
+      return null;
+    }
+
+    core.info('📈 Measuring coverage of changed lines...');
+
+    try {
+      const changedLines = await this.changeDetector.getChangedLines(range.baseSha, range.headSha);
+      const diffCoverage = this.coverageProcessor.calculateDiffCoverage(changedLines, coverage);
+      this.coverageProcessor.publishDiffCoverage(diffCoverage);
+
+      core.info(
+        `📈 Diff coverage: ${diffCoverage.coverage ?? '-'}% (${diffCoverage.coveredLines}/${diffCoverage.totalLines} changed lines)`
+      );
+      return diffCoverage;
+    } catch (error) {
+      core.warning(`Could not measure coverage of changed lines: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run the configured security scanners when security scanning is enabled
+   */
+  async scanDependencies() {
+    if (!this.validatedInputs.securityScan) return;
+
+    this.securityResults = await this.securityScanner.scan();
+    if (this.securityResults) {
+      this.securitySummary = this.securityScanner.generateSecuritySummary(this.securityResults);
+    }
+  }
+
+  /**
+   * Save the findings of the default branch as the baseline of later runs, when
+   * the baseline is kept in the cache
+   *
+   * The baseline is saved before the vulnerability gate, so the first run
+   * bootstraps it even when it fails. Other branches and pull requests are
+   * compared with the baseline but never update it, and neither do scans with a
+   * failed scanner, whose findings are incomplete.
+   */
+  async updateVulnerabilityBaseline(eventContext) {
+    if (!this.securityResults || !this.validatedInputs.securityBaselineCache) return;
+    if (!eventContext.isDefaultBranch) return;
+    if (this.securityResults.failedScanners?.length) {
+      core.warning('Vulnerability baseline not updated, as a security scanner failed');
+      return;
+    }
+
+    await this.securityScanner.updateBaseline(this.securityResults);
+  }
+
+  /**
+   * Fail the build on vulnerabilities at or above the security threshold, or
+   * only warn when failing on vulnerabilities is disabled
+   *
+   * A failed scanner fails the build too, as its vulnerabilities are unknown.
+   */
+  checkVulnerabilities() {
+    if (!this.validatedInputs.securityScan) return;
+
+    const messages = [];
+    const scanFailure = this.securityScanner.describeScanFailures(this.securityResults);
+    if (scanFailure) {
+      messages.push(scanFailure);
+    }
+    if (this.securityResults?.blockingVulnerabilities?.length) {
+      messages.push(this.securityScanner.describeBlockingVulnerabilities(this.securityResults));
+    }
+    if (messages.length === 0) return;
+
+    const message = messages.join('; ');
+    if (this.validatedInputs.failOnVulnerabilities !== false) {
+      throw new Error(message);
+    }
+    core.warning(message);
+  }
+
+  /**
+   * Check dependency licenses against the policy when the license check is enabled
+   */
+  async scanLicenses() {
+    if (!this.validatedInputs.licenseCheck) return;
+
+    this.licenseResults = await this.licenseScanner.scan();
+  }
+
+  /**
+   * Fail the build on dependencies violating the license policy, or only warn
+   * when failing on license violations is disabled
+   *
+   * A license check that failed, such as for a missing policy file, fails the
+   * build the same way, as the licenses are unknown.
+   */
+  checkLicenseViolations() {
+    if (!this.validatedInputs.licenseCheck) return;
+
+    let message;
+    if (!this.licenseResults) {
+      message = 'License check failed, dependency licenses could not be checked';
+    } else {
+      const violations = this.licenseResults.violations;
+      if (violations.length === 0) return;
+
+      const artifacts = violations.map(
+        (violation) => `${violation.groupId}:${violation.artifactId}:${violation.version}`
+      );
+      message = `${violations.length} dependencies violate the license policy: ${artifacts.join(', ')}`;
+    }
+
+    if (this.validatedInputs.failOnLicenseViolations !== false) {
+      throw new Error(message);
+    }
+    core.warning(message);
+  }
+
+  /**
+   * Compare the dependencies of a pull request with its base when the dependency diff is enabled
+   */
+  async diffDependencies(eventContext) {
+    if (!this.validatedInputs.dependencyDiff) return;
+
+    const findings = this.securityResults
+      ? this.securityScanner.getFindings(this.securityResults)
+      : [];
+    this.dependencyDiff = await this.dependencyDiffProcessor.compare(eventContext, findings);
+  }
+
+  /**
+   * Generate the CycloneDX SBOM and upload it when SBOM generation is enabled
+   */
+  async generateSbom() {
+    if (!this.validatedInputs.sbom) return;
+
+    this.sbom = await this.sbomManager.generate();
+    if (this.sbom) {
+      await this.artifactManager.uploadSbom(this.sbom.path);
+    }
+  }
+
+  /**
+   * Skip the Maven operation when no module is affected
+   */
+  skipMavenOperation(operation) {
+    core.info('⏭️ No reactor modules affected, skipping Maven build');
+
+    const steps = this.mavenLifecycle.parseOperation(operation);
+    return {
+      success: true,
+      phase: operation,
+      phases: steps.map((step) => ({ ...step, status: 'skipped' }))
+    };
+  }
+
   /**
    * Execute specific Maven operation
+   *
+   * A single phase runs through its dedicated executor method, anything else
+   * (several phases, plugin goals) runs as one pipeline invocation.
    */
   async executeMavenOperation(operation, eventContext) {
     core.info(`🔨 Executing Maven operation: ${operation} with context ${eventContext}`);
 
-    switch (operation) {
-      case 'validate':
-        return await this.mavenExecutor.validate();
-      case 'compile':
-        return await this.mavenExecutor.compile();
-      case 'test':
-        return await this.mavenExecutor.test();
-      case 'package':
-        return await this.mavenExecutor.package();
-      case 'verify':
-        return await this.mavenExecutor.verify();
-      case 'install':
-        return await this.mavenExecutor.install();
-      case 'deploy':
-        return await this.mavenExecutor.deploy();
-      default:
-        throw new Error(`Unsupported Maven operation: ${operation}`);
+    const steps = this.mavenLifecycle.parseOperation(operation);
+    const unsupported = steps.find((step) => !step.type);
+    if (steps.length === 0 || unsupported) {
+      throw new Error(`Unsupported Maven operation: ${unsupported ? unsupported.name : operation}`);
+    }
+
+    if (steps.length === 1) {
+      switch (steps[0].name) {
+        case 'clean':
+          return await this.mavenExecutor.clean();
+        case 'validate':
+          return await this.mavenExecutor.validate();
+        case 'compile':
+          return await this.mavenExecutor.compile();
+        case 'test':
+          return await this.mavenExecutor.test();
+        case 'package':
+          return await this.mavenExecutor.package();
+        case 'verify':
+          return await this.mavenExecutor.verify();
+        case 'install':
+          return await this.mavenExecutor.install();
+        case 'deploy':
+          return await this.mavenExecutor.deploy();
+      }
     }
+
+    return await this.mavenExecutor.executePipeline(steps);
   }
 
   /**
    * Check if tests should be processed
    */
   shouldProcessTests(operation) {
-    const testOperations = ['test', 'package', 'verify', 'install', 'deploy'];
-    return testOperations.includes(operation) && !this.validatedInputs.skipTests;
+    const steps = this.mavenLifecycle.parseOperation(operation);
+    return this.mavenLifecycle.includesPhase(steps, 'test') && !this.validatedInputs.skipTests;
   }
 }
 
@@ -1,73 +1,132 @@
 const core = require('@actions/core');
-const artifact = require('@actions/artifact');
+const { DefaultArtifactClient } = require('@actions/artifact');
 const fs = require('fs').promises;
 const path = require('path');
 const glob = require('glob');
+const { CacheManager } = require('./cache-manager');
+const { CoverageReportLocator } = require('../processors/coverage-report-locator');
+const { MavenLifecycle } = require('../utils/maven-lifecycle');
+const { PublicationCollector } = require('../deployers/publication-collector');
+const { NexusDeployer } = require('../deployers/nexus-deployer');
+const { ArtifactoryDeployer } = require('../deployers/artifactory-deployer');
+const { GitHubPackagesDeployer } = require('../deployers/github-packages-deployer');
+const { MavenExecutor } = require('../executors/maven-executor');
+const { DependencyResolver } = require('../scanners/dependency-resolver');
 
 /**
  * Manages build artifacts and deployment operations
  */
 class ArtifactManager {
-  constructor(validatedInputs) {
+  constructor(
+    validatedInputs,
+    cacheManager = new CacheManager(validatedInputs),
+    dependencyResolver = new DependencyResolver(validatedInputs),
+    mavenExecutor = new MavenExecutor(validatedInputs)
+  ) {
     this.validatedInputs = validatedInputs;
+    this.cacheManager = cacheManager;
     this.workingDirectory = validatedInputs.workingDirectory;
     this.deployTarget = validatedInputs.deployTarget;
     this.deployUrl = validatedInputs.deployUrl;
     this.deployUsername = validatedInputs.deployUsername;
     this.deployPassword = validatedInputs.deployPassword;
+    this.mavenLifecycle = new MavenLifecycle();
+    this.coverageReportLocator = new CoverageReportLocator();
+    this.publicationCollector = new PublicationCollector(validatedInputs, mavenExecutor);
+    this.nexusDeployer = new NexusDeployer(validatedInputs);
+    this.artifactoryDeployer = new ArtifactoryDeployer(validatedInputs, dependencyResolver);
+    this.gitHubPackagesDeployer = new GitHubPackagesDeployer(validatedInputs, mavenExecutor);
+    this.mavenExecutor = mavenExecutor;
+    this.deployment = null;
   }
 
   /**
    * Handle artifacts based on Maven operation
    */
-  async handleArtifacts(operation) {
+  async handleArtifacts(operation, eventContext = {}) {
     core.info('📦 Managing build artifacts...');
 
+    let artifactPaths = [];
     try {
-      const artifactPaths = await this.collectArtifacts(operation);
+      artifactPaths = await this.collectArtifacts(operation);
 
       if (artifactPaths.length > 0) {
         await this.uploadArtifacts(artifactPaths);
-
-        // Handle deployment if configured
-        if (this.shouldDeploy(operation)) {
-          await this.deployArtifacts(artifactPaths);
-        }
       }
-
-      return artifactPaths;
     } catch (error) {
       core.warning(`Artifact management failed: ${error.message}`);
-      return [];
+      artifactPaths = [];
     }
+
+    // Deploy independently of the artifact upload, a failed deployment fails the build
+    if (this.shouldDeploy(operation)) {
+      await this.deployArtifacts(artifactPaths, eventContext);
+    }
+
+    return artifactPaths;
   }
 
   /**
-   * Collect build artifacts from target directory
+   * Collect build artifacts from the target directories of all modules
    */
   async collectArtifacts(operation) {
-    const targetDir = path.join(this.workingDirectory, 'target');
-    const entries = fs.readdirSync(this.workingDirectory);
-    core.info(`entries: ${JSON.stringify(entries)}`);
+    const artifactPaths = [];
+    let targetFound = false;
+
+    for (const moduleDirectory of await this.cacheManager.findModuleDirectories()) {
+      const moduleArtifacts = await this.collectModuleArtifacts(moduleDirectory);
+      if (moduleArtifacts) {
+        targetFound = true;
+        artifactPaths.push(...moduleArtifacts);
+      }
+    }
+
+    if (!targetFound) {
+      core.warning(`Target directory not found: ${path.join(this.workingDirectory, 'target')}`);
+      return [];
+    }
+
+    // Coverage summary of all modules, written by the test processor
+    const summaryPath = this.coverageReportLocator.getSummaryPath(this.workingDirectory);
+    try {
+      await fs.access(summaryPath);
+      artifactPaths.push(summaryPath);
+    } catch (error) {
+      // Coverage was not measured
+    }
+
+    core.info(`📋 Found ${artifactPaths.length} artifact(s)`);
+    return artifactPaths;
+  }
+
+  /**
+   * Collect build artifacts from a module target directory, or null if it has none
+   */
+  async collectModuleArtifacts(moduleDirectory) {
+    const targetDir = path.join(moduleDirectory, 'target');
     const artifactPaths = [];
 
     try {
       // Check if target directory exists
       await fs.access(targetDir);
+    } catch (error) {
+      return null;
+    }
 
-      // Collect JAR files
-      const jarPattern = path.join(targetDir, '*.jar');
-      const jarFiles = glob.sync(jarPattern);
-      artifactPaths.push(...jarFiles);
+    // Collect JAR files
+    const jarPattern = path.join(targetDir, '*.jar');
+    const jarFiles = glob.sync(jarPattern);
+    artifactPaths.push(...jarFiles);
 
-      // Collect WAR files
-      const warPattern = path.join(targetDir, '*.war');
-      const warFiles = glob.sync(warPattern);
-      artifactPaths.push(...warFiles);
+    // Collect WAR files
+    const warPattern = path.join(targetDir, '*.war');
+    const warFiles = glob.sync(warPattern);
+    artifactPaths.push(...warFiles);
 
-      // Collect test reports if tests were run
-      if (!core.getBooleanInput('skip-tests')) {
-        const testReportsDir = path.join(targetDir, 'surefire-reports');
+    // Collect unit and integration test reports if tests were run
+    if (!this.validatedInputs.skipTests) {
+      for (const reportsDirName of ['surefire-reports', 'failsafe-reports']) {
+        const testReportsDir = path.join(targetDir, reportsDirName);
         try {
           await fs.access(testReportsDir);
           artifactPaths.push(testReportsDir);
@@ -75,10 +134,12 @@ class ArtifactManager {
           // Test reports directory doesn't exist
         }
       }
+    }
 
-      // Collect coverage reports if generated
-      if (core.getBooleanInput('generate-coverage')) {
-        const coverageDir = path.join(targetDir, 'site', 'jacoco');
+    // Collect JaCoCo and Cobertura coverage reports if generated
+    if (this.validatedInputs.generateCoverage) {
+      for (const reportDir of this.coverageReportLocator.getReportDirectories()) {
+        const coverageDir = path.join(targetDir, reportDir);
         try {
           await fs.access(coverageDir);
           artifactPaths.push(coverageDir);
@@ -86,13 +147,9 @@ class ArtifactManager {
           // Coverage directory doesn't exist
         }
       }
-
-      core.info(`📋 Found ${artifactPaths.length} artifact(s)`);
-      return artifactPaths;
-    } catch (error) {
-      core.warning(`Target directory not found: ${targetDir}`);
-      return [];
     }
+
+    return artifactPaths;
   }
 
   /**
@@ -104,7 +161,7 @@ class ArtifactManager {
     core.info('⬆️ Uploading artifacts to GitHub Actions...');
 
     try {
-      const artifactClient = artifact.create();
+      const artifactClient = new DefaultArtifactClient();
 
       // Upload JAR/WAR files
       const binaryFiles = artifactPaths.filter((p) => p.endsWith('.jar') || p.endsWith('.war'));
@@ -115,28 +172,32 @@ class ArtifactManager {
         });
       }
 
-      // Upload test reports
-      const testReportsDir = artifactPaths.find((p) => p.includes('surefire-reports'));
-      if (testReportsDir) {
-        const testFiles = glob.sync(path.join(testReportsDir, '**/*'));
-        if (testFiles.length > 0) {
-          await artifactClient.uploadArtifact('test-reports', testFiles, testReportsDir, {
-            continueOnError: true,
-            retentionDays: 7
-          });
-        }
-      }
-
-      // Upload coverage reports
-      const coverageDir = artifactPaths.find((p) => p.includes('jacoco'));
-      if (coverageDir) {
-        const coverageFiles = glob.sync(path.join(coverageDir, '**/*'));
-        if (coverageFiles.length > 0) {
-          await artifactClient.uploadArtifact('coverage-reports', coverageFiles, coverageDir, {
-            continueOnError: true,
-            retentionDays: 7
-          });
-        }
+      // Upload test and coverage reports of all modules, keeping their module paths
+      await this.uploadReports(artifactClient, 'test-reports', artifactPaths, 'surefire-reports');
+      await this.uploadReports(
+        artifactClient,
+        'integration-test-reports',
+        artifactPaths,
+        'failsafe-reports'
+      );
+      await this.uploadReports(
+        artifactClient,
+        'coverage-reports',
+        artifactPaths,
+        this.coverageReportLocator.getReportDirectories().map((dir) => path.basename(dir))
+      );
+
+      // Upload the coverage summary on its own for downstream jobs
+      const summaryFiles = artifactPaths.filter(
+        (p) => path.basename(p) === this.coverageReportLocator.summaryFileName
+      );
+      if (summaryFiles.length > 0) {
+        await artifactClient.uploadArtifact(
+          'coverage-summary',
+          summaryFiles,
+          path.dirname(summaryFiles[0]),
+          { continueOnError: true, retentionDays: 7 }
+        );
       }
 
       core.info('✅ Artifacts uploaded successfully');
@@ -145,15 +206,59 @@ class ArtifactManager {
     }
   }
 
+  /**
+   * Upload the SBOM as its own artifact
+   */
+  async uploadSbom(sbomPath) {
+    core.info('⬆️ Uploading SBOM...');
+
+    try {
+      const artifactClient = new DefaultArtifactClient();
+      await artifactClient.uploadArtifact('sbom', [sbomPath], path.dirname(sbomPath), {
+        continueOnError: false,
+        retentionDays: 30
+      });
+      core.info('✅ SBOM uploaded successfully');
+    } catch (error) {
+      core.warning(`Failed to upload SBOM: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload the files of all report directories of one kind as a single artifact
+   */
+  async uploadReports(artifactClient, name, artifactPaths, reportsDirNames) {
+    const dirNames = [].concat(reportsDirNames);
+    const reportDirs = artifactPaths.filter((p) => dirNames.includes(path.basename(p)));
+    const reportFiles = reportDirs.flatMap((dir) =>
+      glob.sync(path.join(dir, '**/*'), { nodir: true })
+    );
+
+    if (reportFiles.length > 0) {
+      await artifactClient.uploadArtifact(name, reportFiles, this.workingDirectory, {
+        continueOnError: true,
+        retentionDays: 7
+      });
+    }
+  }
+
   /**
    * Deploy artifacts to configured repository
    */
-  async deployArtifacts(artifactPaths) {
-    if (!this.deployTarget || !this.deployUrl) {
+  async deployArtifacts(artifactPaths, eventContext = {}) {
+    // GitHub Packages derives its URL from the repository
+    const needsUrl = this.deployTarget && this.deployTarget.toLowerCase() !== 'github-packages';
+    if (!this.deployTarget || (needsUrl && !this.deployUrl)) {
       core.info('🚫 No deployment configuration found, skipping deployment');
       return;
     }
 
+    // Modules the build did not install, such as unaffected ones, are not deployed
+    if (this.mavenExecutor.installedFiles.size === 0) {
+      core.info('🚫 The build installed no modules, skipping deployment');
+      return;
+    }
+
     core.info(`🚀 Deploying artifacts to ${this.deployTarget}...`);
 
     try {
@@ -162,10 +267,10 @@ class ArtifactManager {
           await this.deployToNexus(artifactPaths);
           break;
         case 'artifactory':
-          await this.deployToArtifactory(artifactPaths);
+          await this.deployToArtifactory(artifactPaths, eventContext);
           break;
         case 'github-packages':
-          await this.deployToGitHubPackages(artifactPaths);
+          await this.deployToGitHubPackages(artifactPaths, eventContext);
           break;
         default:
           throw new Error(`Unsupported deployment target: ${this.deployTarget}`);
@@ -173,43 +278,55 @@ class ArtifactManager {
 
       core.info('✅ Deployment completed successfully');
     } catch (error) {
-      core.setFailed(`Deployment failed: ${error.message}`);
+      throw new Error(`Deployment failed: ${error.message}`);
     }
   }
 
   /**
-   * Deploy to Nexus repository
+   * Deploy the POM, main and classifier artifacts of all built modules to Nexus
    */
   async deployToNexus(artifactPaths) {
-    // Implementation for Nexus deployment
     core.info('📦 Deploying to Nexus repository...');
-    // This would use Maven deploy plugin or REST API calls
+
+    const publications = await this.publicationCollector.collect();
+    const result = await this.nexusDeployer.deploy(publications);
+    this.deployment = { target: 'nexus', ...result };
+
+    core.info(`📦 Deployed ${result.files.length} file(s) of ${publications.length} module(s)`);
   }
 
   /**
-   * Deploy to Artifactory repository
+   * Deploy the POM, main and classifier artifacts of all built modules to
+   * Artifactory and publish the build-info of the run
    */
-  async deployToArtifactory(artifactPaths) {
-    // Implementation for Artifactory deployment
+  async deployToArtifactory(artifactPaths, eventContext) {
     core.info('📦 Deploying to Artifactory repository...');
-    // This would use Artifactory REST API
+
+    const publications = await this.publicationCollector.collect();
+    const result = await this.artifactoryDeployer.deploy(publications, eventContext);
+    this.deployment = { target: 'artifactory', ...result };
+
+    core.info(`📦 Deployed ${result.files.length} file(s) of ${publications.length} module(s)`);
   }
 
   /**
-   * Deploy to GitHub Packages
+   * Deploy all built modules to the GitHub Packages registry of the repository with Maven
    */
-  async deployToGitHubPackages(artifactPaths) {
-    // Implementation for GitHub Packages deployment
+  async deployToGitHubPackages(artifactPaths, eventContext) {
     core.info('📦 Deploying to GitHub Packages...');
-    // This would use Maven deploy with GitHub Packages configuration
+
+    const result = await this.gitHubPackagesDeployer.deploy(eventContext);
+    this.deployment = { target: 'github-packages', ...result };
+
+    core.info(`📦 Deployed ${result.files.length} file(s)`);
   }
 
   /**
    * Check if deployment should occur
    */
   shouldDeploy(operation) {
-    const deployOperations = ['deploy', 'install'];
-    return deployOperations.includes(operation) && this.deployTarget;
+    const steps = this.mavenLifecycle.parseOperation(operation);
+    return this.mavenLifecycle.includesPhase(steps, 'install') && this.deployTarget;
   }
 
   /**
@@ -155,6 +155,19 @@ class CacheManager {
     return pomFiles;
   }
 
+  /**
+   * Find the directories of all reactor modules, starting with the root project
+   */
+  async findModuleDirectories() {
+    const pomFiles = await this.findPomFiles();
+    const directories = pomFiles
+      .map((pomFile) => path.dirname(pomFile))
+      // Skip test fixture projects inside module sources
+      .filter((dir) => !path.relative(this.workingDirectory, dir).split(path.sep).includes('src'));
+
+    return directories.length > 0 ? directories : [this.workingDirectory];
+  }
+
   /**
    * Recursively find pom.xml files
    */
@@ -1,6 +1,9 @@
 const core = require('@actions/core');
 const exec = require('@actions/exec');
 const tc = require('@actions/tool-cache');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 /**
  * Manages Java and Maven installation and version verification
@@ -109,6 +112,17 @@ class EnvironmentManager {
     core.info('🔨 Checking Maven environment...');
 
     try {
+      // Prefer the project's Maven Wrapper when requested
+      if (this.validatedInputs.useMavenWrapper) {
+        const wrapper = await this.detectMavenWrapper();
+        if (wrapper) {
+          return await this.setupMavenWrapper(wrapper);
+        }
+        core.warning(
+          'Maven Wrapper requested but mvnw or .mvn/wrapper/maven-wrapper.properties not found, using Maven instead'
+        );
+      }
+
       // Check if Maven is already available
       const currentMaven = await this.getCurrentMavenVersion();
 
@@ -430,6 +444,208 @@ class EnvironmentManager {
     return mavenPath;
   }
 
+  /**
+   * Detect the Maven Wrapper script and properties in the working directory
+   */
+  async detectMavenWrapper() {
+    const workingDirectory = path.resolve(this.validatedInputs.workingDirectory || '.');
+    const script = path.join(workingDirectory, process.platform === 'win32' ? 'mvnw.cmd' : 'mvnw');
+    const propertiesFile = path.join(
+      workingDirectory,
+      '.mvn',
+      'wrapper',
+      'maven-wrapper.properties'
+    );
+
+    try {
+      await fs.access(script);
+      await fs.access(propertiesFile);
+      return { script, propertiesFile };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Provision the Maven version pinned by the wrapper and run builds through it
+   */
+  async setupMavenWrapper(wrapper) {
+    core.info(`🧰 Using Maven Wrapper: ${wrapper.script}`);
+
+    const properties = await this.readWrapperProperties(wrapper.propertiesFile);
+    const distributionUrl = properties.distributionUrl;
+    if (!distributionUrl) {
+      throw new Error(`distributionUrl not set in ${wrapper.propertiesFile}`);
+    }
+
+    const version = this.extractWrapperMavenVersion(distributionUrl);
+    if (!version) {
+      throw new Error(`Could not determine Maven version from distributionUrl: ${distributionUrl}`);
+    }
+
+    // Use the tool cache so the pinned distribution is only downloaded once
+    let action = 'existing';
+    let archivePath = null;
+    let mavenPath = tc.find('Maven', version);
+
+    if (!mavenPath) {
+      core.info(`📦 Downloading Maven ${version} from ${distributionUrl}...`);
+      archivePath = await tc.downloadTool(distributionUrl);
+      if (properties.distributionSha256Sum) {
+        await this.verifyChecksum(archivePath, properties.distributionSha256Sum);
+      }
+      const extractedPath = distributionUrl.endsWith('.zip')
+        ? await tc.extractZip(archivePath)
+        : await tc.extractTar(archivePath);
+      mavenPath = await tc.cacheDir(
+        path.join(extractedPath, `apache-maven-${version}`),
+        'Maven',
+        version
+      );
+      action = 'installed';
+    }
+
+    // Keep plain `mvn` calls on the same version as the wrapper
+    core.addPath(path.join(mavenPath, 'bin'));
+    core.exportVariable('M2_HOME', mavenPath);
+    core.exportVariable('MAVEN_HOME', mavenPath);
+
+    try {
+      await this.seedWrapperDistribution(properties, mavenPath, archivePath);
+    } catch (error) {
+      core.warning(
+        `Could not pre-install Maven for the wrapper, it will download it: ${error.message}`
+      );
+    }
+
+    // The wrapper must be executable after checkout on some platforms
+    if (process.platform !== 'win32') {
+      await fs.chmod(wrapper.script, 0o755).catch(() => {});
+    }
+
+    core.info(`✅ Maven Wrapper ready with Maven ${version}`);
+
+    return {
+      action,
+      version,
+      path: mavenPath,
+      command: wrapper.script,
+      wrapper: true
+    };
+  }
+
+  /**
+   * Verify a downloaded file against the SHA-256 pinned in the wrapper properties
+   */
+  async verifyChecksum(filePath, expectedSha256) {
+    const content = await fs.readFile(filePath);
+    const actual = crypto.createHash('sha256').update(content).digest('hex');
+    if (actual.toLowerCase() !== expectedSha256.toLowerCase()) {
+      throw new Error(
+        `Checksum mismatch for ${filePath}: expected ${expectedSha256}, got ${actual}`
+      );
+    }
+  }
+
+  /**
+   * Read a Java properties file (key=value, # and ! comments, backslash escapes)
+   */
+  async readWrapperProperties(propertiesFile) {
+    const content = await fs.readFile(propertiesFile, 'utf8');
+    const properties = {};
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#') || line.startsWith('!')) continue;
+
+      const separator = line.search(/(?<!\\)[=:]/);
+      if (separator === -1) continue;
+
+      const key = line.substring(0, separator).trim();
+      const value = line.substring(separator + 1).trim();
+      properties[key] = value.replace(/\\(.)/g, '$1');
+    }
+
+    return properties;
+  }
+
+  /**
+   * Extract the Maven version from a wrapper distributionUrl
+   */
+  extractWrapperMavenVersion(distributionUrl) {
+    const match = distributionUrl.match(/apache-maven-([^/]+?)-bin\.(?:zip|tar\.gz)$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Place the provisioned Maven where the wrapper looks for its distribution
+   *
+   * Script-only wrappers (3.3+) use MAVEN_USER_HOME/wrapper/dists/<name>/<hash>
+   * as Maven home. Jar-based wrappers expect the archive and a single unpacked
+   * directory in MAVEN_USER_HOME/wrapper/dists/<name>-bin/<md5 base36>.
+   */
+  async seedWrapperDistribution(properties, mavenPath, archivePath) {
+    const distributionUrl = properties.distributionUrl;
+    const mavenUserHome = process.env.MAVEN_USER_HOME || path.join(os.homedir(), '.m2');
+    const distsDir = path.join(mavenUserHome, 'wrapper', 'dists');
+    const archiveName = distributionUrl.substring(distributionUrl.lastIndexOf('/') + 1);
+
+    if (properties.distributionType === 'only-script') {
+      const nameMain = archiveName.replace(/\.[^.]*$/, '').replace(/-bin$/, '');
+      const mavenHome = path.join(distsDir, nameMain, this.hashWrapperUrl(distributionUrl));
+      await this.linkDirectory(mavenPath, mavenHome);
+      return;
+    }
+
+    // Jar-based wrappers only skip the download when the archive is present
+    if (!archivePath) {
+      core.info('Maven came from the tool cache, the wrapper will fetch its own archive');
+      return;
+    }
+
+    const distName = archiveName.replace(/\.[^.]*$/, '');
+    const hash = BigInt(
+      '0x' + crypto.createHash('md5').update(distributionUrl).digest('hex')
+    ).toString(36);
+    const distDir = path.join(distsDir, distName, hash);
+
+    await fs.mkdir(distDir, { recursive: true });
+    await fs.copyFile(archivePath, path.join(distDir, archiveName));
+    const version = this.extractWrapperMavenVersion(distributionUrl);
+    await this.linkDirectory(mavenPath, path.join(distDir, `apache-maven-${version}`));
+  }
+
+  /**
+   * Hash a distribution URL the way the script-only wrapper names its Maven home
+   */
+  hashWrapperUrl(distributionUrl) {
+    if (process.platform === 'win32') {
+      return crypto.createHash('sha256').update(distributionUrl).digest('hex');
+    }
+
+    // Java String#hashCode as unsigned 32-bit hex
+    let hash = 0;
+    for (const char of Buffer.from(distributionUrl, 'latin1')) {
+      hash = (hash * 31 + char) % 4294967296;
+    }
+    return hash.toString(16);
+  }
+
+  /**
+   * Link a directory into place unless something already exists there
+   */
+  async linkDirectory(target, linkPath) {
+    try {
+      await fs.access(linkPath);
+      return;
+    } catch {
+      // Not present yet
+    }
+
+    await fs.mkdir(path.dirname(linkPath), { recursive: true });
+    await fs.symlink(target, linkPath, 'junction');
+  }
+
   /**
    * Get Java download URL based on distribution and version
    */
@@ -602,7 +818,8 @@ class EnvironmentManager {
       maven: {
         version: mavenSetup.version,
         action: mavenSetup.action,
-        warning: mavenSetup.warning || null
+        warning: mavenSetup.warning || null,
+        wrapper: mavenSetup.wrapper || false
       }
     };
   }
@@ -0,0 +1,61 @@
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const path = require('path');
+const { MavenExecutor } = require('../executors/maven-executor');
+
+/**
+ * Generates a CycloneDX SBOM of all reactor modules
+ */
+class SbomManager {
+  constructor(validatedInputs, mavenExecutor = new MavenExecutor(validatedInputs)) {
+    this.workingDirectory = validatedInputs.workingDirectory;
+    this.mavenExecutor = mavenExecutor;
+    this.goal = 'org.cyclonedx:cyclonedx-maven-plugin:2.9.1:makeAggregateBom';
+    this.outputName = 'bom';
+  }
+
+  /**
+   * Generate the SBOM, failing when it cannot be generated
+   *
+   * Components carry their hashes and scopes; test dependencies are left out
+   * as they are not shipped.
+   */
+  async generate() {
+    core.info('📜 Generating CycloneDX SBOM...');
+
+    // The SBOM describes the whole reactor, not only the affected modules
+    const projectList = this.mavenExecutor.projectList;
+    this.mavenExecutor.projectList = null;
+
+    try {
+      await this.mavenExecutor.executeMavenCommand(
+        [{ name: this.goal, type: 'goal' }],
+        ['-DoutputFormat=json', `-DoutputName=${this.outputName}`, '-DincludeTestScope=false']
+      );
+
+      const sbomPath = this.getSbomPath();
+      const bom = JSON.parse(await fs.readFile(sbomPath, 'utf8'));
+      const sbom = {
+        path: sbomPath,
+        specVersion: bom.specVersion,
+        components: (bom.components || []).length
+      };
+
+      core.info(`📜 SBOM written to ${sbomPath} (${sbom.components} components)`);
+      return sbom;
+    } catch (error) {
+      throw new Error(`SBOM generation failed: ${error.message}`);
+    } finally {
+      this.mavenExecutor.projectList = projectList;
+    }
+  }
+
+  /**
+   * Get the path of the aggregate SBOM in the target directory of the root project
+   */
+  getSbomPath() {
+    return path.join(this.workingDirectory, 'target', `${this.outputName}.json`);
+  }
+}
+
+module.exports = { SbomManager };
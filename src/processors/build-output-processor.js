@@ -0,0 +1,131 @@
+const core = require('@actions/core');
+const path = require('path');
+const { MavenLifecycle } = require('../utils/maven-lifecycle');
+
+/**
+ * Turns compiler and plugin diagnostics from Maven output into GitHub annotations
+ */
+class BuildOutputProcessor {
+  constructor(validatedInputs) {
+    this.workingDirectory = validatedInputs.workingDirectory || '.';
+    this.workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    this.mavenLifecycle = new MavenLifecycle();
+    this.diagnostics = [];
+    this.seen = new Set();
+    this.lastDiagnostic = null;
+    this.currentExecution = null;
+
+    const sourceFile = '(?:file:\\/\\/)?(.+?\\.(?:java|kt|kts|groovy|scala|xml|properties|proto))';
+    this.diagnosticPatterns = [
+      // javac, checkstyle: [ERROR] /src/Foo.java:[12,5] message
+      new RegExp(`^\\[(ERROR|WARNING|WARN)\\]\\s+${sourceFile}:\\[(\\d+)(?:,(\\d+))?\\]\\s*(.*)$`),
+      // kotlin (older plugins): [ERROR] /src/Foo.kt: (12, 5) message
+      new RegExp(
+        `^\\[(ERROR|WARNING|WARN)\\]\\s+${sourceFile}:\\s*\\((\\d+),\\s*(\\d+)\\)\\s*(.*)$`
+      ),
+      // kotlin, checkstyle audit, scalac: [ERROR] file:///src/Foo.kt:12:5 message
+      new RegExp(`^\\[(ERROR|WARNING|WARN)\\]\\s+${sourceFile}:(\\d+):(?:(\\d+):?)?\\s+(.*)$`)
+    ];
+  }
+
+  /**
+   * Process a single line of Maven output
+   */
+  processLine(line) {
+    const execution = this.mavenLifecycle.parseMojoExecution(line);
+    if (execution) {
+      this.currentExecution = execution;
+      this.lastDiagnostic = null;
+      return;
+    }
+
+    const diagnostic = this.parseDiagnostic(line);
+    if (diagnostic) {
+      const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+      if (this.seen.has(key)) {
+        // Maven repeats compiler errors in its final failure report
+        this.lastDiagnostic = null;
+        return;
+      }
+
+      this.seen.add(key);
+      this.diagnostics.push(diagnostic);
+      this.lastDiagnostic = diagnostic;
+      return;
+    }
+
+    // javac prints details such as "  symbol: class Foo" on unprefixed lines
+    if (this.lastDiagnostic && /^\s+\S/.test(line) && !line.trim().startsWith('[')) {
+      this.lastDiagnostic.message += `\n${line.trim()}`;
+    } else {
+      this.lastDiagnostic = null;
+    }
+  }
+
+  /**
+   * Parse a diagnostic that points to a source file location
+   */
+  parseDiagnostic(line) {
+    for (const pattern of this.diagnosticPatterns) {
+      const match = line.match(pattern);
+      if (match) {
+        const [, level, file, lineNumber, column, message] = match;
+        return {
+          severity: level === 'ERROR' ? 'error' : 'warning',
+          file: this.toWorkspacePath(file),
+          line: parseInt(lineNumber),
+          column: column ? parseInt(column) : undefined,
+          message: message.trim(),
+          source: this.currentExecution
+            ? `${this.currentExecution.prefix}:${this.currentExecution.goal}`
+            : null
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert a reported file path into a path relative to the repository root
+   */
+  toWorkspacePath(file) {
+    const absolute = path.resolve(this.workspace, this.workingDirectory, file);
+    const relative = path.relative(this.workspace, absolute);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return file;
+    }
+    return relative.split(path.sep).join('/');
+  }
+
+  /**
+   * Emit collected diagnostics as file/line annotations
+   */
+  publishAnnotations() {
+    for (const diagnostic of this.diagnostics) {
+      const properties = {
+        title: diagnostic.source ? `Maven ${diagnostic.source}` : 'Maven',
+        file: diagnostic.file,
+        startLine: diagnostic.line,
+        startColumn: diagnostic.column
+      };
+
+      if (diagnostic.severity === 'error') {
+        core.error(diagnostic.message, properties);
+      } else {
+        core.warning(diagnostic.message, properties);
+      }
+    }
+  }
+
+  /**
+   * Get collected diagnostics of the given severity
+   */
+  getDiagnostics(severity) {
+    return severity
+      ? this.diagnostics.filter((d) => d.severity === severity)
+      : [...this.diagnostics];
+  }
+}
+
+module.exports = { BuildOutputProcessor };
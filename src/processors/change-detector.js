@@ -0,0 +1,240 @@
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+/**
+ * Detects which reactor modules are affected by the changes of an event
+ */
+class ChangeDetector {
+  constructor(validatedInputs, cacheManager) {
+    this.workingDirectory = validatedInputs.workingDirectory;
+    this.cacheManager = cacheManager;
+    // Root project files whose changes affect every module
+    this.buildWidePaths = ['pom.xml', '.mvn/', 'src/'];
+    // Hunk header such as "@@ -10,2 +12,3 @@" with the new start line and line count
+    this.hunkHeaderPattern = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+  }
+
+  /**
+   * Get the affected module directories, or null if all modules must be built
+   */
+  async detectAffectedModules(eventContext) {
+    const range = eventContext.changeRange;
+    if (!range) {
+      core.info(`🔍 No base commit for ${eventContext.eventName} event, building all modules`);
+      return null;
+    }
+
+    core.info(
+      `🔍 Detecting affected modules between ${range.baseSha.substring(0, 7)} and ${range.headSha.substring(0, 7)}...`
+    );
+
+    try {
+      const changedFiles = await this.getChangedFiles(range.baseSha, range.headSha);
+      const moduleDirectories = await this.cacheManager.findModuleDirectories();
+      const modules = this.mapToModules(changedFiles, moduleDirectories);
+
+      if (modules === null) {
+        core.info('📦 Build-wide files changed, building all modules');
+      } else {
+        core.info(`📦 Affected modules (${modules.length}): ${modules.join(', ') || 'none'}`);
+      }
+      return modules;
+    } catch (error) {
+      core.warning(`Could not detect affected modules, building all modules: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * List files changed between two commits, relative to the working directory
+   */
+  async getChangedFiles(baseSha, headSha) {
+    await this.ensureCommit(baseSha);
+    await this.ensureCommit(headSha);
+
+    const { exitCode, stdout } = await this.git([
+      'diff',
+      '--name-only',
+      '--relative',
+      '-z',
+      baseSha,
+      headSha
+    ]);
+    if (exitCode !== 0) {
+      throw new Error(`git diff failed with exit code ${exitCode}`);
+    }
+
+    return stdout.split('\0').filter(Boolean);
+  }
+
+  /**
+   * List the added and modified lines of each file changed between two commits,
+   * keyed by file path relative to the working directory
+   */
+  async getChangedLines(baseSha, headSha) {
+    await this.ensureCommit(baseSha);
+    await this.ensureCommit(headSha);
+
+    const { exitCode, stdout } = await this.git([
+      'diff',
+      '--unified=0',
+      '--no-color',
+      '--no-ext-diff',
+      '--src-prefix=a/',
+      '--dst-prefix=b/',
+      '--relative',
+      baseSha,
+      headSha
+    ]);
+    if (exitCode !== 0) {
+      throw new Error(`git diff failed with exit code ${exitCode}`);
+    }
+
+    return this.parseChangedLines(stdout);
+  }
+
+  /**
+   * Parse the new-side line numbers of each hunk in a zero-context unified diff
+   */
+  parseChangedLines(diff) {
+    const changedLines = {};
+    let file = null;
+
+    for (const line of diff.split('\n')) {
+      if (line.startsWith('+++ ')) {
+        // Deleted files have no new side
+        file = line.startsWith('+++ b/') ? line.substring(6) : null;
+        continue;
+      }
+
+      const hunk = file && line.match(this.hunkHeaderPattern);
+      if (hunk) {
+        const start = parseInt(hunk[1]);
+        const count = hunk[2] !== undefined ? parseInt(hunk[2]) : 1;
+        const lines = changedLines[file] || (changedLines[file] = []);
+        for (let lineNumber = start; lineNumber < start + count; lineNumber++) {
+          lines.push(lineNumber);
+        }
+      }
+    }
+
+    return changedLines;
+  }
+
+  /**
+   * Fetch a commit that is missing from a shallow checkout
+   */
+  async ensureCommit(sha) {
+    const { exitCode } = await this.git(['cat-file', '-e', `${sha}^{commit}`]);
+    if (exitCode === 0) return;
+
+    core.info(`📥 Fetching commit ${sha.substring(0, 7)}...`);
+    const fetch = await this.git(['fetch', '--no-tags', '--depth=1', 'origin', sha]);
+    if (fetch.exitCode !== 0) {
+      throw new Error(`Commit ${sha} is not available`);
+    }
+  }
+
+  /**
+   * Check out a commit into a temporary worktree
+   *
+   * Returns the worktree and the working directory within it.
+   */
+  async addWorktree(sha) {
+    await this.ensureCommit(sha);
+
+    const prefix = await this.git(['rev-parse', '--show-prefix']);
+    const worktree = await fs.mkdtemp(path.join(os.tmpdir(), 'maven-actions-worktree-'));
+    const { exitCode } = await this.git(['worktree', 'add', '--detach', worktree, sha]);
+    if (exitCode !== 0) {
+      await fs.rm(worktree, { recursive: true, force: true });
+      throw new Error(`git worktree add failed with exit code ${exitCode}`);
+    }
+
+    return { worktree, workingDirectory: path.resolve(worktree, prefix.stdout.trim()) };
+  }
+
+  /**
+   * Remove a worktree added by addWorktree
+   */
+  async removeWorktree(worktree) {
+    const { exitCode } = await this.git(['worktree', 'remove', '--force', worktree]);
+    if (exitCode !== 0) {
+      core.warning(`Could not remove worktree ${worktree}`);
+    }
+  }
+
+  /**
+   * Map changed files to the module directories that contain them
+   *
+   * Returns null when a build-wide file changed or the project has no
+   * submodules. Files outside every module, such as docs, are ignored.
+   */
+  mapToModules(changedFiles, moduleDirectories) {
+    const moduleDirs = moduleDirectories
+      .map((moduleDirectory) => this.toModuleDir(moduleDirectory))
+      // Skip the root project
+      .filter((dir) => dir)
+      // Longest first so files resolve to the innermost module
+      .sort((a, b) => b.length - a.length);
+
+    if (moduleDirs.length === 0) {
+      return null;
+    }
+
+    const modules = new Set();
+    for (const file of changedFiles) {
+      if (this.isBuildWideFile(file)) {
+        return null;
+      }
+
+      const moduleDir = moduleDirs.find((dir) => file.startsWith(`${dir}/`));
+      if (moduleDir) {
+        modules.add(moduleDir);
+      }
+    }
+
+    return [...modules].sort();
+  }
+
+  /**
+   * Check if a changed file affects every module
+   */
+  isBuildWideFile(file) {
+    return this.buildWidePaths.some((buildWide) =>
+      buildWide.endsWith('/') ? file.startsWith(buildWide) : file === buildWide
+    );
+  }
+
+  /**
+   * Get a module directory relative to the working directory
+   */
+  toModuleDir(moduleDirectory) {
+    const relative = path.relative(this.workingDirectory, moduleDirectory);
+    return relative.split(path.sep).join('/');
+  }
+
+  /**
+   * Run a git command in the working directory
+   */
+  async git(args) {
+    let stdout = '';
+    const exitCode = await exec.exec('git', args, {
+      cwd: this.workingDirectory,
+      silent: true,
+      ignoreReturnCode: true,
+      listeners: {
+        stdout: (data) => {
+          stdout += data.toString();
+        }
+      }
+    });
+
+    return { exitCode, stdout };
+  }
+}
+
+module.exports = { ChangeDetector };
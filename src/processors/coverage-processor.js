@@ -0,0 +1,224 @@
+const core = require('@actions/core');
+const path = require('path');
+
+/**
+ * Checks coverage results against the configured minimum coverage
+ */
+class CoverageProcessor {
+  constructor(validatedInputs) {
+    this.workingDirectory = validatedInputs.workingDirectory;
+    this.workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    this.thresholds = validatedInputs.coverageThresholds || [];
+    this.minDiffCoverage = validatedInputs.minDiffCoverage ?? null;
+    this.metricKeys = {
+      line: 'lineCoverage',
+      branch: 'branchCoverage',
+      instruction: 'instructionCoverage'
+    };
+  }
+
+  /**
+   * Check if any coverage minimum is configured
+   */
+  hasThresholds() {
+    return this.thresholds.length > 0;
+  }
+
+  /**
+   * Check coverage against every threshold, or return null if none is configured
+   *
+   * Global thresholds apply to the aggregated coverage, module thresholds to the
+   * named module or, for `*`, to every module with a coverage report. Metrics a
+   * report has no data for, such as branches of a module without branches, are
+   * skipped; a missing report fails its thresholds.
+   */
+  checkThresholds(coverage) {
+    if (!this.hasThresholds()) return null;
+
+    const results = [];
+    for (const threshold of this.thresholds) {
+      for (const scope of this.getScopes(coverage, threshold.module)) {
+        const value = scope.coverage?.[this.metricKeys[threshold.metric]];
+        if (scope.coverage && (value === undefined || value === null)) continue;
+
+        const measured = scope.coverage ? parseFloat(value) : null;
+
+        results.push({
+          scope: scope.name,
+          metric: threshold.metric,
+          minimum: threshold.minimum,
+          measured,
+          passed: measured !== null && measured >= threshold.minimum
+        });
+      }
+    }
+
+    const failures = results.filter((result) => !result.passed);
+    return { passed: failures.length === 0, results, failures };
+  }
+
+  /**
+   * Get the coverage scopes a threshold applies to
+   */
+  getScopes(coverage, module) {
+    if (!module) {
+      return [{ name: 'total', coverage }];
+    }
+
+    const modules = coverage?.modules || [];
+    if (module === '*') {
+      return modules.map((moduleCoverage) => ({
+        name: moduleCoverage.name,
+        coverage: moduleCoverage
+      }));
+    }
+
+    return [{ name: module, coverage: modules.find((candidate) => candidate.name === module) }];
+  }
+
+  /**
+   * Describe a failed threshold check
+   */
+  describeFailure(result) {
+    const scope = result.scope === 'total' ? '' : `${result.scope} `;
+    if (result.measured === null) {
+      return `${scope}${result.metric} coverage: no coverage data (minimum ${result.minimum}%)`;
+    }
+
+    const missedBy = (result.minimum - result.measured).toFixed(2);
+    return `${scope}${result.metric} coverage ${result.measured.toFixed(2)}% is ${missedBy} points below the minimum of ${result.minimum}%`;
+  }
+
+  /**
+   * Calculate the coverage of the changed lines of a pull request
+   *
+   * Only changed lines with code in a coverage report count; other changes, such
+   * as comments, tests or non-source files, are ignored. Files of modules without
+   * their own report are looked up in the aggregate report.
+   */
+  calculateDiffCoverage(changedLines, coverage) {
+    const modules = [...(coverage?.modules || [])].sort((a, b) => b.name.length - a.name.length);
+    const uncoveredFiles = [];
+    let totalLines = 0;
+    let coveredLines = 0;
+
+    for (const [file, lines] of Object.entries(changedLines)) {
+      const lineCoverage =
+        this.findLineCoverage(file, modules) || this.findSourceFile(file, coverage?.sourceFiles);
+      if (!lineCoverage) continue;
+
+      const uncovered = [];
+      for (const line of lines) {
+        if (lineCoverage[line] === undefined) continue;
+
+        totalLines++;
+        if (lineCoverage[line]) {
+          coveredLines++;
+        } else {
+          uncovered.push(line);
+        }
+      }
+
+      if (uncovered.length > 0) {
+        uncoveredFiles.push({
+          file: this.toWorkspacePath(file),
+          lines: uncovered,
+          ranges: this.toLineRanges(uncovered)
+        });
+      }
+    }
+
+    const percentage = totalLines > 0 ? (coveredLines / totalLines) * 100 : null;
+    return {
+      coverage: percentage !== null ? percentage.toFixed(2) : null,
+      coveredLines,
+      totalLines,
+      uncoveredFiles,
+      minimum: this.minDiffCoverage,
+      passed:
+        this.minDiffCoverage === null || percentage === null || percentage >= this.minDiffCoverage
+    };
+  }
+
+  /**
+   * Find the JaCoCo line coverage of a file relative to the working directory
+   *
+   * The file is matched to its innermost module, then by the longest path suffix
+   * that names a source file in the module report, e.g. "com/example/Foo.java".
+   */
+  findLineCoverage(file, modules) {
+    const module =
+      modules.find((candidate) => file.startsWith(`${candidate.name}/`)) ||
+      modules.find((candidate) => candidate.name === '.');
+    if (!module) return null;
+
+    const moduleFile = module.name === '.' ? file : file.substring(module.name.length + 1);
+    return this.findSourceFile(moduleFile, module.sourceFiles);
+  }
+
+  /**
+   * Find the line coverage of the source file named by the longest suffix of a path
+   */
+  findSourceFile(file, sourceFiles) {
+    if (!sourceFiles) return null;
+
+    const segments = file.split('/');
+    for (let start = 0; start < segments.length; start++) {
+      const lineCoverage = sourceFiles[segments.slice(start).join('/')];
+      if (lineCoverage) return lineCoverage;
+    }
+    return null;
+  }
+
+  /**
+   * Annotate uncovered changed lines, one warning per range of consecutive lines
+   */
+  publishDiffCoverage(diffCoverage) {
+    for (const { file, ranges } of diffCoverage.uncoveredFiles) {
+      for (const [startLine, endLine] of ranges) {
+        const message =
+          startLine === endLine
+            ? `Changed line ${startLine} is not covered by tests`
+            : `Changed lines ${startLine}-${endLine} are not covered by tests`;
+        core.warning(message, { title: 'Uncovered change', file, startLine, endLine });
+      }
+    }
+  }
+
+  /**
+   * Group line numbers into [start, end] ranges of consecutive lines
+   */
+  toLineRanges(lines) {
+    const ranges = [];
+    for (const line of [...lines].sort((a, b) => a - b)) {
+      const last = ranges[ranges.length - 1];
+      if (last && line === last[1] + 1) {
+        last[1] = line;
+      } else {
+        ranges.push([line, line]);
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * Describe a diff coverage below the minimum
+   */
+  describeDiffFailure(diffCoverage) {
+    const missedBy = (diffCoverage.minimum - parseFloat(diffCoverage.coverage)).toFixed(2);
+    return `diff coverage ${diffCoverage.coverage}% is ${missedBy} points below the minimum of ${diffCoverage.minimum}%`;
+  }
+
+  /**
+   * Convert a path relative to the working directory into a path relative to the repository root
+   */
+  toWorkspacePath(file) {
+    const relative = path.relative(this.workspace, path.resolve(this.workingDirectory, file));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return file;
+    }
+    return relative.split(path.sep).join('/');
+  }
+}
+
+module.exports = { CoverageProcessor };
@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * Locates JaCoCo and Cobertura coverage reports of reactor modules and reads
+ * them into one model
+ *
+ * A report is read as
+ * `{ format, reportPath, aggregate, counters, packages, classes, sourceFiles }`.
+ * Counters are keyed by JaCoCo counter type (LINE, BRANCH, INSTRUCTION) with
+ * covered and missed counts; Cobertura reports have no instruction counter.
+ * Packages and classes are `{ name, counters }` with dotted names, such as
+ * "com.example.Foo". Source files are keyed by path within the source root, such
+ * as "com/example/Foo.java", and map each line with code to whether it was executed.
+ */
+class CoverageReportLocator {
+  constructor() {
+    // Report locations under target/site, in order of preference per module
+    this.reportLocations = [
+      { directory: 'jacoco', file: 'jacoco.xml', aggregate: false },
+      { directory: 'cobertura', file: 'coverage.xml', aggregate: false },
+      // jacoco:report-aggregate covers the module and its dependencies
+      { directory: 'jacoco-aggregate', file: 'jacoco.xml', aggregate: true }
+    ];
+    // Condition coverage such as "50% (1/2)" on Cobertura branch lines
+    this.conditionCoveragePattern = /\((\d+)\/(\d+)\)/;
+    // Machine-readable coverage summary written to the target directory
+    this.summaryFileName = 'coverage-summary.json';
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      isArray: (name) => ['group', 'package', 'sourcefile', 'class', 'line'].includes(name)
+    });
+  }
+
+  /**
+   * Find and read the coverage reports of each module
+   *
+   * Each module contributes its own report, the first found of JaCoCo or
+   * Cobertura, and its aggregate report if it has one.
+   */
+  async locate(modules) {
+    const reports = [];
+
+    for (const module of modules) {
+      let moduleReportFound = false;
+
+      for (const location of this.reportLocations) {
+        if (!location.aggregate && moduleReportFound) continue;
+
+        const reportPath = path.join(
+          module.directory,
+          'target',
+          'site',
+          location.directory,
+          location.file
+        );
+        const report = await this.readReport(reportPath);
+        if (!report) continue;
+
+        reports.push({ ...report, module, aggregate: location.aggregate });
+        moduleReportFound = moduleReportFound || !location.aggregate;
+      }
+    }
+
+    return reports;
+  }
+
+  /**
+   * Get the directories, relative to a module's target directory, that can hold coverage reports
+   */
+  getReportDirectories() {
+    return [...new Set(this.reportLocations.map((location) => location.directory))].map(
+      (directory) => path.join('site', directory)
+    );
+  }
+
+  /**
+   * Get the path of the coverage summary of a project
+   */
+  getSummaryPath(workingDirectory) {
+    return path.join(workingDirectory, 'target', this.summaryFileName);
+  }
+
+  /**
+   * Read a coverage report, detecting its format from the root element, or
+   * return null if there is none
+   */
+  async readReport(reportPath) {
+    try {
+      const result = this.parser.parse(await fs.readFile(reportPath, 'utf8'));
+
+      if (result.report) {
+        return { format: 'jacoco', reportPath, ...this.readJacocoReport(result.report) };
+      }
+      if (result.coverage) {
+        return { format: 'cobertura', reportPath, ...this.readCoberturaReport(result.coverage) };
+      }
+      return null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read the report-level counters and per-line coverage of a JaCoCo report
+   */
+  readJacocoReport(report) {
+    const counters = this.readJacocoCounters(report);
+    const packages = [];
+    const classes = [];
+    const sourceFiles = {};
+
+    for (const pkg of this.collectJacocoPackages(report)) {
+      packages.push({
+        name: this.toDottedName(pkg['@_name']),
+        counters: this.readJacocoCounters(pkg)
+      });
+      for (const cls of pkg.class || []) {
+        classes.push({
+          name: this.toDottedName(cls['@_name']),
+          counters: this.readJacocoCounters(cls)
+        });
+      }
+
+      for (const sourceFile of pkg.sourcefile || []) {
+        const lines = {};
+        for (const line of sourceFile.line || []) {
+          const covered = parseInt(line['@_ci'] || '0');
+          const missed = parseInt(line['@_mi'] || '0');
+          if (covered + missed > 0) {
+            lines[line['@_nr']] = covered > 0;
+          }
+        }
+
+        const packagePath = pkg['@_name'] ? `${pkg['@_name']}/` : '';
+        sourceFiles[`${packagePath}${sourceFile['@_name']}`] = lines;
+      }
+    }
+
+    return { counters, packages, classes, sourceFiles };
+  }
+
+  /**
+   * Read the counters of a JaCoCo report, package or class element
+   *
+   * JaCoCo leaves out counters without any item, such as BRANCH for code
+   * without branches, so those metrics are not measured rather than 0%.
+   */
+  readJacocoCounters(node) {
+    const counters = {};
+    for (const counter of [].concat(node.counter || [])) {
+      counters[counter['@_type']] = {
+        covered: parseInt(counter['@_covered'] || '0'),
+        missed: parseInt(counter['@_missed'] || '0')
+      };
+    }
+    return counters;
+  }
+
+  /**
+   * Convert a JaCoCo VM name such as "com/example/Foo" into "com.example.Foo"
+   */
+  toDottedName(name) {
+    return (name || '').split('/').join('.');
+  }
+
+  /**
+   * Collect the packages of a JaCoCo report, including those nested in the
+   * per-module groups of aggregate reports
+   */
+  collectJacocoPackages(node) {
+    return [
+      ...(node.package || []),
+      ...(node.group || []).flatMap((group) => this.collectJacocoPackages(group))
+    ];
+  }
+
+  /**
+   * Read line and branch counters and per-line coverage of a Cobertura report
+   *
+   * Counters are computed from the lines, since a source file with inner
+   * classes appears once per class.
+   */
+  readCoberturaReport(coverage) {
+    const packages = [];
+    const classes = [];
+    const sourceFiles = {};
+    const branches = {};
+
+    for (const pkg of [].concat(coverage.packages?.package || [])) {
+      const packageLines = {};
+      const packageBranches = {};
+
+      for (const cls of [].concat(pkg.classes?.class || [])) {
+        const fileName = cls['@_filename'];
+        const lines = sourceFiles[fileName] || (sourceFiles[fileName] = {});
+        const fileBranches = branches[fileName] || (branches[fileName] = {});
+        const classLines = {};
+        const classBranches = {};
+
+        for (const line of [].concat(cls.lines?.line || [])) {
+          const number = line['@_number'];
+          const covered = parseInt(line['@_hits'] || '0') > 0;
+          lines[number] = lines[number] || covered;
+          classLines[number] = classLines[number] || covered;
+
+          const condition = (line['@_condition-coverage'] || '').match(
+            this.conditionCoveragePattern
+          );
+          if (line['@_branch'] === 'true' && condition) {
+            fileBranches[number] = classBranches[number] = {
+              covered: parseInt(condition[1]),
+              total: parseInt(condition[2])
+            };
+          }
+        }
+
+        classes.push({
+          name: cls['@_name'],
+          counters: this.countLines([classLines], [classBranches])
+        });
+        packageLines[fileName] = { ...packageLines[fileName], ...classLines };
+        packageBranches[fileName] = { ...packageBranches[fileName], ...classBranches };
+      }
+
+      packages.push({
+        name: pkg['@_name'],
+        counters: this.countLines(Object.values(packageLines), Object.values(packageBranches))
+      });
+    }
+
+    const counters = this.countLines(Object.values(sourceFiles), Object.values(branches));
+    return { counters, packages, classes, sourceFiles };
+  }
+
+  /**
+   * Compute line and branch counters from per-line coverage and branch counts
+   */
+  countLines(lineMaps, branchMaps) {
+    const counters = { LINE: { covered: 0, missed: 0 }, BRANCH: { covered: 0, missed: 0 } };
+    for (const lines of lineMaps) {
+      for (const covered of Object.values(lines)) {
+        counters.LINE[covered ? 'covered' : 'missed']++;
+      }
+    }
+    for (const lineBranches of branchMaps) {
+      for (const { covered, total } of Object.values(lineBranches)) {
+        counters.BRANCH.covered += covered;
+        counters.BRANCH.missed += total - covered;
+      }
+    }
+    return counters;
+  }
+}
+
+module.exports = { CoverageReportLocator };
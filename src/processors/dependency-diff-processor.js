@@ -0,0 +1,159 @@
+const core = require('@actions/core');
+const { DependencyResolver } = require('../scanners/dependency-resolver');
+
+/**
+ * Compares the resolved dependencies of a pull request with those of its base
+ *
+ * Dependencies are compared by "groupId:artifactId", so a version bump is
+ * reported as one change rather than a removal and an addition.
+ */
+class DependencyDiffProcessor {
+  constructor(
+    validatedInputs,
+    changeDetector,
+    dependencyResolver = new DependencyResolver(validatedInputs)
+  ) {
+    this.validatedInputs = validatedInputs;
+    this.changeDetector = changeDetector;
+    this.dependencyResolver = dependencyResolver;
+  }
+
+  /**
+   * Compare the dependencies of a pull request with its base, or return null
+   * for other events or if the comparison failed
+   *
+   * Added and changed dependencies list the scanner findings of their new version.
+   */
+  async compare(eventContext, findings = []) {
+    const range = eventContext.changeRange;
+    if (!eventContext.pullRequest || !range) {
+      return null;
+    }
+
+    core.info(`🔀 Comparing dependencies with base ${range.baseSha.substring(0, 7)}...`);
+
+    try {
+      const headDependencies = await this.dependencyResolver.resolve();
+      const baseDependencies = await this.resolveBaseDependencies(range.baseSha);
+      const diff = this.diff(baseDependencies, headDependencies, findings);
+
+      core.info(
+        `🔀 Dependencies: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`
+      );
+      return diff;
+    } catch (error) {
+      core.warning(`Could not compare dependencies with the base: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the dependencies of the base commit in a temporary worktree
+   */
+  async resolveBaseDependencies(baseSha) {
+    const { worktree, workingDirectory } = await this.changeDetector.addWorktree(baseSha);
+
+    try {
+      return await this.createResolver(workingDirectory).resolve();
+    } finally {
+      await this.changeDetector.removeWorktree(worktree);
+    }
+  }
+
+  /**
+   * Create a dependency resolver for another working directory, running Maven
+   * the same way as for the head
+   */
+  createResolver(workingDirectory) {
+    return new DependencyResolver(
+      { ...this.validatedInputs, workingDirectory },
+      this.dependencyResolver.mavenExecutor
+    );
+  }
+
+  /**
+   * Diff two dependency lists into added, removed and version-changed dependencies
+   */
+  diff(baseDependencies, headDependencies, findings) {
+    const base = this.groupByPackage(baseDependencies);
+    const head = this.groupByPackage(headDependencies);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [name, headPackage] of head) {
+      const basePackage = base.get(name);
+      if (!basePackage) {
+        added.push(this.toChange(headPackage, null, findings));
+      } else if (headPackage.versions.join() !== basePackage.versions.join()) {
+        changed.push(this.toChange(headPackage, basePackage, findings));
+      }
+    }
+    for (const [name, basePackage] of base) {
+      if (!head.has(name)) {
+        removed.push(this.toChange(basePackage, null, []));
+      }
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    return {
+      added: added.sort(byName),
+      removed: removed.sort(byName),
+      changed: changed.sort(byName)
+    };
+  }
+
+  /**
+   * Group dependencies by "groupId:artifactId", collecting the versions in use
+   * and whether any module depends on them directly
+   */
+  groupByPackage(dependencies) {
+    const packages = new Map();
+
+    for (const dependency of dependencies) {
+      const name = `${dependency.groupId}:${dependency.artifactId}`;
+      if (!packages.has(name)) {
+        packages.set(name, {
+          name,
+          groupId: dependency.groupId,
+          artifactId: dependency.artifactId,
+          versions: [],
+          scope: dependency.scope,
+          direct: false
+        });
+      }
+
+      const pkg = packages.get(name);
+      if (!pkg.versions.includes(dependency.version)) {
+        pkg.versions.push(dependency.version);
+        pkg.versions.sort();
+      }
+      pkg.direct = pkg.direct || !dependency.directDependency;
+    }
+
+    return packages;
+  }
+
+  /**
+   * Describe a package change with the findings of its new versions
+   */
+  toChange(headPackage, basePackage, findings) {
+    return {
+      name: headPackage.name,
+      version: headPackage.versions.join(', '),
+      previousVersion: basePackage ? basePackage.versions.join(', ') : null,
+      scope: headPackage.scope,
+      direct: headPackage.direct,
+      vulnerabilities: findings
+        .filter(
+          (finding) =>
+            finding.groupId === headPackage.groupId &&
+            finding.artifactId === headPackage.artifactId &&
+            headPackage.versions.includes(finding.version)
+        )
+        .map((finding) => finding.ruleId)
+    };
+  }
+}
+
+module.exports = { DependencyDiffProcessor };
@@ -22,6 +22,7 @@ class EventProcessor {
       eventName,
       payload,
       ref: this.context.ref,
+      isDefaultBranch: this.isDefaultBranch(this.context.ref, payload?.repository?.default_branch),
       sha: this.context.sha,
       actor: this.context.actor,
       workflow: this.context.workflow,
@@ -64,7 +65,8 @@ class EventProcessor {
       isFeatureBranch: this.isFeatureBranch(eventContext.ref),
       isHotfixBranch: this.isHotfixBranch(eventContext.ref),
       shouldDeploy: this.shouldDeploy(eventContext.ref),
-      deploymentTarget: this.getDeploymentTarget(eventContext.ref)
+      deploymentTarget: this.getDeploymentTarget(eventContext.ref),
+      changeRange: this.getChangeRange(payload.before, payload.after || eventContext.sha)
     };
   }
 
@@ -84,13 +86,17 @@ class EventProcessor {
         body: pullRequest.body,
         baseBranch: pullRequest.base.ref,
         headBranch: pullRequest.head.ref,
+        baseSha: pullRequest.base.sha,
+        headSha: pullRequest.head.sha,
         author: pullRequest.user.login,
         draft: pullRequest.draft,
         mergeable: pullRequest.mergeable
       },
       shouldRunTests: true,
       shouldRunSecurityScan: true,
-      shouldDeploy: false
+      shouldDeploy: false,
+      // The checked out merge commit contains exactly the PR changes on top of the base
+      changeRange: this.getChangeRange(pullRequest.base.sha, eventContext.sha)
     };
   }
 
@@ -152,6 +158,17 @@ class EventProcessor {
     return eventContext;
   }
 
+  /**
+   * Get the commit range changed by the event, or null if there is no usable base
+   */
+  getChangeRange(baseSha, headSha) {
+    // Pushes that create a branch report an all-zero "before" commit
+    if (!baseSha || !headSha || /^0+$/.test(baseSha)) {
+      return null;
+    }
+    return { baseSha, headSha };
+  }
+
   /**
    * Extract branch name from ref
    */
@@ -173,6 +190,13 @@ class EventProcessor {
     return ['main', 'master'].includes(branch);
   }
 
+  /**
+   * Check if ref is the default branch of the repository
+   */
+  isDefaultBranch(ref, defaultBranch) {
+    return Boolean(defaultBranch) && ref === `refs/heads/${defaultBranch}`;
+  }
+
   /**
    * Check if ref is develop branch
    */
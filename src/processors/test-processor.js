@@ -2,34 +2,65 @@ const core = require('@actions/core');
 const fs = require('fs').promises;
 const path = require('path');
 const { XMLParser } = require('fast-xml-parser');
+const { CacheManager } = require('../managers/cache-manager');
+const { CoverageReportLocator } = require('./coverage-report-locator');
 
 /**
  * Processes Maven test results and generates reports
  */
 class TestProcessor {
-  constructor(validatedInputs) {
+  constructor(validatedInputs, cacheManager = new CacheManager(validatedInputs)) {
     this.validatedInputs = validatedInputs;
+    this.cacheManager = cacheManager;
     this.workingDirectory = validatedInputs.workingDirectory;
     this.publishResults = validatedInputs.publishTestResults;
-    this.generateCoverage = validatedInputs.generateCoverage;
+    // Coverage minimums and badges need coverage results even without generate-coverage
+    this.generateCoverage =
+      validatedInputs.generateCoverage ||
+      (validatedInputs.coverageThresholds || []).length > 0 ||
+      validatedInputs.minDiffCoverage != null ||
+      Boolean(validatedInputs.coverageBadgePath);
+    this.coverageReportLocator = new CoverageReportLocator();
+    this.workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    // Test source roots searched for the file of a failed test
+    this.testSourceRoots = [
+      'src/test/java',
+      'src/test/kotlin',
+      'src/test/groovy',
+      'src/test/scala'
+    ];
+    // Stack trace lines included in failure annotations
+    this.annotationStackLines = 10;
+    // Stack frame such as "at com.example.FooTest.shouldWork(FooTest.java:42)"
+    this.stackFramePattern = /^\s*at\s+([\w.$]+)\.([\w$<>]+)\(([^():]+):(\d+)\)/;
   }
 
   /**
-   * Process test results from Surefire reports
+   * Process test results from Surefire and Failsafe reports
    */
   async process() {
     core.info('📊 Processing test results...');
 
     try {
       const testResults = await this.parseTestResults();
+      const integrationTestResults = (await this.reportsExist('failsafe-reports'))
+        ? await this.parseTestResults('failsafe-reports')
+        : null;
       const coverageResults = this.generateCoverage ? await this.parseCoverageResults() : null;
+      if (coverageResults) {
+        await this.writeCoverageSummary(coverageResults);
+      }
 
       if (this.publishResults) {
         await this.publishTestResults(testResults);
+        if (integrationTestResults) {
+          await this.publishTestResults(integrationTestResults, 'Integration test');
+        }
       }
 
       return {
         ...testResults,
+        integrationTests: integrationTestResults,
         coverage: coverageResults
       };
     } catch (error) {
@@ -39,181 +70,431 @@ class TestProcessor {
   }
 
   /**
-   * Parse Surefire test reports
+   * Find all reactor modules, identified by their directory relative to the working directory
+   */
+  async findModules() {
+    if (!this.modules) {
+      const directories = await this.cacheManager.findModuleDirectories();
+      this.modules = directories.map((directory) => {
+        const relative = path.relative(this.workingDirectory, directory);
+        return { name: relative ? relative.split(path.sep).join('/') : '.', directory };
+      });
+    }
+    return this.modules;
+  }
+
+  /**
+   * Check if a report directory exists in the target directory of any module
+   */
+  async reportsExist(reportsDirName) {
+    for (const module of await this.findModules()) {
+      try {
+        await fs.access(path.join(module.directory, 'target', reportsDirName));
+        return true;
+      } catch {
+        // Try the next module
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Parse Surefire test reports, or Failsafe reports which use the same format,
+   * of all modules into aggregated totals and a per-module breakdown
    */
-  async parseTestResults() {
-    const surefireDir = path.join(this.workingDirectory, 'target', 'surefire-reports');
+  async parseTestResults(reportsDirName = 'surefire-reports') {
+    const testSuites = [];
+    const failedTests = [];
+    const flakyTests = [];
+    const modules = [];
+
+    for (const module of await this.findModules()) {
+      const moduleResults = await this.parseModuleReports(module, reportsDirName);
+      if (moduleResults) {
+        testSuites.push(...moduleResults.testSuites);
+        failedTests.push(...moduleResults.failedTests);
+        flakyTests.push(...moduleResults.flakyTests);
+        modules.push({ name: module.name, ...this.summarizeSuites(moduleResults.testSuites) });
+      }
+    }
+
+    if (modules.length === 0) {
+      core.warning(
+        `No test results found in target/${reportsDirName} of any module in ${this.workingDirectory}`
+      );
+    }
+
+    return {
+      ...this.summarizeSuites(testSuites),
+      testSuites,
+      failedTests,
+      flakyTests,
+      modules
+    };
+  }
+
+  /**
+   * Parse the test reports of a single module, or return null if it has none
+   */
+  async parseModuleReports(module, reportsDirName) {
+    const reportsDir = path.join(module.directory, 'target', reportsDirName);
 
+    let files;
     try {
-      const files = await fs.readdir(surefireDir);
-      const xmlFiles = files.filter((file) => file.startsWith('TEST-') && file.endsWith('.xml'));
-
-      let totalTests = 0;
-      let totalFailures = 0;
-      let totalErrors = 0;
-      let totalSkipped = 0;
-      let totalTime = 0;
-      const testSuites = [];
-
-      for (const xmlFile of xmlFiles) {
-        const xmlPath = path.join(surefireDir, xmlFile);
-        const xmlContent = await fs.readFile(xmlPath, 'utf8');
-
-        const parser = new XMLParser({
-          ignoreAttributes: false,
-          attributeNamePrefix: '@_'
+      files = await fs.readdir(reportsDir);
+    } catch {
+      return null;
+    }
+
+    const xmlFiles = files.filter((file) => file.startsWith('TEST-') && file.endsWith('.xml'));
+    const testSuites = [];
+    const failedTests = [];
+    const flakyTests = [];
+
+    for (const xmlFile of xmlFiles) {
+      const xmlPath = path.join(reportsDir, xmlFile);
+      const xmlContent = await fs.readFile(xmlPath, 'utf8');
+
+      const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '@_',
+        isArray: (name) => name === 'testcase'
+      });
+
+      const result = parser.parse(xmlContent);
+      const testSuite = result.testsuite;
+
+      if (testSuite) {
+        const suiteFlakyTests = this.parseFlakyTestCases(testSuite);
+
+        testSuites.push({
+          name: testSuite['@_name'],
+          tests: parseInt(testSuite['@_tests'] || '0'),
+          failures: parseInt(testSuite['@_failures'] || '0'),
+          errors: parseInt(testSuite['@_errors'] || '0'),
+          skipped: parseInt(testSuite['@_skipped'] || '0'),
+          flaky: suiteFlakyTests.length,
+          time: parseFloat(testSuite['@_time'] || '0'),
+          className: testSuite['@_name'],
+          module: module.name
         });
 
-        const result = parser.parse(xmlContent);
-        const testSuite = result.testsuite;
-
-        if (testSuite) {
-          const tests = parseInt(testSuite['@_tests'] || '0');
-          const failures = parseInt(testSuite['@_failures'] || '0');
-          const errors = parseInt(testSuite['@_errors'] || '0');
-          const skipped = parseInt(testSuite['@_skipped'] || '0');
-          const time = parseFloat(testSuite['@_time'] || '0');
-
-          totalTests += tests;
-          totalFailures += failures;
-          totalErrors += errors;
-          totalSkipped += skipped;
-          totalTime += time;
-
-          testSuites.push({
-            name: testSuite['@_name'],
-            tests,
-            failures,
-            errors,
-            skipped,
-            time,
-            className: testSuite['@_name']
-          });
-        }
+        failedTests.push(
+          ...this.parseFailedTestCases(testSuite).map((test) => ({ ...test, module: module.name }))
+        );
+        flakyTests.push(...suiteFlakyTests.map((test) => ({ ...test, module: module.name })));
       }
+    }
 
-      const successRate =
-        totalTests > 0
-          ? (((totalTests - totalFailures - totalErrors) / totalTests) * 100).toFixed(2)
-          : '0';
+    for (const test of [...failedTests, ...flakyTests]) {
+      await this.resolveSourceLocation(test, module.directory);
+    }
 
-      return {
-        totalTests,
-        totalFailures,
-        totalErrors,
-        totalSkipped,
-        totalTime: totalTime.toFixed(2),
-        successRate,
-        testSuites
-      };
-    } catch (error) {
-      core.warning(`No test results found in ${surefireDir}`);
-      return {
+    return { testSuites, failedTests, flakyTests };
+  }
+
+  /**
+   * Sum the counts of test suites
+   */
+  summarizeSuites(testSuites) {
+    const totals = testSuites.reduce(
+      (sum, suite) => ({
+        totalTests: sum.totalTests + suite.tests,
+        totalFailures: sum.totalFailures + suite.failures,
+        totalErrors: sum.totalErrors + suite.errors,
+        totalSkipped: sum.totalSkipped + suite.skipped,
+        totalFlaky: sum.totalFlaky + (suite.flaky || 0),
+        totalTime: sum.totalTime + suite.time
+      }),
+      {
         totalTests: 0,
         totalFailures: 0,
         totalErrors: 0,
         totalSkipped: 0,
-        totalTime: '0',
-        successRate: '0',
-        testSuites: []
-      };
-    }
+        totalFlaky: 0,
+        totalTime: 0
+      }
+    );
+
+    const { totalTests, totalFailures, totalErrors } = totals;
+    const successRate =
+      totalTests > 0
+        ? (((totalTests - totalFailures - totalErrors) / totalTests) * 100).toFixed(2)
+        : '0';
+
+    return {
+      ...totals,
+      totalTime: totals.totalTime.toFixed(2),
+      successRate
+    };
   }
 
   /**
-   * Parse JaCoCo coverage results
+   * Parse the failed and errored test cases of a test suite
    */
-  async parseCoverageResults() {
-    const jacocoFile = path.join(this.workingDirectory, 'target', 'site', 'jacoco', 'jacoco.xml');
+  parseFailedTestCases(testSuite) {
+    const failedTests = [];
+
+    for (const testCase of testSuite.testcase || []) {
+      for (const type of ['failure', 'error']) {
+        if (testCase[type] === undefined) continue;
+
+        const [details] = [].concat(testCase[type]);
+        const { attributes, stackTrace } = this.parseFailureDetails(details);
+        const className = testCase['@_classname'] || testSuite['@_name'];
+
+        failedTests.push({
+          className,
+          name: testCase['@_name'],
+          type,
+          exceptionType: attributes['@_type'] || null,
+          message: attributes['@_message'] || stackTrace.split('\n')[0] || `Test ${type}`,
+          stackTrace,
+          time: parseFloat(testCase['@_time'] || '0'),
+          ...this.findStackFrame(stackTrace, className)
+        });
+      }
+    }
 
-    try {
-      const xmlContent = await fs.readFile(jacocoFile, 'utf8');
+    return failedTests;
+  }
 
-      const parser = new XMLParser({
-        ignoreAttributes: false,
-        attributeNamePrefix: '@_'
+  /**
+   * Parse the test cases that failed and then passed when Surefire reran them
+   *
+   * Tests that never passed keep their failure and only list `rerunFailure`
+   * entries, so they are reported as failed tests, not as flaky ones.
+   */
+  parseFlakyTestCases(testSuite) {
+    const flakyTests = [];
+
+    for (const testCase of testSuite.testcase || []) {
+      if (testCase.failure !== undefined || testCase.error !== undefined) continue;
+
+      const flakyRuns = [
+        ...[].concat(testCase.flakyFailure ?? []).map((details) => ['failure', details]),
+        ...[].concat(testCase.flakyError ?? []).map((details) => ['error', details])
+      ];
+      if (flakyRuns.length === 0) continue;
+
+      const [type, details] = flakyRuns[0];
+      const { attributes, stackTrace } = this.parseFailureDetails(details);
+      const className = testCase['@_classname'] || testSuite['@_name'];
+
+      flakyTests.push({
+        className,
+        name: testCase['@_name'],
+        type,
+        flakyRuns: flakyRuns.length,
+        message: attributes['@_message'] || stackTrace.split('\n')[0] || `Flaky ${type}`,
+        stackTrace,
+        ...this.findStackFrame(stackTrace, className)
       });
+    }
 
-      const result = parser.parse(xmlContent);
-      const report = result.report;
-
-      if (report && report.counter) {
-        const counters = Array.isArray(report.counter) ? report.counter : [report.counter];
+    return flakyTests;
+  }
 
-        const instructionCounter = counters.find((c) => c['@_type'] === 'INSTRUCTION');
-        const branchCounter = counters.find((c) => c['@_type'] === 'BRANCH');
-        const lineCounter = counters.find((c) => c['@_type'] === 'LINE');
+  /**
+   * Get the attributes and stack trace of a failure, error or rerun element
+   *
+   * Elements with attributes parse to objects and bare elements to their text.
+   * Rerun elements keep the stack trace in a nested `stackTrace` element.
+   */
+  parseFailureDetails(details) {
+    const attributes = typeof details === 'object' ? details : { '#text': details };
+    const stackTrace = String(attributes.stackTrace ?? attributes['#text'] ?? '');
+    return { attributes, stackTrace };
+  }
 
-        const calculatePercentage = (counter) => {
-          if (!counter) return '0';
-          const covered = parseInt(counter['@_covered'] || '0');
-          const missed = parseInt(counter['@_missed'] || '0');
-          const total = covered + missed;
-          return total > 0 ? ((covered / total) * 100).toFixed(2) : '0';
-        };
+  /**
+   * Find the stack frame of the test class, including its nested classes
+   */
+  findStackFrame(stackTrace, className) {
+    for (const line of stackTrace.split('\n')) {
+      const match = line.match(this.stackFramePattern);
+      if (match && (match[1] === className || match[1].startsWith(`${className}$`))) {
+        return { sourceFile: match[3], line: parseInt(match[4]) };
+      }
+    }
+    return { sourceFile: null, line: null };
+  }
 
-        return {
-          instructionCoverage: calculatePercentage(instructionCounter),
-          branchCoverage: calculatePercentage(branchCounter),
-          lineCoverage: calculatePercentage(lineCounter),
-          reportPath: jacocoFile
-        };
+  /**
+   * Resolve the repository path of the source file a failed test points to
+   */
+  async resolveSourceLocation(failedTest, moduleDirectory) {
+    failedTest.file = null;
+    if (!failedTest.sourceFile) return;
+
+    const packagePath = failedTest.className.split('.').slice(0, -1);
+    for (const sourceRoot of this.testSourceRoots) {
+      const candidate = path.join(
+        moduleDirectory,
+        sourceRoot,
+        ...packagePath,
+        failedTest.sourceFile
+      );
+      try {
+        await fs.access(candidate);
+        failedTest.file = this.toWorkspacePath(candidate);
+        return;
+      } catch {
+        // Try the next source root
       }
+    }
+  }
 
-      return null;
-    } catch (error) {
-      core.warning(`No coverage results found: ${error.message}`);
-      return null;
+  /**
+   * Convert a file path into a path relative to the repository root
+   */
+  toWorkspacePath(file) {
+    const relative = path.relative(this.workspace, path.resolve(file));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return file;
     }
+    return relative.split(path.sep).join('/');
   }
 
   /**
-   * Publish test results as GitHub Actions annotations
+   * Parse JaCoCo or Cobertura coverage results of all modules into aggregated and
+   * per-module coverage
+   *
+   * Aggregate reports, when present, replace the per-module reports for the totals
+   * and provide the line coverage of modules without their own report.
    */
-  async publishTestResults(testResults) {
-    core.info('📋 Publishing test results...');
+  async parseCoverageResults() {
+    const reports = await this.coverageReportLocator.locate(await this.findModules());
+    if (reports.length === 0) {
+      core.warning('No coverage results found');
+      return null;
+    }
 
-    // Create summary
-    const summary = `
-## Test Results Summary
+    const moduleReports = reports.filter((report) => !report.aggregate);
+    const aggregateReports = reports.filter((report) => report.aggregate);
+    const totalReports = aggregateReports.length > 0 ? aggregateReports : moduleReports;
 
-| Metric | Value |
-|--------|-------|
-| Total Tests | ${testResults.totalTests} |
-| Passed | ${testResults.totalTests - testResults.totalFailures - testResults.totalErrors} |
-| Failed | ${testResults.totalFailures} |
-| Errors | ${testResults.totalErrors} |
-| Skipped | ${testResults.totalSkipped} |
-| Success Rate | ${testResults.successRate}% |
-| Duration | ${testResults.totalTime}s |
-`;
+    const totals = {};
+    for (const { counters } of totalReports) {
+      for (const [type, counter] of Object.entries(counters)) {
+        totals[type] = {
+          covered: (totals[type]?.covered || 0) + counter.covered,
+          missed: (totals[type]?.missed || 0) + counter.missed
+        };
+      }
+    }
 
-    core.summary.addRaw(summary);
+    return {
+      ...this.calculateCoverage(totals),
+      format: totalReports[0].format,
+      reportPath: totalReports[0].reportPath,
+      sourceFiles:
+        aggregateReports.length > 0
+          ? Object.assign({}, ...aggregateReports.map((report) => report.sourceFiles))
+          : null,
+      modules: moduleReports.map((report) => ({
+        name: report.module.name,
+        format: report.format,
+        reportPath: report.reportPath,
+        sourceFiles: report.sourceFiles,
+        ...this.calculateCoverage(report.counters)
+      })),
+      packages: this.rankCoverageItems(totalReports, 'packages'),
+      classes: this.rankCoverageItems(totalReports, 'classes')
+    };
+  }
 
-    // Add test suite details
-    if (testResults.testSuites.length > 0) {
-      core.summary.addHeading('Test Suites', 3);
+  /**
+   * List the packages or classes of coverage reports, least covered first
+   *
+   * Items are ordered by line coverage, then by missed lines, so large
+   * uncovered classes come before small ones. Items without lines, such as
+   * interfaces, are left out.
+   */
+  rankCoverageItems(reports, kind) {
+    return reports
+      .flatMap((report) =>
+        report[kind].map((item) => ({
+          name: item.name,
+          module: report.module.name,
+          ...this.calculateCoverage(item.counters),
+          coveredLines: item.counters.LINE?.covered || 0,
+          missedLines: item.counters.LINE?.missed || 0
+        }))
+      )
+      .filter((item) => item.coveredLines + item.missedLines > 0)
+      .sort(
+        (a, b) =>
+          parseFloat(a.lineCoverage) - parseFloat(b.lineCoverage) || b.missedLines - a.missedLines
+      );
+  }
 
-      const tableData = testResults.testSuites.map((suite) => [
-        suite.name,
-        suite.tests.toString(),
-        suite.failures.toString(),
-        suite.errors.toString(),
-        suite.skipped.toString(),
-        `${suite.time}s`
-      ]);
+  /**
+   * Write the coverage results, without per-line data, as JSON for downstream jobs
+   */
+  async writeCoverageSummary(coverage) {
+    const summaryPath = this.coverageReportLocator.getSummaryPath(this.workingDirectory);
+    const withoutLines = ({ sourceFiles: _sourceFiles, ...rest }) => rest;
+    const summary = { ...withoutLines(coverage), modules: coverage.modules.map(withoutLines) };
 
-      core.summary.addTable([
-        ['Suite', 'Tests', 'Failures', 'Errors', 'Skipped', 'Time'],
-        ...tableData
-      ]);
+    try {
+      await fs.mkdir(path.dirname(summaryPath), { recursive: true });
+      await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
+      core.info(`📝 Coverage summary written to ${summaryPath}`);
+      return summaryPath;
+    } catch (error) {
+      core.warning(`Failed to write coverage summary: ${error.message}`);
+      return null;
     }
+  }
 
-    await core.summary.write();
+  /**
+   * Calculate coverage percentages from JaCoCo counters, or null for metrics the
+   * report format does not measure or without any item, such as branches of
+   * code without branches
+   */
+  calculateCoverage(counters) {
+    const calculatePercentage = (counter) => {
+      if (!counter) return null;
+      const total = counter.covered + counter.missed;
+      return total > 0 ? ((counter.covered / total) * 100).toFixed(2) : null;
+    };
+
+    return {
+      instructionCoverage: calculatePercentage(counters.INSTRUCTION),
+      branchCoverage: calculatePercentage(counters.BRANCH),
+      lineCoverage: calculatePercentage(counters.LINE)
+    };
+  }
+
+  /**
+   * Publish test results as GitHub Actions annotations
+   */
+  async publishTestResults(testResults, label = 'Test') {
+    core.info(`📋 Publishing ${label.toLowerCase()} results...`);
+
+    // Add an annotation for each failed test
+    for (const failedTest of testResults.failedTests || []) {
+      const stackLines = failedTest.stackTrace.split('\n').slice(0, this.annotationStackLines);
+      core.error(`${failedTest.message}\n\n${stackLines.join('\n')}`.trim(), {
+        title: `${label} ${failedTest.type}: ${failedTest.className}.${failedTest.name}`,
+        file: failedTest.file || undefined,
+        startLine: failedTest.file ? failedTest.line : undefined
+      });
+    }
+
+    // Flaky tests passed on a rerun, so they are warnings rather than failures
+    for (const flakyTest of testResults.flakyTests || []) {
+      core.warning(`Passed after ${flakyTest.flakyRuns} failed run(s): ${flakyTest.message}`, {
+        title: `Flaky ${label.toLowerCase()}: ${flakyTest.className}.${flakyTest.name}`,
+        file: flakyTest.file || undefined,
+        startLine: flakyTest.file ? flakyTest.line : undefined
+      });
+    }
 
-    // Add annotations for failures
     if (testResults.totalFailures > 0 || testResults.totalErrors > 0) {
-      core.warning(`${testResults.totalFailures + testResults.totalErrors} test(s) failed`);
+      const failed = testResults.totalFailures + testResults.totalErrors;
+      core.warning(`${failed} ${label.toLowerCase()}(s) failed`);
     }
   }
 }
@@ -0,0 +1,201 @@
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+const os = require('os');
+const path = require('path');
+const { MavenExecutor } = require('../executors/maven-executor');
+
+/**
+ * Resolves the dependencies of all reactor modules for the dependency scanners
+ *
+ * Dependencies are resolved once per run and shared between scanners.
+ */
+class DependencyResolver {
+  constructor(validatedInputs, mavenExecutor = new MavenExecutor(validatedInputs)) {
+    this.workingDirectory = validatedInputs.workingDirectory;
+    this.mavenExecutor = mavenExecutor;
+    // dependency:tree line such as "|  +- org.example:lib:jar:1.0:compile"
+    this.treeLinePattern = /^((?:[| ] {2})*)[+\\]- (\S+)/;
+    // dependency:tree root line of a module such as "org.example:app:jar:1.0"
+    this.moduleLinePattern = /^([^\s:]+):([^\s:]+):([^\s:]+):([^\s:]+)$/;
+    this.scopes = ['compile', 'provided', 'runtime', 'system', 'import'];
+    this.dependencyTree = null;
+    this.dependencies = null;
+    this.localRepository = null;
+  }
+
+  /**
+   * Resolve the dependencies of all modules with `dependency:tree`
+   */
+  async resolve() {
+    if (!this.dependencies) {
+      this.dependencies = this.getDependencyTree().then((output) =>
+        this.parseDependencyTree(output)
+      );
+      // Let a later scanner retry a failed resolution
+      this.dependencies.catch(() => {
+        this.dependencies = null;
+      });
+    }
+    return this.dependencies;
+  }
+
+  /**
+   * Resolve the dependencies of each module, keyed by "groupId:artifactId:version"
+   */
+  async resolveModules() {
+    return this.parseModuleDependencies(await this.getDependencyTree());
+  }
+
+  /**
+   * Get the `dependency:tree` output of all modules, running Maven once
+   */
+  getDependencyTree() {
+    if (!this.dependencyTree) {
+      this.dependencyTree = this.runMaven(['dependency:tree']);
+      this.dependencyTree.catch(() => {
+        this.dependencyTree = null;
+      });
+    }
+    return this.dependencyTree;
+  }
+
+  /**
+   * Get the local repository Maven resolves dependencies into
+   */
+  async getLocalRepository() {
+    if (!this.localRepository) {
+      try {
+        const output = await this.runMaven([
+          'help:evaluate',
+          '-Dexpression=settings.localRepository',
+          '-q',
+          '-DforceStdout'
+        ]);
+        this.localRepository = output.trim();
+      } catch (error) {
+        core.debug(`Could not evaluate the local repository: ${error.message}`);
+      }
+      this.localRepository = this.localRepository || path.join(os.homedir(), '.m2', 'repository');
+    }
+    return this.localRepository;
+  }
+
+  /**
+   * Run Maven in batch mode and return its standard output
+   *
+   * Maven runs with the command, settings file and arguments of the build, so
+   * the wrapper and private repositories apply.
+   */
+  async runMaven(args) {
+    let output = '';
+    const command = this.mavenExecutor.mavenCommand;
+    const configurationArgs = this.mavenExecutor.getConfigurationArgs();
+    const exitCode = await exec.exec(command, ['-B', ...args, ...configurationArgs], {
+      cwd: this.workingDirectory,
+      ignoreReturnCode: true,
+      silent: true,
+      listeners: {
+        stdout: (data) => {
+          output += data.toString();
+        }
+      }
+    });
+
+    if (exitCode !== 0) {
+      throw new Error(`${args[0]} failed with exit code ${exitCode}`);
+    }
+    return output;
+  }
+
+  /**
+   * Parse `dependency:tree` output into unique dependencies, each with the
+   * direct dependency that pulls it in when it is transitive
+   *
+   * Test dependencies and anything only they pull in are left out.
+   */
+  parseDependencyTree(output) {
+    const dependencies = new Map();
+    const ancestors = [];
+
+    for (const rawLine of output.split('\n')) {
+      const line = rawLine.replace(/^\[INFO\] /, '').trimEnd();
+      const match = line.match(this.treeLinePattern);
+      if (!match) continue;
+
+      const depth = match[1].length / 3;
+      const dependency = this.parseCoordinates(match[2]);
+      ancestors.length = depth;
+      ancestors.push(dependency);
+      if (!dependency || ancestors.some((ancestor) => !ancestor)) continue;
+
+      const key = `${dependency.groupId}:${dependency.artifactId}:${dependency.version}`;
+      if (!dependencies.has(key)) {
+        dependencies.set(key, {
+          ...dependency,
+          directDependency:
+            depth > 0
+              ? { groupId: ancestors[0].groupId, artifactId: ancestors[0].artifactId }
+              : null
+        });
+      }
+    }
+
+    return [...dependencies.values()];
+  }
+
+  /**
+   * Parse `dependency:tree` output into the unique dependencies of each module
+   *
+   * Test dependencies and anything only they pull in are left out.
+   */
+  parseModuleDependencies(output) {
+    const modules = new Map();
+    let moduleDependencies = null;
+    const ancestors = [];
+
+    for (const rawLine of output.split('\n')) {
+      const line = rawLine.replace(/^\[INFO\] /, '').trimEnd();
+
+      const moduleMatch = line.match(this.moduleLinePattern);
+      if (moduleMatch) {
+        moduleDependencies = new Map();
+        modules.set(`${moduleMatch[1]}:${moduleMatch[2]}:${moduleMatch[4]}`, moduleDependencies);
+        continue;
+      }
+
+      const match = line.match(this.treeLinePattern);
+      if (!match || !moduleDependencies) continue;
+
+      const depth = match[1].length / 3;
+      const dependency = this.parseCoordinates(match[2]);
+      ancestors.length = depth;
+      ancestors.push(dependency);
+      if (!dependency || ancestors.some((ancestor) => !ancestor)) continue;
+
+      const key = `${dependency.groupId}:${dependency.artifactId}:${dependency.version}`;
+      if (!moduleDependencies.has(key)) {
+        moduleDependencies.set(key, dependency);
+      }
+    }
+
+    return new Map(
+      [...modules].map(([module, dependencies]) => [module, [...dependencies.values()]])
+    );
+  }
+
+  /**
+   * Parse "groupId:artifactId:type[:classifier]:version:scope", or return null
+   * for test dependencies and unexpected formats
+   */
+  parseCoordinates(coordinates) {
+    const parts = coordinates.split(':');
+    if (parts.length !== 5 && parts.length !== 6) return null;
+
+    const scope = parts[parts.length - 1];
+    if (!this.scopes.includes(scope)) return null;
+
+    return { groupId: parts[0], artifactId: parts[1], version: parts[parts.length - 2], scope };
+  }
+}
+
+module.exports = { DependencyResolver };
@@ -0,0 +1,195 @@
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { DependencyResolver } = require('./dependency-resolver');
+
+/**
+ * Checks the licenses of all resolved dependencies against an allow/deny policy
+ *
+ * Licenses are read from the dependency POMs in the local repository, following
+ * parent POMs for dependencies that inherit them, and normalized to SPDX ids
+ * where the name or URL is recognized. A dependency is compliant when any of its
+ * licenses is not denied and, with an allow list, allowed.
+ */
+class LicenseScanner {
+  constructor(validatedInputs, dependencyResolver = new DependencyResolver(validatedInputs)) {
+    this.workingDirectory = validatedInputs.workingDirectory;
+    this.allowedLicenses = validatedInputs.allowedLicenses || [];
+    this.deniedLicenses = validatedInputs.deniedLicenses || [];
+    this.policyFile = validatedInputs.licensePolicyFile;
+    this.dependencyResolver = dependencyResolver;
+    this.maxParentDepth = 10;
+    // SPDX ids by patterns of common license names and URLs, most specific first
+    this.spdxPatterns = [
+      [/apache.*2(\.0)?|apache-2\.0|licenses\/license-2\.0/i, 'Apache-2.0'],
+      [/\bmit\b|opensource\.org\/licenses\/mit/i, 'MIT'],
+      [/bsd.*3|3.clause|new bsd|revised bsd|bsd-3-clause/i, 'BSD-3-Clause'],
+      [/bsd.*2|2.clause|simplified bsd|freebsd|bsd-2-clause/i, 'BSD-2-Clause'],
+      [/eclipse public license.*2|epl.?2/i, 'EPL-2.0'],
+      [/eclipse public license|epl.?1/i, 'EPL-1.0'],
+      [/eclipse distribution license|\bedl\b/i, 'BSD-3-Clause'],
+      [/affero|agpl/i, 'AGPL-3.0'],
+      [/lesser.*3|lgpl.?3/i, 'LGPL-3.0'],
+      [/lesser|library general|lgpl/i, 'LGPL-2.1'],
+      [
+        /(gpl|general public license).*classpath|classpath exception/i,
+        'GPL-2.0-with-classpath-exception'
+      ],
+      [/(gpl|general public license).*3|gpl.?3/i, 'GPL-3.0'],
+      [/gpl|general public license/i, 'GPL-2.0'],
+      [/mozilla.*2|mpl.?2/i, 'MPL-2.0'],
+      [/cddl.*1\.1|common development.*1\.1/i, 'CDDL-1.1'],
+      [/cddl|common development/i, 'CDDL-1.0'],
+      [/public domain|cc0/i, 'CC0-1.0']
+    ];
+    // Versions such as "2.0" stay strings
+    this.parser = new XMLParser({
+      parseTagValue: false,
+      isArray: (name) => name === 'license'
+    });
+  }
+
+  /**
+   * Check the licenses of all resolved dependencies, or return null if the check failed
+   */
+  async scan() {
+    core.info('⚖️ Checking dependency licenses...');
+
+    try {
+      const policy = await this.loadPolicy();
+      const dependencies = await this.dependencyResolver.resolve();
+      const repository = await this.dependencyResolver.getLocalRepository();
+
+      const checked = [];
+      for (const dependency of dependencies) {
+        if (this.isIgnored(dependency, policy.ignored)) continue;
+
+        const licenses = await this.readLicenses(repository, dependency);
+        checked.push({ ...dependency, licenses, reason: this.checkLicenses(licenses, policy) });
+      }
+
+      const violations = checked.filter((dependency) => dependency.reason);
+      core.info(
+        `⚖️ Checked licenses of ${checked.length} dependencies, ${violations.length} violate the policy`
+      );
+
+      return {
+        dependencies: checked.length,
+        unknown: checked.filter((dependency) => dependency.licenses.length === 0).length,
+        violations,
+        passed: violations.length === 0
+      };
+    } catch (error) {
+      core.warning(`License check failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Combine the allow and deny lists of the inputs and the policy file
+   *
+   * The policy file is JSON with optional `allowed` and `denied` license lists
+   * and an `ignored` list of "groupId:artifactId" or "groupId:*" patterns.
+   */
+  async loadPolicy() {
+    let filePolicy = {};
+    if (this.policyFile) {
+      const policyPath = path.resolve(this.workingDirectory, this.policyFile);
+      filePolicy = JSON.parse(await fs.readFile(policyPath, 'utf8'));
+    }
+
+    const normalize = (licenses) => licenses.map((license) => this.toSpdxId(license));
+    return {
+      allowed: normalize([...this.allowedLicenses, ...(filePolicy.allowed || [])]),
+      denied: normalize([...this.deniedLicenses, ...(filePolicy.denied || [])]),
+      ignored: filePolicy.ignored || []
+    };
+  }
+
+  /**
+   * Check if a dependency matches an ignored "groupId:artifactId" or "groupId:*" pattern
+   */
+  isIgnored(dependency, ignored) {
+    return ignored.some((pattern) => {
+      const [groupId, artifactId] = pattern.split(':');
+      return (
+        groupId === dependency.groupId &&
+        (artifactId === '*' || artifactId === dependency.artifactId)
+      );
+    });
+  }
+
+  /**
+   * Get the reason a dependency's licenses violate the policy, or null if they comply
+   */
+  checkLicenses(licenses, policy) {
+    if (licenses.length === 0) {
+      return policy.allowed.length > 0 ? 'No license found' : null;
+    }
+
+    const ids = licenses.map((license) => license.id);
+    const notDenied = ids.filter((id) => !policy.denied.includes(id));
+    if (notDenied.length === 0) return 'Denied';
+
+    if (policy.allowed.length > 0 && !notDenied.some((id) => policy.allowed.includes(id))) {
+      return 'Not allowed';
+    }
+    return null;
+  }
+
+  /**
+   * Read the licenses of a dependency from its POM, or from the closest parent POM declaring any
+   */
+  async readLicenses(repository, dependency) {
+    let coordinates = dependency;
+
+    for (let depth = 0; coordinates && depth <= this.maxParentDepth; depth++) {
+      const pom = await this.readPom(repository, coordinates);
+      if (!pom) return [];
+
+      const licenses = pom.licenses?.license || [];
+      if (licenses.length > 0) {
+        return licenses.map((license) => ({
+          name: license.name || license.url || 'Unnamed',
+          id: this.toSpdxId(license.name || license.url || '', license.url)
+        }));
+      }
+      coordinates = pom.parent?.artifactId ? pom.parent : null;
+    }
+
+    return [];
+  }
+
+  /**
+   * Read the POM of an artifact in the local repository, or return null if it is missing
+   */
+  async readPom(repository, { groupId, artifactId, version }) {
+    const pomPath = path.join(
+      repository,
+      ...groupId.split('.'),
+      artifactId,
+      version,
+      `${artifactId}-${version}.pom`
+    );
+
+    try {
+      return this.parser.parse(await fs.readFile(pomPath, 'utf8')).project || null;
+    } catch (error) {
+      core.debug(`Could not read ${pomPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the SPDX id of a license name or URL, or the name itself if it is not recognized
+   */
+  toSpdxId(name, url = '') {
+    for (const [pattern, id] of this.spdxPatterns) {
+      if (pattern.test(name) || (url && pattern.test(url))) return id;
+    }
+    return name.trim();
+  }
+}
+
+module.exports = { LicenseScanner };
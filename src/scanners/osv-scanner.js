@@ -0,0 +1,172 @@
+const core = require('@actions/core');
+const tc = require('@actions/tool-cache');
+const fs = require('fs').promises;
+const path = require('path');
+const glob = require('glob');
+const { MavenVersion } = require('../utils/maven-version');
+const { DependencyResolver } = require('./dependency-resolver');
+
+/**
+ * Scans the resolved dependency tree against a local OSV database export,
+ * without network access
+ *
+ * The database is a directory or zip of OSV JSON files, such as
+ * https://osv-vulnerabilities.storage.googleapis.com/Maven/all.zip.
+ */
+class OsvScanner {
+  constructor(validatedInputs, dependencyResolver = new DependencyResolver(validatedInputs)) {
+    this.workingDirectory = validatedInputs.workingDirectory;
+    this.databasePath = validatedInputs.osvDatabase;
+    this.mavenVersion = new MavenVersion();
+    this.dependencyResolver = dependencyResolver;
+  }
+
+  /**
+   * Run the OSV scan, skipped without a database
+   *
+   * Fails when the database cannot be loaded or the dependencies cannot be
+   * resolved, rather than reporting no findings.
+   */
+  async scan() {
+    core.info('🗄️ Running OSV scan against the local database...');
+
+    if (!this.databasePath) {
+      core.warning('osv-database not set, skipping OSV scan');
+      return null;
+    }
+
+    const database = await this.loadDatabase(
+      path.resolve(this.workingDirectory, this.databasePath)
+    );
+    const dependencies = await this.dependencyResolver.resolve();
+    const vulnerabilities = this.matchVulnerabilities(dependencies, database);
+
+    core.info(
+      `🗄️ OSV scan checked ${dependencies.length} dependencies, found ${vulnerabilities.length} vulnerabilities`
+    );
+
+    return {
+      success: vulnerabilities.length === 0,
+      vulnerabilities: vulnerabilities.length,
+      criticalSeverity: vulnerabilities.filter((v) => v.severity === 'critical').length,
+      highSeverity: vulnerabilities.filter((v) => v.severity === 'high').length,
+      mediumSeverity: vulnerabilities.filter((v) => v.severity === 'medium').length,
+      lowSeverity: vulnerabilities.filter((v) => v.severity === 'low').length,
+      dependencies: dependencies.length,
+      details: vulnerabilities
+    };
+  }
+
+  /**
+   * Load the Maven advisories of an OSV export, keyed by "groupId:artifactId"
+   */
+  async loadDatabase(databasePath) {
+    const stats = await fs.stat(databasePath);
+    const directory = stats.isDirectory() ? databasePath : await tc.extractZip(databasePath);
+
+    const database = new Map();
+    for (const file of glob.sync('**/*.json', { cwd: directory, nodir: true })) {
+      let advisory;
+      try {
+        advisory = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+      } catch (error) {
+        core.debug(`Skipping unreadable OSV file ${file}: ${error.message}`);
+        continue;
+      }
+
+      for (const affected of advisory.affected || []) {
+        if (affected.package?.ecosystem !== 'Maven') continue;
+
+        const name = affected.package.name;
+        if (!database.has(name)) database.set(name, []);
+        database.get(name).push({ advisory, affected });
+      }
+    }
+
+    core.info(`🗄️ Loaded OSV advisories for ${database.size} Maven packages`);
+    return database;
+  }
+
+  /**
+   * Match each dependency against the advisories of its package
+   */
+  matchVulnerabilities(dependencies, database) {
+    const vulnerabilities = [];
+
+    for (const dependency of dependencies) {
+      const entries = database.get(`${dependency.groupId}:${dependency.artifactId}`) || [];
+      for (const { advisory, affected } of entries) {
+        if (this.isAffected(dependency.version, affected)) {
+          vulnerabilities.push(this.toVulnerability(advisory, dependency));
+        }
+      }
+    }
+
+    return vulnerabilities;
+  }
+
+  /**
+   * Check if a version is listed as affected or falls in an affected range
+   */
+  isAffected(version, affected) {
+    if ((affected.versions || []).includes(version)) return true;
+
+    return (affected.ranges || [])
+      .filter((range) => range.type === 'ECOSYSTEM')
+      .some((range) => this.isInRange(version, range.events || []));
+  }
+
+  /**
+   * Check if a version falls in an OSV range, replaying its events in version order
+   */
+  isInRange(version, events) {
+    const eventVersion = (event) =>
+      event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+    const sorted = [...events].sort((a, b) =>
+      this.mavenVersion.compare(eventVersion(a), eventVersion(b))
+    );
+
+    let affected = false;
+    for (const event of sorted) {
+      if (event.introduced !== undefined) {
+        if (event.introduced === '0' || this.mavenVersion.compare(version, event.introduced) >= 0) {
+          affected = true;
+        }
+      } else if (event.fixed !== undefined || event.limit !== undefined) {
+        if (this.mavenVersion.compare(version, event.fixed ?? event.limit) >= 0) {
+          affected = false;
+        }
+      } else if (event.last_affected !== undefined) {
+        if (this.mavenVersion.compare(version, event.last_affected) > 0) {
+          affected = false;
+        }
+      }
+    }
+    return affected;
+  }
+
+  /**
+   * Convert an advisory affecting a dependency into a finding
+   */
+  toVulnerability(advisory, dependency) {
+    const severity = (advisory.database_specific?.severity || '').toLowerCase();
+
+    return {
+      id: advisory.id,
+      cve: (advisory.aliases || []).find((alias) => /^CVE-/.test(alias)) || null,
+      title: advisory.summary || advisory.id,
+      description: advisory.details,
+      // GitHub advisories rate "moderate" what the other scanners call "medium"
+      severity: severity === 'moderate' ? 'medium' : severity || null,
+      packageName: `${dependency.groupId}:${dependency.artifactId}`,
+      groupId: dependency.groupId,
+      artifactId: dependency.artifactId,
+      version: dependency.version,
+      cvssScore: null,
+      directDependency: dependency.directDependency,
+      references: (advisory.references || []).map((ref) => ref.url)
+    };
+  }
+}
+
+module.exports = { OsvScanner };
@@ -0,0 +1,235 @@
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const path = require('path');
+const { CacheManager } = require('../managers/cache-manager');
+
+/**
+ * Exports dependency vulnerabilities found by the security scanners as SARIF 2.1.0
+ */
+class SarifExporter {
+  constructor(validatedInputs, cacheManager = new CacheManager(validatedInputs)) {
+    this.workingDirectory = validatedInputs.workingDirectory;
+    this.cacheManager = cacheManager;
+    this.workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    this.sarifFileName = 'dependency-vulnerabilities.sarif';
+    // SARIF result levels by scanner severity
+    this.levels = {
+      critical: 'error',
+      high: 'error',
+      medium: 'warning',
+      moderate: 'warning',
+      low: 'note'
+    };
+    // GitHub security severity scores used when a finding has no CVSS score
+    this.severityScores = {
+      critical: '9.5',
+      high: '8.0',
+      medium: '5.5',
+      moderate: '5.5',
+      low: '2.0'
+    };
+  }
+
+  /**
+   * Write the findings of all scanners to a SARIF file, or return null if writing failed
+   */
+  async write(scanResults) {
+    const sarifPath = path.join(this.workingDirectory, 'target', this.sarifFileName);
+
+    try {
+      const sarif = await this.createSarif(this.collectFindings(scanResults));
+      await fs.mkdir(path.dirname(sarifPath), { recursive: true });
+      await fs.writeFile(sarifPath, JSON.stringify(sarif, null, 2));
+
+      core.info(`📝 SARIF report written to ${sarifPath}`);
+      return sarifPath;
+    } catch (error) {
+      core.warning(`Failed to write SARIF report: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Collect the findings of all scanners, skipping the same vulnerability of the
+   * same dependency reported by several scanners
+   */
+  collectFindings(scanResults) {
+    const findings = new Map();
+
+    for (const [scanner, results] of Object.entries(scanResults || {})) {
+      for (const finding of results?.details || []) {
+        const ruleId = finding.cve || finding.id;
+        const key = `${ruleId}|${finding.groupId}:${finding.artifactId}@${finding.version}`;
+        if (!findings.has(key)) {
+          findings.set(key, { ...finding, ruleId, scanner });
+        }
+      }
+    }
+
+    return [...findings.values()];
+  }
+
+  /**
+   * Create a SARIF log with one rule per vulnerability and one result per affected dependency
+   */
+  async createSarif(findings) {
+    const pomFiles = (await this.cacheManager.findModuleDirectories()).map((dir) =>
+      path.join(dir, 'pom.xml')
+    );
+    const poms = await this.readPoms(pomFiles);
+
+    const rules = new Map();
+    const results = [];
+
+    for (const finding of findings) {
+      const severity = (finding.severity || '').toLowerCase();
+      const level = this.levels[severity] || 'warning';
+
+      if (!rules.has(finding.ruleId)) {
+        rules.set(finding.ruleId, {
+          id: finding.ruleId,
+          shortDescription: { text: this.firstLine(finding.title || finding.ruleId) },
+          fullDescription: { text: finding.description || finding.title || finding.ruleId },
+          helpUri: this.getHelpUri(finding),
+          defaultConfiguration: { level },
+          properties: {
+            tags: ['security', 'dependency'],
+            'security-severity': finding.cvssScore
+              ? String(finding.cvssScore)
+              : this.severityScores[severity] || this.severityScores.medium
+          }
+        });
+      }
+
+      const dependency = `${finding.groupId}:${finding.artifactId}:${finding.version}`;
+      results.push({
+        ruleId: finding.ruleId,
+        level,
+        message: {
+          text: `${dependency} is affected by ${finding.ruleId} (${severity || 'unknown'} severity, reported by ${finding.scanner})`
+        },
+        locations: [this.findDeclaration(finding, poms)]
+      });
+    }
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'maven-actions dependency scan',
+              informationUri: 'https://github.com/dienha93/maven-actions',
+              rules: [...rules.values()]
+            }
+          },
+          results
+        }
+      ]
+    };
+  }
+
+  /**
+   * Read the lines of each pom.xml, skipping unreadable files
+   */
+  async readPoms(pomFiles) {
+    const poms = [];
+    for (const pomFile of pomFiles) {
+      try {
+        poms.push({ pomFile, lines: (await fs.readFile(pomFile, 'utf8')).split('\n') });
+      } catch {
+        // Module without a readable pom.xml
+      }
+    }
+    return poms;
+  }
+
+  /**
+   * Locate the `<dependency>` declaration of the vulnerable dependency, or of the
+   * direct dependency that pulls it in, falling back to the top of the root pom.xml
+   */
+  findDeclaration(finding, poms) {
+    const candidates = [finding, finding.directDependency].filter(
+      (dependency) => dependency && dependency.artifactId
+    );
+
+    for (const dependency of candidates) {
+      for (const { pomFile, lines } of poms) {
+        const region = this.findDependencyBlock(lines, dependency);
+        if (region) {
+          return this.toLocation(pomFile, region);
+        }
+      }
+    }
+
+    const rootPom = poms[0]?.pomFile || path.join(this.workingDirectory, 'pom.xml');
+    return this.toLocation(rootPom, { startLine: 1 });
+  }
+
+  /**
+   * Find the lines of a `<dependency>` block declaring a groupId and artifactId
+   */
+  findDependencyBlock(lines, dependency) {
+    let block = null;
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index];
+      if (line.includes('<dependency>')) {
+        block = { startLine: index + 1, text: '' };
+      }
+      if (!block) continue;
+
+      block.text += line;
+      if (line.includes('</dependency>')) {
+        // Excluded artifacts are not declared by the block
+        const text = block.text.replace(/<exclusions>[\s\S]*?<\/exclusions>/g, '');
+        const declares = (tag, value) => !value || text.includes(`<${tag}>${value}</${tag}>`);
+        if (
+          declares('groupId', dependency.groupId) &&
+          declares('artifactId', dependency.artifactId)
+        ) {
+          return { startLine: block.startLine, endLine: index + 1 };
+        }
+        block = null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a SARIF location for a region of a file, relative to the repository root
+   */
+  toLocation(file, region) {
+    const relative = path.relative(this.workspace, path.resolve(file));
+    const uri =
+      relative.startsWith('..') || path.isAbsolute(relative)
+        ? file
+        : relative.split(path.sep).join('/');
+
+    return { physicalLocation: { artifactLocation: { uri }, region } };
+  }
+
+  /**
+   * Get the advisory URL of a finding
+   */
+  getHelpUri(finding) {
+    if (finding.references && finding.references.length > 0) {
+      return finding.references[0];
+    }
+    if (/^CVE-/.test(finding.ruleId)) {
+      return `https://nvd.nist.gov/vuln/detail/${finding.ruleId}`;
+    }
+    return undefined;
+  }
+
+  /**
+   * Get the first line of a text
+   */
+  firstLine(text) {
+    return text.split('\n')[0].trim();
+  }
+}
+
+module.exports = { SarifExporter };
@@ -2,31 +2,79 @@ const core = require('@actions/core');
 const exec = require('@actions/exec');
 const fs = require('fs').promises;
 const path = require('path');
+const { CacheManager } = require('../managers/cache-manager');
+const { SarifExporter } = require('./sarif-exporter');
+const { OsvScanner } = require('./osv-scanner');
+const { DependencyResolver } = require('./dependency-resolver');
+const { VulnerabilityBaseline } = require('./vulnerability-baseline');
+const { MavenExecutor } = require('../executors/maven-executor');
 
 /**
  * Handles security vulnerability scanning for Maven projects
  */
 class SecurityScanner {
-  constructor(validatedInputs) {
+  constructor(
+    validatedInputs,
+    cacheManager = new CacheManager(validatedInputs),
+    dependencyResolver = new DependencyResolver(validatedInputs),
+    mavenExecutor = new MavenExecutor(validatedInputs)
+  ) {
     this.validatedInputs = validatedInputs;
     this.workingDirectory = validatedInputs.workingDirectory;
+    this.scanners = validatedInputs.securityScanners || ['owasp', 'snyk'];
+    this.threshold = validatedInputs.securityThreshold || '7';
+    this.suppressionFile = validatedInputs.securitySuppressionFile;
+    this.sarifExporter = new SarifExporter(validatedInputs, cacheManager);
+    this.osvScanner = new OsvScanner(validatedInputs, dependencyResolver);
+    this.baseline = new VulnerabilityBaseline(validatedInputs);
+    this.mavenExecutor = mavenExecutor;
+    this.owaspGoal = 'org.owasp:dependency-check-maven:aggregate';
+    // Lowest CVSS score of each severity, used for findings without a score
+    this.severityScores = { low: 0.1, medium: 4.0, moderate: 4.0, high: 7.0, critical: 9.0 };
+    this.maxSummaryRows = 50;
+    // Maven package URL such as "pkg:maven/org.example/lib@1.0"
+    this.mavenPurlPattern = /^pkg:maven\/([^/]+)\/([^@]+)@([^?#]+)/;
   }
 
   /**
-   * Run security vulnerability scan
+   * Run security vulnerability scan, or return null if it failed
+   *
+   * Scanners that fail are listed in `failedScanners`, as their findings are missing.
    */
   async scan() {
     core.info('🔒 Running security vulnerability scan...');
 
     try {
-      const owaspResults = await this.runOwaspDependencyCheck();
-      const snykResults = await this.runSnykScan();
+      const failedScanners = [];
+      const scanResults = {
+        owasp: await this.runScanner('owasp', () => this.runOwaspDependencyCheck(), failedScanners),
+        snyk: await this.runScanner('snyk', () => this.runSnykScan(), failedScanners),
+        osv: await this.runScanner('osv', () => this.osvScanner.scan(), failedScanners)
+      };
+
+      // With a baseline, only findings missing from it can fail the build
+      const findings = this.getFindings(scanResults);
+      const baselineFindings = await this.baseline.load();
+      const baseline = baselineFindings ? this.baseline.classify(findings, baselineFindings) : null;
 
-      return {
-        owasp: owaspResults,
-        snyk: snykResults,
-        totalIssues: (owaspResults?.vulnerabilities || 0) + (snykResults?.vulnerabilities || 0)
+      const results = {
+        ...scanResults,
+        totalIssues: Object.values(scanResults).reduce(
+          (total, scannerResults) => total + (scannerResults?.vulnerabilities || 0),
+          0
+        ),
+        threshold: this.threshold,
+        blockingVulnerabilities: this.findBlockingVulnerabilities(
+          baseline ? baseline.new : findings
+        ),
+        baseline,
+        failedScanners
       };
+
+      // Export the findings of all scanners for upload to code scanning
+      results.sarifFile = await this.sarifExporter.write(scanResults);
+
+      return results;
     } catch (error) {
       core.warning(`Security scan failed: ${error.message}`);
       return null;
@@ -34,109 +82,123 @@ class SecurityScanner {
   }
 
   /**
-   * Run OWASP Dependency Check
+   * Run a scanner when it is selected, recording it as failed if it throws
    */
-  async runOwaspDependencyCheck() {
-    core.info('🛡️ Running OWASP Dependency Check...');
+  async runScanner(name, scan, failedScanners) {
+    if (!this.scanners.includes(name)) return null;
 
     try {
-      const args = [
-        'mvn',
-        'org.owasp:dependency-check-maven:check',
-        '-DfailBuildOnCVSS=7',
-        '-DsuppressionsFile=owasp-suppressions.xml'
-      ];
-
-      const options = {
-        cwd: this.workingDirectory,
-        ignoreReturnCode: true
-      };
-
-      const exitCode = await exec.exec(args[0], args.slice(1), options);
+      return await scan();
+    } catch (error) {
+      core.warning(`${name} scan failed: ${error.message}`);
+      failedScanners.push({ scanner: name, error: error.message });
+      return null;
+    }
+  }
 
-      // Parse OWASP report
-      const reportPath = path.join(this.workingDirectory, 'target', 'dependency-check-report.json');
+  /**
+   * Run OWASP Dependency Check over all reactor modules
+   *
+   * Fails when Maven fails or the report cannot be read, rather than reporting
+   * no findings.
+   */
+  async runOwaspDependencyCheck() {
+    core.info('🛡️ Running OWASP Dependency Check...');
 
-      try {
-        const reportContent = await fs.readFile(reportPath, 'utf8');
-        const report = JSON.parse(reportContent);
+    // The build is gated on the parsed findings, so the plugin itself never fails on a CVSS score
+    const args = ['-Dformats=HTML,JSON'];
+    if (this.suppressionFile) {
+      args.push(`-DsuppressionFile=${path.resolve(this.workingDirectory, this.suppressionFile)}`);
+    }
 
-        const vulnerabilities = this.parseOwaspReport(report);
+    // The aggregate report covers every module, not only the affected ones
+    const projectList = this.mavenExecutor.projectList;
+    this.mavenExecutor.projectList = null;
+    try {
+      await this.mavenExecutor.executeMavenCommand([{ name: this.owaspGoal, type: 'goal' }], args);
+    } finally {
+      this.mavenExecutor.projectList = projectList;
+    }
 
-        return {
-          success: exitCode === 0,
-          vulnerabilities: vulnerabilities.length,
-          highSeverity: vulnerabilities.filter((v) => v.severity === 'HIGH').length,
-          mediumSeverity: vulnerabilities.filter((v) => v.severity === 'MEDIUM').length,
-          lowSeverity: vulnerabilities.filter((v) => v.severity === 'LOW').length,
-          reportPath,
-          details: vulnerabilities
-        };
-      } catch (parseError) {
-        core.warning(`Could not parse OWASP report: ${parseError.message}`);
-        return { success: exitCode === 0, vulnerabilities: 0 };
-      }
+    const reportPath = path.join(this.workingDirectory, 'target', 'dependency-check-report.json');
+    let report;
+    try {
+      report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
     } catch (error) {
-      core.warning(`OWASP Dependency Check failed: ${error.message}`);
-      return null;
+      throw new Error(`Could not read OWASP report ${reportPath}: ${error.message}`);
     }
+
+    const vulnerabilities = this.parseOwaspReport(report);
+    return {
+      success: true,
+      vulnerabilities: vulnerabilities.length,
+      ...this.countSeverities(vulnerabilities),
+      reportPath,
+      details: vulnerabilities
+    };
+  }
+
+  /**
+   * Count vulnerabilities per severity, whatever the case of the scanner's severity names
+   */
+  countSeverities(vulnerabilities) {
+    const count = (severity) =>
+      vulnerabilities.filter((v) => (v.severity || '').toLowerCase() === severity).length;
+    return {
+      criticalSeverity: count('critical'),
+      highSeverity: count('high'),
+      mediumSeverity: count('medium'),
+      lowSeverity: count('low')
+    };
   }
 
   /**
-   * Run Snyk security scan
+   * Run Snyk security scan, skipped without a Snyk token
+   *
+   * Fails when Snyk cannot run or its output cannot be parsed.
    */
   async runSnykScan() {
     core.info('🐍 Running Snyk security scan...');
 
-    try {
-      // Check if Snyk token is available
-      const snykToken = process.env.SNYK_TOKEN;
-      if (!snykToken) {
-        core.warning('SNYK_TOKEN not found, skipping Snyk scan');
-        return null;
-      }
+    // Check if Snyk token is available
+    const snykToken = process.env.SNYK_TOKEN;
+    if (!snykToken) {
+      core.warning('SNYK_TOKEN not found, skipping Snyk scan');
+      return null;
+    }
 
-      const args = ['snyk', 'test', '--json', '--severity-threshold=medium'];
+    const args = ['snyk', 'test', '--json'];
 
-      let output = '';
-      const options = {
-        cwd: this.workingDirectory,
-        ignoreReturnCode: true,
-        listeners: {
-          stdout: (data) => {
-            output += data.toString();
-          }
+    let output = '';
+    const options = {
+      cwd: this.workingDirectory,
+      ignoreReturnCode: true,
+      listeners: {
+        stdout: (data) => {
+          output += data.toString();
         }
-      };
-
-      const exitCode = await exec.exec(args[0], args.slice(1), options);
+      }
+    };
 
-      try {
-        const result = JSON.parse(output);
-        const vulnerabilities = result.vulnerabilities || [];
+    const exitCode = await exec.exec(args[0], args.slice(1), options);
 
-        return {
-          success: exitCode === 0,
-          vulnerabilities: vulnerabilities.length,
-          highSeverity: vulnerabilities.filter((v) => v.severity === 'high').length,
-          mediumSeverity: vulnerabilities.filter((v) => v.severity === 'medium').length,
-          lowSeverity: vulnerabilities.filter((v) => v.severity === 'low').length,
-          details: vulnerabilities.map((v) => ({
-            id: v.id,
-            title: v.title,
-            severity: v.severity,
-            packageName: v.packageName,
-            version: v.version
-          }))
-        };
-      } catch (parseError) {
-        core.warning(`Could not parse Snyk output: ${parseError.message}`);
-        return { success: exitCode === 0, vulnerabilities: 0 };
-      }
-    } catch (error) {
-      core.warning(`Snyk scan not available: ${error.message}`);
-      return null;
+    let result;
+    try {
+      result = JSON.parse(output);
+    } catch (parseError) {
+      throw new Error(`Could not parse Snyk output: ${parseError.message}`);
     }
+    if (result.error) {
+      throw new Error(`Snyk exited with code ${exitCode}: ${result.error}`);
+    }
+
+    const vulnerabilities = result.vulnerabilities || [];
+    return {
+      success: exitCode === 0,
+      vulnerabilities: vulnerabilities.length,
+      ...this.countSeverities(vulnerabilities),
+      details: vulnerabilities.map((v) => this.parseSnykVulnerability(v))
+    };
   }
 
   /**
@@ -148,12 +210,16 @@ class SecurityScanner {
     if (report.dependencies) {
       for (const dependency of report.dependencies) {
         if (dependency.vulnerabilities) {
+          const coordinates = this.parseMavenPurl(dependency.packages);
           for (const vuln of dependency.vulnerabilities) {
             vulnerabilities.push({
               id: vuln.name,
+              cve: /^CVE-/.test(vuln.name) ? vuln.name : null,
               title: vuln.description,
+              description: vuln.description,
               severity: vuln.severity,
               packageName: dependency.fileName,
+              ...coordinates,
               cvssScore: vuln.cvssv3?.baseScore || vuln.cvssv2?.score,
               references: vuln.references?.map((ref) => ref.url) || []
             });
@@ -165,6 +231,118 @@ class SecurityScanner {
     return vulnerabilities;
   }
 
+  /**
+   * Get the Maven coordinates of an OWASP dependency from its package URLs
+   */
+  parseMavenPurl(packages = []) {
+    for (const pkg of packages) {
+      const match = (pkg.id || '').match(this.mavenPurlPattern);
+      if (match) {
+        return {
+          groupId: decodeURIComponent(match[1]),
+          artifactId: decodeURIComponent(match[2]),
+          version: decodeURIComponent(match[3])
+        };
+      }
+    }
+    return { groupId: null, artifactId: null, version: null };
+  }
+
+  /**
+   * Parse a vulnerability of Snyk's JSON output
+   *
+   * The second entry of `from` is the direct dependency that pulls in a
+   * transitive vulnerable one.
+   */
+  parseSnykVulnerability(vulnerability) {
+    const [groupId, artifactId] = (vulnerability.packageName || '').split(':');
+    const direct = (vulnerability.from || [])[1];
+    const [directGroupId, directArtifactId] = direct ? direct.split('@')[0].split(':') : [];
+
+    return {
+      id: vulnerability.id,
+      cve: vulnerability.identifiers?.CVE?.[0] || null,
+      title: vulnerability.title,
+      description: vulnerability.description,
+      severity: vulnerability.severity,
+      packageName: vulnerability.packageName,
+      groupId: artifactId ? groupId : null,
+      artifactId: artifactId || groupId || null,
+      version: vulnerability.version,
+      cvssScore: vulnerability.cvssScore,
+      directDependency: directArtifactId
+        ? { groupId: directGroupId, artifactId: directArtifactId }
+        : null,
+      references: (vulnerability.references || []).map((ref) => ref.url)
+    };
+  }
+
+  /**
+   * Get the findings of all scanners, reporting a vulnerability of a dependency
+   * found by several scanners once
+   */
+  getFindings(scanResults) {
+    const { owasp, snyk, osv } = scanResults || {};
+    return this.sarifExporter.collectFindings({ owasp, snyk, osv });
+  }
+
+  /**
+   * Find the findings at or above the threshold
+   */
+  findBlockingVulnerabilities(findings) {
+    const minimumScore = this.getThresholdScore();
+    return findings.filter((finding) => this.getScore(finding) >= minimumScore);
+  }
+
+  /**
+   * Save the findings of a scan as the baseline of later runs
+   */
+  async updateBaseline(results) {
+    if (!this.baseline.isEnabled()) return false;
+    return this.baseline.save(this.getFindings(results));
+  }
+
+  /**
+   * Get the minimum CVSS score of the threshold, a score or a severity name
+   */
+  getThresholdScore() {
+    const severityScore = this.severityScores[String(this.threshold).toLowerCase()];
+    return severityScore !== undefined ? severityScore : parseFloat(this.threshold);
+  }
+
+  /**
+   * Get the CVSS score of a finding, or the lowest score of its severity if it has none
+   */
+  getScore(finding) {
+    const score = parseFloat(finding.cvssScore);
+    if (!isNaN(score)) return score;
+    return this.severityScores[(finding.severity || '').toLowerCase()] || 0;
+  }
+
+  /**
+   * Describe why the findings are incomplete, or return null if every selected scanner ran
+   */
+  describeScanFailures(results) {
+    if (!results) {
+      return 'Security scan failed, vulnerabilities could not be checked';
+    }
+
+    const failed = results.failedScanners || [];
+    if (failed.length === 0) return null;
+
+    const scanners = failed.map((failure) => `${failure.scanner} (${failure.error})`);
+    return `Security scan incomplete, vulnerabilities could not be checked by: ${scanners.join(', ')}`;
+  }
+
+  /**
+   * Describe the vulnerabilities at or above the threshold
+   */
+  describeBlockingVulnerabilities(results) {
+    const ids = [...new Set(results.blockingVulnerabilities.map((finding) => finding.ruleId))];
+    const kind = results.baseline ? 'new vulnerable dependencies' : 'vulnerable dependencies';
+    return `${results.blockingVulnerabilities.length} ${kind} at or above the security threshold of ${results.threshold}: ${ids.join(', ')}`;
+  }
+
   /**
    * Generate security report summary
    */
@@ -176,6 +354,7 @@ class SecurityScanner {
     if (results.owasp) {
       summary += '### OWASP Dependency Check\n';
       summary += `- Total Vulnerabilities: ${results.owasp.vulnerabilities}\n`;
+      summary += `- Critical Severity: ${results.owasp.criticalSeverity}\n`;
       summary += `- High Severity: ${results.owasp.highSeverity}\n`;
       summary += `- Medium Severity: ${results.owasp.mediumSeverity}\n`;
       summary += `- Low Severity: ${results.owasp.lowSeverity}\n\n`;
@@ -184,15 +363,77 @@ class SecurityScanner {
     if (results.snyk) {
       summary += `### Snyk Scan\n`;
       summary += `- Total Vulnerabilities: ${results.snyk.vulnerabilities}\n`;
+      summary += `- Critical Severity: ${results.snyk.criticalSeverity}\n`;
       summary += `- High Severity: ${results.snyk.highSeverity}\n`;
       summary += `- Medium Severity: ${results.snyk.mediumSeverity}\n`;
       summary += `- Low Severity: ${results.snyk.lowSeverity}\n\n`;
     }
 
+    if (results.osv) {
+      summary += '### OSV Scan\n';
+      summary += `- Dependencies Checked: ${results.osv.dependencies}\n`;
+      summary += `- Total Vulnerabilities: ${results.osv.vulnerabilities}\n`;
+      summary += `- Critical Severity: ${results.osv.criticalSeverity}\n`;
+      summary += `- High Severity: ${results.osv.highSeverity}\n`;
+      summary += `- Medium Severity: ${results.osv.mediumSeverity}\n`;
+      summary += `- Low Severity: ${results.osv.lowSeverity}\n\n`;
+    }
+
     summary += `**Total Issues Found: ${results.totalIssues}**\n`;
 
+    const failed = results.failedScanners || [];
+    if (failed.length > 0) {
+      summary += '\n### ⚠️ Failed scanners\n';
+      for (const failure of failed) {
+        summary += `- ${failure.scanner}: ${failure.error}\n`;
+      }
+    }
+
+    const { baseline } = results;
+    if (baseline) {
+      summary += '\n### Baseline\n';
+      summary += `- New: ${baseline.new.length}\n`;
+      summary += `- Existing: ${baseline.existing.length}\n`;
+      summary += `- Fixed: ${baseline.fixed.length}\n`;
+    }
+
+    const blocking = results.blockingVulnerabilities || [];
+    if (blocking.length > 0) {
+      const heading = baseline ? 'New vulnerabilities' : 'Vulnerabilities';
+      summary += `\n### ${heading} at or above the threshold (${results.threshold})\n\n`;
+      summary += '| Vulnerability | Dependency | Severity | CVSS | Scanner |\n';
+      summary += '|---|---|---|---|---|\n';
+      for (const finding of blocking.slice(0, this.maxSummaryRows)) {
+        summary += `| ${finding.ruleId} | ${this.formatDependency(finding)} | ${finding.severity || '-'} | ${finding.cvssScore ?? '-'} | ${finding.scanner} |\n`;
+      }
+      if (blocking.length > this.maxSummaryRows) {
+        summary += `\n…and ${blocking.length - this.maxSummaryRows} more\n`;
+      }
+    }
+
+    if (baseline?.fixed.length > 0) {
+      summary += '\n### 🎉 Fixed since the baseline\n\n';
+      summary += '| Vulnerability | Dependency | Severity |\n';
+      summary += '|---|---|---|\n';
+      for (const finding of baseline.fixed.slice(0, this.maxSummaryRows)) {
+        summary += `| ${finding.ruleId} | ${this.formatDependency(finding)} | ${finding.severity || '-'} |\n`;
+      }
+      if (baseline.fixed.length > this.maxSummaryRows) {
+        summary += `\n…and ${baseline.fixed.length - this.maxSummaryRows} more\n`;
+      }
+    }
+
     return summary;
   }
+
+  /**
+   * Format the coordinates of the dependency of a finding
+   */
+  formatDependency(finding) {
+    return finding.artifactId
+      ? `${finding.groupId}:${finding.artifactId}:${finding.version}`
+      : finding.packageName;
+  }
 }
 
 module.exports = { SecurityScanner };
@@ -0,0 +1,178 @@
+const core = require('@actions/core');
+const cache = require('@actions/cache');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Reads and writes a baseline of accepted vulnerabilities, so that only new
+ * findings fail the build
+ *
+ * Findings are matched on vulnerability and package, ignoring the version, so
+ * upgrading a dependency that is still affected keeps its accepted findings.
+ */
+class VulnerabilityBaseline {
+  constructor(validatedInputs) {
+    this.workingDirectory = validatedInputs.workingDirectory;
+    this.baselineFile = validatedInputs.securityBaseline;
+    this.cacheEnabled = validatedInputs.securityBaselineCache;
+    this.formatVersion = 1;
+  }
+
+  /**
+   * Check if a baseline file is configured
+   */
+  isEnabled() {
+    return Boolean(this.baselineFile);
+  }
+
+  /**
+   * Get the absolute path of the baseline file
+   */
+  getPath() {
+    return path.resolve(this.workingDirectory, this.baselineFile);
+  }
+
+  /**
+   * Load the baseline findings, restoring the baseline of a previous run from
+   * the cache when enabled and no baseline file is committed
+   *
+   * Returns null when no baseline is configured or it could not be read, and
+   * no findings when the baseline file does not exist yet.
+   */
+  async load() {
+    if (!this.isEnabled()) return null;
+
+    const baselinePath = this.getPath();
+    if (this.cacheEnabled && !(await this.exists(baselinePath))) {
+      await this.restore(baselinePath);
+    }
+
+    try {
+      const baseline = JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+      if (!Array.isArray(baseline.findings)) {
+        throw new Error('missing findings');
+      }
+
+      core.info(`📋 Loaded ${baseline.findings.length} baseline findings from ${baselinePath}`);
+      return baseline.findings;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        core.info(`📋 No vulnerability baseline at ${baselinePath}, all findings are new`);
+        return [];
+      }
+      core.warning(`Could not read vulnerability baseline ${baselinePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Classify findings as new or existing, and the baseline findings that are
+   * no longer reported as fixed
+   */
+  classify(findings, baselineFindings) {
+    const baselineKeys = new Set(baselineFindings.map((finding) => this.getKey(finding)));
+    const findingKeys = new Set(findings.map((finding) => this.getKey(finding)));
+
+    return {
+      new: findings.filter((finding) => !baselineKeys.has(this.getKey(finding))),
+      existing: findings.filter((finding) => baselineKeys.has(this.getKey(finding))),
+      fixed: baselineFindings.filter((finding) => !findingKeys.has(this.getKey(finding)))
+    };
+  }
+
+  /**
+   * Get the key a finding is matched on: its vulnerability and package
+   */
+  getKey(finding) {
+    const pkg = finding.artifactId
+      ? `${finding.groupId}:${finding.artifactId}`
+      : finding.packageName;
+    return `${finding.ruleId}|${pkg}`;
+  }
+
+  /**
+   * Write the findings as the new baseline and save it to the cache when
+   * enabled, or return false if saving failed
+   */
+  async save(findings) {
+    const baselinePath = this.getPath();
+
+    try {
+      const baseline = {
+        version: this.formatVersion,
+        generatedAt: new Date().toISOString(),
+        findings: findings.map((finding) => ({
+          ruleId: finding.ruleId,
+          groupId: finding.groupId,
+          artifactId: finding.artifactId,
+          version: finding.version,
+          packageName: finding.packageName,
+          severity: finding.severity
+        }))
+      };
+      await fs.mkdir(path.dirname(baselinePath), { recursive: true });
+      await fs.writeFile(baselinePath, JSON.stringify(baseline, null, 2));
+
+      if (this.cacheEnabled) {
+        await cache.saveCache(
+          [baselinePath],
+          `${this.getCacheKeyPrefix(baselinePath)}${this.getRunId()}`
+        );
+      }
+
+      core.info(`📋 Saved ${findings.length} findings as the vulnerability baseline`);
+      return true;
+    } catch (error) {
+      core.warning(`Failed to save vulnerability baseline: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check if the baseline file exists
+   */
+  async exists(baselinePath) {
+    try {
+      await fs.access(baselinePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Restore the latest baseline saved to the cache
+   */
+  async restore(baselinePath) {
+    const prefix = this.getCacheKeyPrefix(baselinePath);
+
+    try {
+      const cacheHit = await cache.restoreCache([baselinePath], `${prefix}${this.getRunId()}`, [
+        prefix
+      ]);
+      if (cacheHit) {
+        core.info(`📋 Vulnerability baseline restored from cache key: ${cacheHit}`);
+      }
+    } catch (error) {
+      core.warning(`Vulnerability baseline restore failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the cache key prefix of a baseline, distinct for each baseline path
+   */
+  getCacheKeyPrefix(baselinePath) {
+    const hash = crypto.createHash('sha256').update(baselinePath).digest('hex').substring(0, 12);
+    return `maven-security-baseline-${hash}-`;
+  }
+
+  /**
+   * Get an identifier of the current run attempt, as cache keys cannot be overwritten
+   */
+  getRunId() {
+    return `${process.env.GITHUB_RUN_ID || Date.now()}-${process.env.GITHUB_RUN_ATTEMPT || '1'}`;
+  }
+}
+
+module.exports = { VulnerabilityBaseline };
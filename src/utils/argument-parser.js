@@ -0,0 +1,116 @@
+/**
+ * Splits argument strings into tokens following POSIX shell quoting rules
+ *
+ * Used by input validation and the executor so the arguments that are checked
+ * are exactly the arguments passed to Maven. No expansion is performed.
+ */
+class ArgumentParser {
+  constructor() {
+    this.whitespace = [' ', '\t', '\n', '\r'];
+    // Kept escaped for the quotes lint rule, which Prettier would undo
+    // prettier-ignore
+    this.singleQuote = '\'';
+    // Characters a backslash escapes inside double quotes
+    this.doubleQuoteEscapes = ['"', '\\', '$', '`', '\n'];
+  }
+
+  /**
+   * Parse an argument string into a list of arguments
+   *
+   * Supports single quotes, double quotes, backslash escapes, line
+   * continuations and `#` comments, so multi-line YAML input works as-is.
+   */
+  parse(input) {
+    const args = [];
+    if (!input) return args;
+
+    let current = '';
+    let inToken = false;
+    let i = 0;
+
+    while (i < input.length) {
+      const char = input[i];
+
+      if (this.whitespace.includes(char)) {
+        if (inToken) {
+          args.push(current);
+          current = '';
+          inToken = false;
+        }
+        i++;
+      } else if (char === '#' && !inToken) {
+        // Comment until end of line
+        while (i < input.length && input[i] !== '\n') i++;
+      } else if (char === this.singleQuote) {
+        const end = input.indexOf(this.singleQuote, i + 1);
+        if (end === -1) {
+          throw new Error(`Unterminated single quote at position ${i + 1}`);
+        }
+        current += input.substring(i + 1, end);
+        inToken = true;
+        i = end + 1;
+      } else if (char === '"') {
+        i = this.parseDoubleQuoted(input, i, (value) => {
+          current += value;
+        });
+        inToken = true;
+      } else if (char === '\\') {
+        if (i + 1 >= input.length) {
+          throw new Error('Trailing backslash at end of input');
+        }
+        // Backslash-newline is a line continuation
+        if (input[i + 1] === '\n') {
+          i += 2;
+        } else if (input[i + 1] === '\r' && input[i + 2] === '\n') {
+          i += 3;
+        } else {
+          current += input[i + 1];
+          inToken = true;
+          i += 2;
+        }
+      } else {
+        current += char;
+        inToken = true;
+        i++;
+      }
+    }
+
+    if (inToken) {
+      args.push(current);
+    }
+
+    return args;
+  }
+
+  /**
+   * Parse a double-quoted section starting at `start`, returning the index after it
+   */
+  parseDoubleQuoted(input, start, append) {
+    let value = '';
+    let i = start + 1;
+
+    while (i < input.length) {
+      const char = input[i];
+
+      if (char === '"') {
+        append(value);
+        return i + 1;
+      }
+
+      if (char === '\\' && this.doubleQuoteEscapes.includes(input[i + 1])) {
+        // Escaped newline inside double quotes is a line continuation
+        if (input[i + 1] !== '\n') {
+          value += input[i + 1];
+        }
+        i += 2;
+      } else {
+        value += char;
+        i++;
+      }
+    }
+
+    throw new Error(`Unterminated double quote at position ${start + 1}`);
+  }
+}
+
+module.exports = { ArgumentParser };
@@ -0,0 +1,119 @@
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Renders coverage badges as SVG and as shields.io endpoint JSON
+ */
+class CoverageBadge {
+  constructor(validatedInputs) {
+    this.workingDirectory = validatedInputs.workingDirectory;
+    this.badgePath = validatedInputs.coverageBadgePath;
+    this.greenThreshold = validatedInputs.coverageBadgeGreenThreshold ?? 80;
+    this.yellowThreshold = validatedInputs.coverageBadgeYellowThreshold ?? 60;
+    this.label = 'coverage';
+    // shields.io named colors
+    this.colors = {
+      brightgreen: '#4c1',
+      yellow: '#dfb317',
+      red: '#e05d44',
+      lightgrey: '#9f9f9f'
+    };
+    // Approximate Verdana 11px character widths, wider for capitals and %
+    this.charWidth = 6.5;
+    this.wideCharWidth = 9;
+    this.horizontalPadding = 10;
+  }
+
+  /**
+   * Write the line coverage badge and its endpoint JSON, or return null if no badge is configured
+   *
+   * The endpoint JSON is written next to the SVG with a .json extension.
+   */
+  async write(coverage) {
+    if (!this.badgePath) return null;
+
+    const lineCoverage = coverage?.lineCoverage ?? null;
+    const badge = {
+      label: this.label,
+      message: lineCoverage !== null ? `${parseFloat(lineCoverage).toFixed(1)}%` : 'unknown',
+      color: lineCoverage !== null ? this.getColor(parseFloat(lineCoverage)) : 'lightgrey'
+    };
+
+    const svgPath = path.resolve(this.workingDirectory, this.badgePath);
+    const endpointPath = svgPath.replace(/\.svg$/i, '') + '.json';
+
+    try {
+      await fs.mkdir(path.dirname(svgPath), { recursive: true });
+      await fs.writeFile(svgPath, this.renderSvg(badge));
+      await fs.writeFile(endpointPath, JSON.stringify(this.toEndpoint(badge), null, 2));
+
+      core.info(`🏷️ Coverage badge written to ${svgPath} (${badge.message})`);
+      return { svgPath, endpointPath, ...badge };
+    } catch (error) {
+      core.warning(`Failed to write coverage badge: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the badge color for a coverage percentage
+   */
+  getColor(percentage) {
+    if (percentage >= this.greenThreshold) return 'brightgreen';
+    if (percentage >= this.yellowThreshold) return 'yellow';
+    return 'red';
+  }
+
+  /**
+   * Convert a badge into the shields.io endpoint schema
+   */
+  toEndpoint(badge) {
+    return { schemaVersion: 1, label: badge.label, message: badge.message, color: badge.color };
+  }
+
+  /**
+   * Render a flat badge in the shields.io style
+   */
+  renderSvg(badge) {
+    const labelWidth = this.measureText(badge.label);
+    const messageWidth = this.measureText(badge.message);
+    const width = labelWidth + messageWidth;
+    const color = this.colors[badge.color];
+    const title = `${badge.label}: ${badge.message}`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">
+  <title>${title}</title>
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${badge.label}</text>
+    <text x="${labelWidth / 2}" y="14">${badge.label}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${badge.message}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${badge.message}</text>
+  </g>
+</svg>
+`;
+  }
+
+  /**
+   * Estimate the width of a badge section holding the text
+   */
+  measureText(text) {
+    const textWidth = [...text].reduce(
+      (width, char) => width + (/[A-Z%mw]/.test(char) ? this.wideCharWidth : this.charWidth),
+      0
+    );
+    return Math.round(textWidth + 2 * this.horizontalPadding);
+  }
+}
+
+module.exports = { CoverageBadge };
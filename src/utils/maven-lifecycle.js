@@ -0,0 +1,222 @@
+/**
+ * Maven lifecycle knowledge shared by input validation, the handler and the executor
+ */
+class MavenLifecycle {
+  constructor() {
+    this.lifecycles = {
+      clean: ['pre-clean', 'clean', 'post-clean'],
+      default: [
+        'validate',
+        'initialize',
+        'generate-sources',
+        'process-sources',
+        'generate-resources',
+        'process-resources',
+        'compile',
+        'process-classes',
+        'generate-test-sources',
+        'process-test-sources',
+        'generate-test-resources',
+        'process-test-resources',
+        'test-compile',
+        'process-test-classes',
+        'test',
+        'prepare-package',
+        'package',
+        'pre-integration-test',
+        'integration-test',
+        'post-integration-test',
+        'verify',
+        'install',
+        'deploy'
+      ],
+      site: ['pre-site', 'site', 'post-site', 'site-deploy']
+    };
+
+    // Phases the default packagings bind these plugin goals to
+    this.defaultBindings = {
+      'clean:clean': 'clean',
+      'resources:resources': 'process-resources',
+      'compiler:compile': 'compile',
+      'resources:testResources': 'process-test-resources',
+      'compiler:testCompile': 'test-compile',
+      'surefire:test': 'test',
+      'jar:jar': 'package',
+      'war:war': 'package',
+      'ear:ear': 'package',
+      'ejb:ejb': 'package',
+      'rar:rar': 'package',
+      'plugin:descriptor': 'generate-resources',
+      'failsafe:integration-test': 'integration-test',
+      'failsafe:verify': 'verify',
+      'install:install': 'install',
+      'deploy:deploy': 'deploy',
+      'site:site': 'site',
+      'site:deploy': 'site-deploy'
+    };
+
+    // prefix:goal, groupId:artifactId:goal or groupId:artifactId:version:goal
+    this.pluginGoalPattern = /^[A-Za-z0-9_.-]+(:[A-Za-z0-9_.-]+){1,3}$/;
+
+    // e.g. "[INFO] --- compiler:3.11.0:compile (default-compile) @ app ---"
+    this.mojoExecutionPattern =
+      /---\s+([A-Za-z0-9_.-]+):([A-Za-z0-9_.-]+):([A-Za-z0-9_.-]+)\s+\(([^)]*)\)\s+@\s+(\S+)\s+---/;
+  }
+
+  /**
+   * Split an operation input into ordered steps (phases and plugin goals)
+   *
+   * Steps may be separated by whitespace, commas or newlines. Steps that are
+   * neither a known phase nor a plugin goal are returned with type `null`.
+   */
+  parseOperation(input) {
+    if (!input) return [];
+
+    return input
+      .split(/[\s,]+/)
+      .filter((token) => token.length > 0)
+      .map((token) => {
+        const phase = token.toLowerCase();
+        if (this.isPhase(phase)) {
+          return { name: phase, type: 'phase' };
+        }
+        if (this.isPluginGoal(token)) {
+          return { name: token, type: 'goal' };
+        }
+        return { name: token, type: null };
+      });
+  }
+
+  /**
+   * Check if name is a phase of the clean, default or site lifecycle
+   */
+  isPhase(name) {
+    return this.getLifecycle(name) !== null;
+  }
+
+  /**
+   * Check if name is a plugin goal invocation
+   */
+  isPluginGoal(name) {
+    return this.pluginGoalPattern.test(name);
+  }
+
+  /**
+   * Get the lifecycle a phase belongs to and its position within it
+   */
+  getLifecycle(phase) {
+    for (const [lifecycle, phases] of Object.entries(this.lifecycles)) {
+      const index = phases.indexOf(phase);
+      if (index !== -1) {
+        return { lifecycle, index };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if running the given steps executes the given phase
+   */
+  includesPhase(steps, phase) {
+    const target = this.getLifecycle(phase);
+    if (!target) return false;
+
+    return steps.some((step) => {
+      if (step.type !== 'phase') return false;
+      const position = this.getLifecycle(step.name);
+      return position.lifecycle === target.lifecycle && position.index >= target.index;
+    });
+  }
+
+  /**
+   * Parse a Maven log line announcing a mojo execution
+   */
+  parseMojoExecution(line) {
+    const match = line.match(this.mojoExecutionPattern);
+    if (!match) return null;
+
+    const [, plugin, version, goal, executionId, module] = match;
+    return {
+      prefix: this.getPluginPrefix(plugin),
+      version,
+      goal,
+      executionId,
+      module
+    };
+  }
+
+  /**
+   * Derive the plugin prefix from a plugin artifactId
+   */
+  getPluginPrefix(artifactId) {
+    const match =
+      artifactId.match(/^maven-(.+)-plugin$/) || artifactId.match(/^(.+)-maven-plugin$/);
+    return match ? match[1] : artifactId;
+  }
+
+  /**
+   * Get the plugin prefix and goal of a goal step
+   */
+  getStepGoal(step) {
+    const parts = step.name.split(':');
+    const goal = parts[parts.length - 1];
+    const plugin = parts.length === 2 ? parts[0] : this.getPluginPrefix(parts[1]);
+    return { prefix: plugin, goal };
+  }
+
+  /**
+   * Find the first step at or after `fromIndex` that runs the given mojo execution
+   */
+  findStepForExecution(steps, execution, fromIndex) {
+    const binding = this.defaultBindings[`${execution.prefix}:${execution.goal}`];
+    const bound = binding ? this.getLifecycle(binding) : null;
+
+    for (let i = fromIndex; i < steps.length; i++) {
+      const step = steps[i];
+
+      if (step.type === 'goal') {
+        const { prefix, goal } = this.getStepGoal(step);
+        if (prefix === execution.prefix && goal === execution.goal) {
+          return i;
+        }
+      } else if (bound) {
+        const position = this.getLifecycle(step.name);
+        if (position.lifecycle === bound.lifecycle && position.index >= bound.index) {
+          return i;
+        }
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Work out the outcome of every step of a single Maven invocation
+   *
+   * Maven runs the steps in order, so the step owning the last mojo execution
+   * seen in the log is the one that failed, earlier steps succeeded and later
+   * steps never ran.
+   */
+  resolveStepResults(steps, executions, success) {
+    if (success) {
+      return steps.map((step) => ({ ...step, status: 'success' }));
+    }
+
+    let current = 0;
+    for (const execution of executions) {
+      const index = this.findStepForExecution(steps, execution, current);
+      if (index !== -1) {
+        current = index;
+      }
+    }
+
+    return steps.map((step, index) => {
+      let status = 'skipped';
+      if (index < current) status = 'success';
+      if (index === current) status = 'failure';
+      return { ...step, status };
+    });
+  }
+}
+
+module.exports = { MavenLifecycle };
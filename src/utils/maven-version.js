@@ -0,0 +1,88 @@
+/**
+ * Compares Maven versions the way Maven's ComparableVersion orders them
+ *
+ * Versions are split into numeric and qualifier items at dots, hyphens and
+ * transitions between digits and letters, so "1.0-beta2" is [1, 0, beta, 2].
+ * Known qualifiers order as alpha < beta < milestone < rc < snapshot < release < sp,
+ * unknown ones after sp in lexical order. Missing items count as 0 or release, so
+ * "1.0", "1" and "1.0.0-final" are equal.
+ */
+class MavenVersion {
+  constructor() {
+    this.qualifierRanks = {
+      alpha: 0,
+      a: 0,
+      beta: 1,
+      b: 1,
+      milestone: 2,
+      m: 2,
+      rc: 3,
+      cr: 3,
+      snapshot: 4,
+      '': 5,
+      ga: 5,
+      final: 5,
+      release: 5,
+      sp: 6
+    };
+    this.releaseRank = 5;
+    this.itemPattern = /\d+|[a-z]+/g;
+  }
+
+  /**
+   * Compare two versions, returning a negative number, zero or a positive number
+   */
+  compare(left, right) {
+    const leftItems = this.parse(left);
+    const rightItems = this.parse(right);
+
+    for (let index = 0; index < Math.max(leftItems.length, rightItems.length); index++) {
+      const result = this.compareItems(leftItems[index], rightItems[index]);
+      if (result !== 0) return result;
+    }
+    return 0;
+  }
+
+  /**
+   * Split a version into numeric and qualifier items
+   */
+  parse(version) {
+    return (String(version).toLowerCase().match(this.itemPattern) || []).map((item) =>
+      /^\d/.test(item) ? parseInt(item, 10) : item
+    );
+  }
+
+  /**
+   * Compare two items, either of which may be missing
+   */
+  compareItems(left, right) {
+    if (left === undefined && right === undefined) return 0;
+    if (left === undefined) return -this.compareItems(right, undefined);
+
+    if (typeof left === 'number') {
+      if (right === undefined) return left > 0 ? 1 : 0;
+      // Numbers order after qualifiers
+      if (typeof right !== 'number') return 1;
+      return left - right;
+    }
+
+    if (right === undefined) return this.compareQualifiers(left, '');
+    if (typeof right === 'number') return -1;
+    return this.compareQualifiers(left, right);
+  }
+
+  /**
+   * Compare two qualifiers by rank, unknown qualifiers in lexical order after known ones
+   */
+  compareQualifiers(left, right) {
+    const leftRank = this.qualifierRanks[left];
+    const rightRank = this.qualifierRanks[right];
+
+    if (leftRank !== undefined && rightRank !== undefined) return leftRank - rightRank;
+    if (leftRank !== undefined) return -1;
+    if (rightRank !== undefined) return 1;
+    return left.localeCompare(right);
+  }
+}
+
+module.exports = { MavenVersion };
@@ -6,6 +6,13 @@ const { StringUtils } = require('./string-utils');
 class OutputManager {
   constructor() {
     this.outputs = {};
+    this.maxFailedTestRows = 50;
+    this.maxFlakyTestRows = 50;
+    this.maxUncoveredFileRows = 50;
+    this.maxCoverageItemRows = 10;
+    this.maxLicenseViolationRows = 50;
+    this.maxDependencyChangeRows = 50;
+    this.maxDeployedFileRows = 50;
   }
 
   /**
@@ -25,6 +32,72 @@ class OutputManager {
       this.setOutput('artifact-path', result.artifactPath.join(','));
     }
 
+    // Per-step results of the operation pipeline
+    if (result.phases && result.phases.length > 0) {
+      this.setOutput(
+        'phase-results',
+        JSON.stringify(result.phases.map(({ name, type, status }) => ({ name, type, status })))
+      );
+    }
+
+    // Modules built when building affected modules only
+    if (result.affectedModules) {
+      this.setOutput('affected-modules', result.affectedModules.join(','));
+    }
+
+    // Test results
+    if (result.testResults) {
+      this.setTestOutputs('tests', result.testResults);
+
+      if (result.testResults.integrationTests) {
+        this.setTestOutputs('integration-tests', result.testResults.integrationTests);
+      }
+
+      // Flaky unit and integration tests
+      const flakyTests = [
+        ...(result.testResults.flakyTests || []),
+        ...(result.testResults.integrationTests?.flakyTests || [])
+      ];
+      this.setOutput(
+        'flaky-tests',
+        JSON.stringify(
+          flakyTests.map((test) => ({
+            name: `${test.className}.${test.name}`,
+            module: test.module,
+            flakyRuns: test.flakyRuns
+          }))
+        )
+      );
+    }
+
+    // Measured coverage
+    const coverage = result.testResults?.coverage;
+    if (coverage) {
+      this.setOutput('coverage-line', coverage.lineCoverage);
+      this.setOutput('coverage-branch', coverage.branchCoverage);
+      this.setOutput('coverage-instruction', coverage.instructionCoverage);
+    }
+
+    // Coverage of the lines changed by a pull request
+    if (result.diffCoverage) {
+      this.setOutput('diff-coverage', result.diffCoverage.coverage);
+    }
+
+    // SARIF report of the security scanners
+    if (result.securityResults?.sarifFile) {
+      this.setOutput('sarif-file', result.securityResults.sarifFile);
+    }
+
+    // CycloneDX SBOM
+    if (result.sbom) {
+      this.setOutput('sbom-path', result.sbom.path);
+    }
+
+    // Files deployed to the repository
+    if (result.deployment) {
+      this.setOutput('deployed-files', result.deployment.files.map((file) => file.url).join(','));
+    }
+
     // Environment information
     if (result.environment) {
       this.setOutput('java-version', result.environment.java.version);
@@ -52,6 +125,16 @@ class OutputManager {
     this.logOutputSummary();
   }
 
+  /**
+   * Set total, failed and skipped test count outputs
+   */
+  setTestOutputs(prefix, testResults) {
+    const { totalTests, totalFailures, totalErrors, totalSkipped } = testResults;
+    this.setOutput(`${prefix}-total`, totalTests.toString());
+    this.setOutput(`${prefix}-failed`, (totalFailures + totalErrors).toString());
+    this.setOutput(`${prefix}-skipped`, totalSkipped.toString());
+  }
+
   /**
    * Set individual output with validation
    */
@@ -78,16 +161,73 @@ class OutputManager {
       core.summary.addRaw(`${statusEmoji} **Build Status:** ${result.status.toUpperCase()}\n`);
       core.summary.addRaw(`⏱️ **Build Time:** ${result.buildTime}s\n\n`);
 
+      // Affected modules
+      if (result.affectedModules) {
+        const modules = result.affectedModules.map((module) => `\`${module}\``).join(', ');
+        core.summary.addRaw(`🧩 **Affected Modules:** ${modules || 'none'}\n\n`);
+      }
+
       // Environment information
       if (result.environment) {
         await this.addEnvironmentSection(result.environment);
       }
 
+      // Pipeline steps section
+      if (result.phases && result.phases.length > 0) {
+        await this.addPhasesSection(result.phases);
+      }
+
+      // Test results section
+      if (result.testResults) {
+        await this.addTestsSection(result.testResults);
+
+        if (result.testResults.integrationTests) {
+          await this.addTestsSection(result.testResults.integrationTests, 'Integration Tests');
+        }
+      }
+
+      // Coverage section
+      if (result.testResults?.coverage || result.coverageCheck) {
+        await this.addCoverageSection(result.testResults?.coverage, result.coverageCheck);
+      }
+
+      // Diff coverage section
+      if (result.diffCoverage) {
+        await this.addDiffCoverageSection(result.diffCoverage);
+      }
+
+      // Security scan section
+      if (result.securitySummary) {
+        core.summary.addRaw(`\n${result.securitySummary}\n`);
+      }
+
+      // Dependency changes of a pull request
+      if (result.dependencyDiff) {
+        await this.addDependencyDiffSection(result.dependencyDiff);
+      }
+
+      // License compliance section
+      if (result.licenseResults) {
+        await this.addLicenseSection(result.licenseResults);
+      }
+
       // Artifacts section
       if (result.artifactPath && result.artifactPath.length > 0) {
         await this.addArtifactsSection(result.artifactPath);
       }
 
+      // SBOM
+      if (result.sbom) {
+        core.summary.addRaw(
+          `\n📜 **SBOM:** \`${result.sbom.path}\` (CycloneDX ${result.sbom.specVersion}, ${result.sbom.components} components)\n`
+        );
+      }
+
+      // Deployment section
+      if (result.deployment) {
+        await this.addDeploymentSection(result.deployment);
+      }
+
       // Error section
       if (result.error) {
         core.summary.addHeading('Error Details', 2);
@@ -119,13 +259,351 @@ class OutputManager {
         'Maven',
         environment.maven.version,
         this.getActionStatusEmoji(environment.maven.action),
-        environment.maven.warning || 'OK'
+        environment.maven.warning || (environment.maven.wrapper ? 'Maven Wrapper' : 'OK')
       ]
     ];
 
     core.summary.addTable(environmentTable);
   }
 
+  /**
+   * Add pipeline steps section to summary
+   */
+  async addPhasesSection(phases) {
+    core.summary.addHeading('Build Phases', 2);
+
+    const phaseRows = phases.map((phase) => [
+      phase.name,
+      phase.type === 'goal' ? 'Plugin goal' : 'Phase',
+      this.getPhaseStatusEmoji(phase.status)
+    ]);
+
+    core.summary.addTable([['Step', 'Type', 'Status'], ...phaseRows]);
+  }
+
+  /**
+   * Add test results section to summary
+   */
+  async addTestsSection(testResults, heading = 'Test Results') {
+    core.summary.addHeading(heading, 2);
+
+    const failed = testResults.totalFailures + testResults.totalErrors;
+    const passed = testResults.totalTests - failed - testResults.totalSkipped;
+
+    core.summary.addTable([
+      ['Metric', 'Value'],
+      ['Total Tests', testResults.totalTests.toString()],
+      ['Passed', passed.toString()],
+      ['Failed', testResults.totalFailures.toString()],
+      ['Errors', testResults.totalErrors.toString()],
+      ['Skipped', testResults.totalSkipped.toString()],
+      ['Flaky', (testResults.totalFlaky || 0).toString()],
+      ['Success Rate', `${testResults.successRate}%`],
+      ['Duration', `${testResults.totalTime}s`]
+    ]);
+
+    const modules = testResults.modules || [];
+    if (modules.length > 1) {
+      await this.addModulesTable(modules, testResults.coverage);
+    }
+
+    if (testResults.testSuites.length > 0) {
+      core.summary.addHeading('Test Suites', 3);
+
+      const suiteRows = testResults.testSuites.map((suite) => [
+        suite.name,
+        suite.tests.toString(),
+        suite.failures.toString(),
+        suite.errors.toString(),
+        suite.skipped.toString(),
+        `${suite.time}s`
+      ]);
+
+      core.summary.addTable([
+        ['Suite', 'Tests', 'Failures', 'Errors', 'Skipped', 'Time'],
+        ...suiteRows
+      ]);
+    }
+
+    if (testResults.flakyTests && testResults.flakyTests.length > 0) {
+      await this.addFlakyTestsTable(testResults.flakyTests);
+    }
+
+    const failedTests = testResults.failedTests || [];
+    if (failedTests.length > 0) {
+      core.summary.addHeading('Failed Tests', 3);
+
+      const failedRows = failedTests
+        .slice(0, this.maxFailedTestRows)
+        .map((test) => [
+          `${test.className}.${test.name}`,
+          test.message.split('\n')[0],
+          test.file ? `${test.file}:${test.line}` : '-'
+        ]);
+
+      core.summary.addTable([['Test', 'Message', 'Location'], ...failedRows]);
+
+      if (failedTests.length > this.maxFailedTestRows) {
+        core.summary.addRaw(
+          `\n…and ${failedTests.length - this.maxFailedTestRows} more failed test(s)\n`
+        );
+      }
+    }
+  }
+
+  /**
+   * Add flaky tests, which passed after failing, to summary
+   */
+  async addFlakyTestsTable(flakyTests) {
+    core.summary.addHeading('Flaky Tests', 3);
+
+    const flakyRows = flakyTests
+      .slice(0, this.maxFlakyTestRows)
+      .map((test) => [
+        `${test.className}.${test.name}`,
+        test.flakyRuns.toString(),
+        test.message.split('\n')[0],
+        test.file ? `${test.file}:${test.line}` : '-'
+      ]);
+
+    core.summary.addTable([['Test', 'Failed Runs', 'First Failure', 'Location'], ...flakyRows]);
+
+    if (flakyTests.length > this.maxFlakyTestRows) {
+      core.summary.addRaw(
+        `\n…and ${flakyTests.length - this.maxFlakyTestRows} more flaky test(s)\n`
+      );
+    }
+  }
+
+  /**
+   * Add per-module test counts, with line coverage when available
+   */
+  async addModulesTable(modules, coverage) {
+    core.summary.addHeading('Modules', 3);
+
+    const coverageByModule = new Map(
+      (coverage?.modules || []).map((module) => [module.name, module.lineCoverage])
+    );
+    const header = ['Module', 'Tests', 'Passed', 'Failed', 'Skipped', 'Time'];
+    if (coverageByModule.size > 0) {
+      header.push('Line Coverage');
+    }
+
+    const moduleRows = modules.map((module) => {
+      const failed = module.totalFailures + module.totalErrors;
+      const row = [
+        module.name,
+        module.totalTests.toString(),
+        (module.totalTests - failed - module.totalSkipped).toString(),
+        failed.toString(),
+        module.totalSkipped.toString(),
+        `${module.totalTime}s`
+      ];
+      if (coverageByModule.size > 0) {
+        const lineCoverage = coverageByModule.get(module.name);
+        row.push(this.formatCoverage(lineCoverage));
+      }
+      return row;
+    });
+
+    core.summary.addTable([header, ...moduleRows]);
+  }
+
+  /**
+   * Add measured coverage and the result of each coverage minimum to summary
+   */
+  async addCoverageSection(coverage, coverageCheck) {
+    core.summary.addHeading('Coverage', 2);
+
+    if (coverage) {
+      core.summary.addTable([
+        ['Metric', 'Coverage'],
+        ['Line', this.formatCoverage(coverage.lineCoverage)],
+        ['Branch', this.formatCoverage(coverage.branchCoverage)],
+        ['Instruction', this.formatCoverage(coverage.instructionCoverage)]
+      ]);
+
+      await this.addCoverageItemsTable('Least Covered Packages', 'Package', coverage.packages);
+      await this.addCoverageItemsTable('Least Covered Classes', 'Class', coverage.classes);
+    }
+
+    if (coverageCheck) {
+      core.summary.addHeading('Coverage Minimums', 3);
+
+      const checkRows = coverageCheck.results.map((check) => [
+        check.scope,
+        check.metric,
+        check.measured !== null ? `${check.measured.toFixed(2)}%` : '-',
+        `${check.minimum}%`,
+        check.passed ? '✅ Met' : `❌ ${this.describeShortfall(check)}`
+      ]);
+
+      core.summary.addTable([['Scope', 'Metric', 'Measured', 'Minimum', 'Status'], ...checkRows]);
+    }
+  }
+
+  /**
+   * Add the least covered packages or classes, as ranked by the test processor, to summary
+   */
+  async addCoverageItemsTable(heading, label, items = []) {
+    if (items.length === 0) return;
+
+    core.summary.addHeading(heading, 3);
+
+    const itemRows = items
+      .slice(0, this.maxCoverageItemRows)
+      .map((item) => [
+        item.name,
+        this.formatCoverage(item.lineCoverage),
+        this.formatCoverage(item.branchCoverage),
+        this.formatCoverage(item.instructionCoverage),
+        item.missedLines.toString()
+      ]);
+
+    core.summary.addTable([[label, 'Line', 'Branch', 'Instruction', 'Missed Lines'], ...itemRows]);
+  }
+
+  /**
+   * Add the coverage of the lines changed by a pull request to summary
+   */
+  async addDiffCoverageSection(diffCoverage) {
+    core.summary.addHeading('Diff Coverage', 2);
+
+    const rows = [
+      ['Metric', 'Value'],
+      ['Changed Lines With Code', diffCoverage.totalLines.toString()],
+      ['Covered', diffCoverage.coveredLines.toString()],
+      ['Diff Coverage', diffCoverage.coverage !== null ? `${diffCoverage.coverage}%` : '-']
+    ];
+    if (diffCoverage.minimum !== null) {
+      rows.push(['Minimum', `${diffCoverage.minimum}%`]);
+      rows.push(['Status', diffCoverage.passed ? '✅ Met' : '❌ Below minimum']);
+    }
+    core.summary.addTable(rows);
+
+    const uncoveredFiles = diffCoverage.uncoveredFiles;
+    if (uncoveredFiles.length > 0) {
+      core.summary.addHeading('Uncovered Changed Lines', 3);
+
+      const fileRows = uncoveredFiles
+        .slice(0, this.maxUncoveredFileRows)
+        .map(({ file, ranges }) => [
+          file,
+          ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ')
+        ]);
+      core.summary.addTable([['File', 'Lines'], ...fileRows]);
+
+      if (uncoveredFiles.length > this.maxUncoveredFileRows) {
+        core.summary.addRaw(
+          `\n…and ${uncoveredFiles.length - this.maxUncoveredFileRows} more file(s)\n`
+        );
+      }
+    }
+  }
+
+  /**
+   * Add the dependency license check to summary
+   */
+  async addLicenseSection(licenseResults) {
+    core.summary.addHeading('License Compliance', 2);
+    core.summary.addTable([
+      ['Metric', 'Value'],
+      ['Dependencies Checked', licenseResults.dependencies.toString()],
+      ['Without License', licenseResults.unknown.toString()],
+      ['Violations', licenseResults.violations.length.toString()],
+      ['Status', licenseResults.passed ? '✅ Compliant' : '❌ Policy violated']
+    ]);
+
+    const violations = licenseResults.violations;
+    if (violations.length > 0) {
+      core.summary.addHeading('License Violations', 3);
+
+      const violationRows = violations
+        .slice(0, this.maxLicenseViolationRows)
+        .map((violation) => [
+          `${violation.groupId}:${violation.artifactId}`,
+          violation.version,
+          violation.licenses.map((license) => license.name).join(', ') || '-',
+          violation.reason
+        ]);
+      core.summary.addTable([['Dependency', 'Version', 'Licenses', 'Reason'], ...violationRows]);
+
+      if (violations.length > this.maxLicenseViolationRows) {
+        core.summary.addRaw(
+          `\n…and ${violations.length - this.maxLicenseViolationRows} more dependencies\n`
+        );
+      }
+    }
+  }
+
+  /**
+   * Add the dependencies added, removed and changed by a pull request to summary
+   */
+  async addDependencyDiffSection(dependencyDiff) {
+    core.summary.addHeading('Dependency Changes', 2);
+
+    const { added, removed, changed } = dependencyDiff;
+    core.summary.addRaw(
+      `➕ **Added:** ${added.length} · ➖ **Removed:** ${removed.length} · 🔄 **Changed:** ${changed.length}\n\n`
+    );
+
+    const changes = [
+      ...added.map((change) => ['Added', change]),
+      ...changed.map((change) => ['Changed', change]),
+      ...removed.map((change) => ['Removed', change])
+    ];
+    if (changes.length === 0) return;
+
+    const changeRows = changes
+      .slice(0, this.maxDependencyChangeRows)
+      .map(([kind, change]) => [
+        kind,
+        change.name,
+        change.previousVersion ? `${change.previousVersion} → ${change.version}` : change.version,
+        change.direct ? 'direct' : 'transitive',
+        change.vulnerabilities.length > 0 ? `⚠️ ${change.vulnerabilities.join(', ')}` : '-'
+      ]);
+    core.summary.addTable([
+      ['Change', 'Dependency', 'Version', 'Type', 'Vulnerabilities'],
+      ...changeRows
+    ]);
+
+    if (changes.length > this.maxDependencyChangeRows) {
+      core.summary.addRaw(
+        `\n…and ${changes.length - this.maxDependencyChangeRows} more dependencies\n`
+      );
+    }
+  }
+
+  /**
+   * Format a coverage percentage, or a dash for metrics that were not measured
+   */
+  formatCoverage(value) {
+    return value !== null && value !== undefined ? `${value}%` : '-';
+  }
+
+  /**
+   * Describe by how much a coverage minimum was missed
+   */
+  describeShortfall(check) {
+    if (check.measured === null) {
+      return 'No coverage data';
+    }
+    return `Missed by ${(check.minimum - check.measured).toFixed(2)} points`;
+  }
+
+  /**
+   * Get emoji for pipeline step status
+   */
+  getPhaseStatusEmoji(status) {
+    const labels = {
+      success: '✅ Success',
+      failure: '❌ Failure',
+      skipped: '⏭️ Skipped'
+    };
+    return labels[status] || '❓ Unknown';
+  }
+
   /**
    * Get emoji for action status
    */
@@ -157,6 +635,36 @@ class OutputManager {
     core.summary.addRaw(`\n📦 **Total Artifacts:** ${artifacts.length}\n`);
   }
 
+  /**
+   * Add the files deployed to the repository to summary
+   */
+  async addDeploymentSection(deployment) {
+    core.summary.addHeading('Deployment', 2);
+    core.summary.addRaw(
+      `🚀 **Deployed ${deployment.files.length} file(s) to ${deployment.target}:** ${deployment.repositoryUrl}\n\n`
+    );
+    if (deployment.buildInfo) {
+      core.summary.addRaw(
+        `📋 **Build-info:** ${deployment.buildInfo.name} #${deployment.buildInfo.number}\n\n`
+      );
+    }
+
+    if (deployment.files.length > 0) {
+      core.summary.addTable([
+        ['File', 'URL'],
+        ...deployment.files
+          .slice(0, this.maxDeployedFileRows)
+          .map((file) => [file.path.split('/').pop(), file.url])
+      ]);
+    }
+
+    if (deployment.files.length > this.maxDeployedFileRows) {
+      core.summary.addRaw(
+        `\n…and ${deployment.files.length - this.maxDeployedFileRows} more files\n`
+      );
+    }
+  }
+
   /**
    * Log output summary to console
    */
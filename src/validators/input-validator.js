@@ -1,4 +1,6 @@
 const core = require('@actions/core');
+const { MavenLifecycle } = require('../utils/maven-lifecycle');
+const { ArgumentParser } = require('../utils/argument-parser');
 // const path = require('path');
 
 /**
@@ -29,6 +31,13 @@ class InputValidator {
       /auth/i
     ];
     this.validEnvVarNamePattern = /^[A-Z_][A-Z0-9_]*$/;
+    this.mavenLifecycle = new MavenLifecycle();
+    this.argumentParser = new ArgumentParser();
+    this.coverageMetrics = ['line', 'branch', 'instruction'];
+    this.validSecurityScanners = ['owasp', 'snyk', 'osv'];
+    this.validSecuritySeverities = ['low', 'medium', 'high', 'critical'];
+    this.validDeployTargets = ['nexus', 'artifactory', 'github-packages'];
+    this.repositoryNamePattern = /^[A-Za-z0-9._-]+$/;
   }
 
   /**
@@ -51,6 +60,11 @@ class InputValidator {
       this.validateSettingsFile(validationErrors);
       this.validateMavenArgs(validationErrors);
       this.validateBooleanInputs(validationErrors);
+      this.validateCoverageThresholds(validationErrors);
+      this.validateCoverageBadge(validationErrors);
+      this.validateSecurityInputs(validationErrors);
+      this.validateLicenseInputs(validationErrors);
+      this.validateDeployInputs(validationErrors);
 
       // Check for validation errors
       if (validationErrors.length > 0) {
@@ -85,21 +99,17 @@ class InputValidator {
       return;
     }
 
-    // Check for comma-separated operations and reject them
-    if (operation.includes(',')) {
-      errors.push(
-        '- operation: Multiple operations not supported. Please specify only one operation.'
-      );
-      return;
-    }
-
-    // Validate single operation
-    const trimmedOperation = operation.trim().toLowerCase();
+    // Validate each step of the pipeline (phases and plugin goals)
+    const steps = this.mavenLifecycle.parseOperation(operation);
+    const invalidSteps = steps.filter((step) => !step.type).map((step) => step.name);
 
-    if (!this.validOperations.includes(trimmedOperation)) {
-      const suggestions = this.generateOperationSuggestions([trimmedOperation]);
+    if (steps.length === 0 || invalidSteps.length > 0) {
+      const suggestions = this.generateOperationSuggestions(
+        invalidSteps.map((step) => step.toLowerCase())
+      );
+      const unknown = steps.length > 1 ? ` Unknown step(s): ${invalidSteps.join(', ')}.` : '';
       errors.push(
-        `- operation: Invalid value '${operation}'. Must be one of: ${this.validOperations.join(', ')}${suggestions ? '. ' + suggestions : ''}`
+        `- operation: Invalid value '${operation}'.${unknown} Must be one of: ${this.validOperations.join(', ')}, any other lifecycle phase, or a plugin goal (e.g. dependency:tree)${suggestions ? '. ' + suggestions : ''}`
       );
     }
   }
@@ -235,20 +245,297 @@ class InputValidator {
         '-X' // We control debug mode
       ];
 
-      const argsList = mavenArgs.split(/\s+/);
+      // Check the same tokens the executor passes to Maven
+      let argsList;
+      try {
+        argsList = this.argumentParser.parse(mavenArgs);
+      } catch (error) {
+        errors.push(`- maven-args: ${error.message}`);
+        return;
+      }
+
       for (const arg of argsList) {
-        if (dangerousArgs.includes(arg)) {
+        const longOption = arg.split('=')[0];
+        if (
+          dangerousArgs.includes(arg) ||
+          (arg.startsWith('--') && dangerousArgs.includes(longOption))
+        ) {
           errors.push(`- maven-args: Argument '${arg}' not allowed. Use dedicated inputs instead.`);
         }
       }
 
-      // Check for command injection attempts
-      if (this.containsCommandInjection(mavenArgs)) {
+      // Check for command injection attempts (line breaks between arguments are separators)
+      if (argsList.some((arg) => this.containsCommandInjection(arg))) {
         errors.push('- maven-args: Potential command injection detected');
       }
     }
   }
 
+  /**
+   * Validate coverage threshold inputs
+   */
+  validateCoverageThresholds(errors) {
+    const minimumInputs = [
+      ...this.coverageMetrics.map((metric) => `min-${metric}-coverage`),
+      'min-diff-coverage'
+    ];
+    for (const inputName of minimumInputs) {
+      const value = core.getInput(inputName);
+      if (value && !this.isValidPercentage(value)) {
+        errors.push(`- ${inputName}: Invalid value '${value}'. Must be a number from 0 to 100`);
+      }
+    }
+
+    let moduleThresholds;
+    try {
+      moduleThresholds = this.parseKeyValuePairs(core.getInput('module-coverage-thresholds'));
+    } catch (error) {
+      errors.push(`- module-coverage-thresholds: ${error.message}`);
+      return;
+    }
+
+    for (const [key, value] of Object.entries(moduleThresholds)) {
+      const [module, metric] = key.split(':').map((part) => part.trim());
+      if (!module || !this.coverageMetrics.includes(metric)) {
+        errors.push(
+          `- module-coverage-thresholds: Invalid key '${key}'. Expected <module>:<metric> with metric one of: ${this.coverageMetrics.join(', ')}`
+        );
+      } else if (!this.isValidPercentage(value)) {
+        errors.push(
+          `- module-coverage-thresholds: Invalid value '${value}' for '${key}'. Must be a number from 0 to 100`
+        );
+      }
+    }
+  }
+
+  /**
+   * Validate coverage badge inputs
+   */
+  validateCoverageBadge(errors) {
+    const badgePath = core.getInput('coverage-badge-path');
+    if (badgePath) {
+      if (!badgePath.toLowerCase().endsWith('.svg')) {
+        errors.push('- coverage-badge-path: Must be an SVG file (*.svg)');
+      }
+      if (badgePath.length > this.maxPathLength) {
+        errors.push(
+          `- coverage-badge-path: Path too long (${badgePath.length} > ${this.maxPathLength})`
+        );
+      }
+      if (this.containsInvalidPathChars(badgePath)) {
+        errors.push('- coverage-badge-path: Contains invalid characters');
+      }
+    }
+
+    const green = core.getInput('coverage-badge-green-threshold');
+    const yellow = core.getInput('coverage-badge-yellow-threshold');
+    for (const [inputName, value] of [
+      ['coverage-badge-green-threshold', green],
+      ['coverage-badge-yellow-threshold', yellow]
+    ]) {
+      if (value && !this.isValidPercentage(value)) {
+        errors.push(`- ${inputName}: Invalid value '${value}'. Must be a number from 0 to 100`);
+      }
+    }
+    if (green && yellow && Number(yellow) > Number(green)) {
+      errors.push(
+        '- coverage-badge-yellow-threshold: Must not be greater than coverage-badge-green-threshold'
+      );
+    }
+  }
+
+  /**
+   * Validate security scan inputs
+   */
+  validateSecurityInputs(errors) {
+    const scanners = this.getSecurityScanners();
+    const invalidScanners = scanners.filter(
+      (scanner) => !this.validSecurityScanners.includes(scanner)
+    );
+    if (invalidScanners.length > 0) {
+      errors.push(
+        `- security-scanners: Invalid scanner(s) '${invalidScanners.join(', ')}'. Must be one or more of: ${this.validSecurityScanners.join(', ')}`
+      );
+    }
+
+    const osvDatabase = core.getInput('osv-database');
+    if (scanners.includes('osv') && !osvDatabase) {
+      errors.push('- osv-database: Required when security-scanners includes osv');
+    }
+    if (osvDatabase) {
+      if (osvDatabase.length > this.maxPathLength) {
+        errors.push(
+          `- osv-database: Path too long (${osvDatabase.length} > ${this.maxPathLength})`
+        );
+      }
+      if (this.containsInvalidPathChars(osvDatabase)) {
+        errors.push('- osv-database: Contains invalid characters');
+      }
+    }
+
+    const threshold = core.getInput('security-threshold');
+    if (threshold && !this.validSecuritySeverities.includes(threshold.toLowerCase())) {
+      const score = Number(threshold);
+      if (threshold.trim() === '' || isNaN(score) || score < 0 || score > 10) {
+        errors.push(
+          `- security-threshold: Invalid value '${threshold}'. Must be a CVSS score from 0 to 10 or one of: ${this.validSecuritySeverities.join(', ')}`
+        );
+      }
+    }
+
+    const suppressionFile = core.getInput('security-suppression-file');
+    if (suppressionFile) {
+      if (suppressionFile.length > this.maxPathLength) {
+        errors.push(
+          `- security-suppression-file: Path too long (${suppressionFile.length} > ${this.maxPathLength})`
+        );
+      }
+      if (this.containsInvalidPathChars(suppressionFile)) {
+        errors.push('- security-suppression-file: Contains invalid characters');
+      }
+    }
+
+    const baselineFile = core.getInput('security-baseline');
+    if (baselineFile) {
+      if (baselineFile.length > this.maxPathLength) {
+        errors.push(
+          `- security-baseline: Path too long (${baselineFile.length} > ${this.maxPathLength})`
+        );
+      }
+      if (this.containsInvalidPathChars(baselineFile)) {
+        errors.push('- security-baseline: Contains invalid characters');
+      }
+    }
+    if (core.getInput('security-baseline-cache').toLowerCase() === 'true' && !baselineFile) {
+      errors.push('- security-baseline: Required when security-baseline-cache is true');
+    }
+  }
+
+  /**
+   * Validate license check inputs
+   */
+  validateLicenseInputs(errors) {
+    const policyFile = core.getInput('license-policy-file');
+    if (policyFile) {
+      if (policyFile.length > this.maxPathLength) {
+        errors.push(
+          `- license-policy-file: Path too long (${policyFile.length} > ${this.maxPathLength})`
+        );
+      }
+      if (this.containsInvalidPathChars(policyFile)) {
+        errors.push('- license-policy-file: Contains invalid characters');
+      }
+    }
+
+    const hasPolicy =
+      policyFile ||
+      this.parseList(core.getInput('allowed-licenses')).length > 0 ||
+      this.parseList(core.getInput('denied-licenses')).length > 0;
+    if (core.getInput('license-check').toLowerCase() === 'true' && !hasPolicy) {
+      errors.push(
+        '- license-check: Requires allowed-licenses, denied-licenses or license-policy-file'
+      );
+    }
+  }
+
+  /**
+   * Validate deployment inputs
+   */
+  validateDeployInputs(errors) {
+    const deployTarget = core.getInput('deploy-target');
+    if (!deployTarget) return;
+
+    if (!this.validDeployTargets.includes(deployTarget.toLowerCase())) {
+      errors.push(
+        `- deploy-target: Invalid target '${deployTarget}'. Must be one of: ${this.validDeployTargets.join(', ')}`
+      );
+    }
+
+    // Credentials are sent to the deploy URL, so plain HTTP is only worth a
+    // warning for repository managers on a private network. GitHub Packages
+    // derives it from the repository.
+    const deployUrl = core.getInput('deploy-url');
+    if (!deployUrl) {
+      if (deployTarget.toLowerCase() !== 'github-packages') {
+        errors.push('- deploy-url: Required when deploy-target is set');
+      }
+    } else {
+      let url = null;
+      try {
+        url = new URL(deployUrl);
+      } catch (error) {
+        errors.push(`- deploy-url: Invalid URL '${deployUrl}'`);
+      }
+      if (url && url.protocol === 'http:') {
+        core.warning(`deploy-url ${url.origin} uses HTTP, credentials are sent unencrypted`);
+      } else if (url && url.protocol !== 'https:') {
+        errors.push('- deploy-url: Must use HTTPS or HTTP');
+      }
+    }
+
+    for (const name of [
+      'nexus-release-repository',
+      'nexus-snapshot-repository',
+      'artifactory-release-repository',
+      'artifactory-snapshot-repository'
+    ]) {
+      const repository = core.getInput(name);
+      if (repository && !this.repositoryNamePattern.test(repository)) {
+        errors.push(`- ${name}: Invalid repository name '${repository}'`);
+      }
+    }
+  }
+
+  /**
+   * Parse a list separated by commas or newlines
+   */
+  parseList(input) {
+    return (input || '')
+      .split(/[\n,]/)
+      .map((item) => item.trim())
+      .filter((item) => item.length > 0);
+  }
+
+  /**
+   * Get the security scanners to run, in lower case
+   */
+  getSecurityScanners() {
+    return (core.getInput('security-scanners') || 'owasp,snyk')
+      .split(/[\s,]+/)
+      .map((scanner) => scanner.trim().toLowerCase())
+      .filter((scanner) => scanner.length > 0);
+  }
+
+  /**
+   * Check if a string is a percentage from 0 to 100
+   */
+  isValidPercentage(value) {
+    const number = Number(value);
+    return value.trim() !== '' && !isNaN(number) && number >= 0 && number <= 100;
+  }
+
+  /**
+   * Get global and per-module coverage minimums as a list of thresholds
+   */
+  getCoverageThresholds() {
+    const thresholds = [];
+
+    for (const metric of this.coverageMetrics) {
+      const value = core.getInput(`min-${metric}-coverage`);
+      if (value) {
+        thresholds.push({ module: null, metric, minimum: Number(value) });
+      }
+    }
+
+    const moduleThresholds = this.parseKeyValuePairs(core.getInput('module-coverage-thresholds'));
+    for (const [key, value] of Object.entries(moduleThresholds)) {
+      const [module, metric] = key.split(':').map((part) => part.trim());
+      thresholds.push({ module, metric, minimum: Number(value) });
+    }
+
+    return thresholds;
+  }
+
   /**
    * Parse key=value pairs from string input
    */
@@ -289,7 +576,21 @@ class InputValidator {
    * Validate boolean inputs
    */
   validateBooleanInputs(errors) {
-    const booleanInputs = ['cache-enabled', 'force-install'];
+    const booleanInputs = [
+      'cache-enabled',
+      'force-install',
+      'use-maven-wrapper',
+      'build-affected-modules',
+      'publish-test-results',
+      'generate-coverage',
+      'security-scan',
+      'fail-on-vulnerabilities',
+      'sbom',
+      'license-check',
+      'fail-on-license-violations',
+      'dependency-diff',
+      'security-baseline-cache'
+    ];
 
     for (const inputName of booleanInputs) {
       const value = core.getInput(inputName);
@@ -344,6 +645,48 @@ class InputValidator {
       mavenArgs: core.getInput('maven-args'),
       cacheEnabled: core.getBooleanInput('cache-enabled'),
       forceInstall: core.getBooleanInput('force-install'),
+      useMavenWrapper: core.getBooleanInput('use-maven-wrapper'),
+      buildAffectedModules: core.getBooleanInput('build-affected-modules'),
+      publishTestResults: core.getBooleanInput('publish-test-results'),
+      generateCoverage: core.getBooleanInput('generate-coverage'),
+      coverageThresholds: this.getCoverageThresholds(),
+      minDiffCoverage: core.getInput('min-diff-coverage')
+        ? Number(core.getInput('min-diff-coverage'))
+        : null,
+      coverageBadgePath: core.getInput('coverage-badge-path'),
+      coverageBadgeGreenThreshold: Number(core.getInput('coverage-badge-green-threshold') || '80'),
+      coverageBadgeYellowThreshold: Number(
+        core.getInput('coverage-badge-yellow-threshold') || '60'
+      ),
+      securityScan: core.getBooleanInput('security-scan'),
+      securityScanners: this.getSecurityScanners(),
+      securityThreshold: core.getInput('security-threshold') || '7',
+      securitySuppressionFile: core.getInput('security-suppression-file'),
+      securityBaseline: core.getInput('security-baseline'),
+      securityBaselineCache: core.getBooleanInput('security-baseline-cache'),
+      osvDatabase: core.getInput('osv-database'),
+      failOnVulnerabilities: core.getInput('fail-on-vulnerabilities')
+        ? core.getBooleanInput('fail-on-vulnerabilities')
+        : true,
+      sbom: core.getBooleanInput('sbom'),
+      dependencyDiff: core.getBooleanInput('dependency-diff'),
+      licenseCheck: core.getBooleanInput('license-check'),
+      allowedLicenses: this.parseList(core.getInput('allowed-licenses')),
+      deniedLicenses: this.parseList(core.getInput('denied-licenses')),
+      licensePolicyFile: core.getInput('license-policy-file'),
+      failOnLicenseViolations: core.getInput('fail-on-license-violations')
+        ? core.getBooleanInput('fail-on-license-violations')
+        : true,
+      deployTarget: core.getInput('deploy-target').toLowerCase(),
+      deployUrl: core.getInput('deploy-url'),
+      deployUsername: core.getInput('deploy-username'),
+      deployPassword: core.getInput('deploy-password'),
+      nexusReleaseRepository: core.getInput('nexus-release-repository') || 'maven-releases',
+      nexusSnapshotRepository: core.getInput('nexus-snapshot-repository') || 'maven-snapshots',
+      artifactoryReleaseRepository:
+        core.getInput('artifactory-release-repository') || 'libs-release-local',
+      artifactorySnapshotRepository:
+        core.getInput('artifactory-snapshot-repository') || 'libs-snapshot-local',
 
       // New inputs
       envVars: this.parseKeyValuePairs(core.getInput('env-vars'))
@@ -355,6 +698,9 @@ class InputValidator {
    */
   sanitizeForLogging(inputs) {
     const sanitized = { ...inputs };
+    if (sanitized.deployPassword) {
+      sanitized.deployPassword = '***';
+    }
     return sanitized;
   }
 }
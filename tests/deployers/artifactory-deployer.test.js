@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { ArtifactoryDeployer } = require('../../src/deployers/artifactory-deployer');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+describe('ArtifactoryDeployer', () => {
+  let projectDir;
+  let server;
+  let baseUrl;
+  let requests;
+  let responses;
+  let dependencyResolver;
+
+  const eventContext = {
+    workflow: 'CI',
+    runNumber: 42,
+    runId: 1001,
+    sha: 'abc123',
+    branch: 'main'
+  };
+
+  const writeFile = (name, content) => {
+    const file = path.join(projectDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const publication = (version) => ({
+    groupId: 'org.example',
+    artifactId: 'core',
+    version,
+    files: [
+      { path: writeFile('pom.xml', '<project/>'), classifier: null, extension: 'pom' },
+      { path: writeFile('core.jar', 'jar content'), classifier: null, extension: 'jar' }
+    ]
+  });
+
+  const createDeployer = (inputs = {}) =>
+    new ArtifactoryDeployer(
+      {
+        deployUrl: `${baseUrl}/artifactory/`,
+        deployUsername: 'deployer',
+        deployPassword: 's3cret',
+        ...inputs
+      },
+      dependencyResolver
+    );
+
+  const pathOf = (request) => request.url.split(';')[0];
+
+  beforeAll(async () => {
+    // Local stand-in for Artifactory recording every request
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString()
+        });
+        const isChecksumDeploy = req.headers['x-checksum-deploy'] === 'true';
+        const response = responses[`${req.method} ${req.url.split(';')[0]}`] || {
+          status: isChecksumDeploy ? 404 : 201
+        };
+        res.statusCode = response.status;
+        res.end(response.body || '');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    requests = [];
+    responses = {};
+    dependencyResolver = {
+      resolveModules: jest
+        .fn()
+        .mockResolvedValue(
+          new Map([
+            [
+              'org.example:core:2.0',
+              [
+                {
+                  groupId: 'com.google.guava',
+                  artifactId: 'guava',
+                  version: '33.0',
+                  scope: 'compile'
+                }
+              ]
+            ]
+          ])
+        )
+    };
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifactory-deployer-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('should upload files whose checksum Artifactory does not know', async () => {
+    const result = await createDeployer().deploy([publication('2.0')], eventContext);
+
+    const base = '/artifactory/libs-release-local/org/example/core/2.0';
+    const uploads = requests.filter((request) => pathOf(request) !== '/artifactory/api/build');
+    expect(uploads.map((request) => `${pathOf(request)} ${request.body}`)).toEqual([
+      `${base}/core-2.0.pom `,
+      `${base}/core-2.0.pom <project/>`,
+      `${base}/core-2.0.jar `,
+      `${base}/core-2.0.jar jar content`
+    ]);
+    expect(uploads[0].headers).toMatchObject({
+      'x-checksum-deploy': 'true',
+      'x-checksum-sha1': crypto.createHash('sha1').update('<project/>').digest('hex'),
+      'x-checksum-sha256': crypto.createHash('sha256').update('<project/>').digest('hex'),
+      'x-checksum-md5': crypto.createHash('md5').update('<project/>').digest('hex'),
+      authorization: `Basic ${Buffer.from('deployer:s3cret').toString('base64')}`
+    });
+    expect(uploads[1].headers['x-checksum-deploy']).toBeUndefined();
+    expect(result.files[1]).toEqual({
+      path: path.join(projectDir, 'core.jar'),
+      url: `${baseUrl}${base}/core-2.0.jar`
+    });
+    expect(result.buildInfo).toEqual({ name: 'CI', number: '42' });
+  });
+
+  it('should skip the upload of content Artifactory already stores', async () => {
+    const base = '/artifactory/libs-snapshot-local/org/example/core/2.1-SNAPSHOT';
+    responses[`PUT ${base}/core-2.1-SNAPSHOT.jar`] = { status: 201 };
+
+    await createDeployer().deploy([publication('2.1-SNAPSHOT')], eventContext);
+
+    const jarRequests = requests.filter(
+      (request) => pathOf(request) === `${base}/core-2.1-SNAPSHOT.jar`
+    );
+    expect(jarRequests).toHaveLength(1);
+    expect(jarRequests[0].body).toBe('');
+  });
+
+  it('should tag uploads with the build and commit of the run', async () => {
+    await createDeployer().deploy([publication('2.0')], eventContext);
+
+    expect(requests[0].url).toMatch(
+      /;build\.name=CI;build\.number=42;build\.timestamp=\d+;vcs\.revision=abc123$/
+    );
+  });
+
+  it('should publish a build-info of the deployed modules and their dependencies', async () => {
+    const originalRepository = process.env.GITHUB_REPOSITORY;
+    process.env.GITHUB_REPOSITORY = 'octo/app';
+    try {
+      await createDeployer({ mavenVersion: '3.9.6' }).deploy([publication('2.0')], eventContext);
+    } finally {
+      if (originalRepository === undefined) delete process.env.GITHUB_REPOSITORY;
+      else process.env.GITHUB_REPOSITORY = originalRepository;
+    }
+
+    const publish = requests.find((request) => request.url === '/artifactory/api/build');
+    expect(publish.headers['content-type']).toBe('application/json');
+    const buildInfo = JSON.parse(publish.body);
+    expect(buildInfo).toMatchObject({
+      name: 'CI',
+      number: '42',
+      type: 'MAVEN',
+      url: 'https://github.com/octo/app/actions/runs/1001',
+      buildAgent: { name: 'Maven', version: '3.9.6' },
+      vcs: [{ revision: 'abc123', branch: 'main', url: 'https://github.com/octo/app' }]
+    });
+    expect(buildInfo.started).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}\+0000$/);
+    expect(buildInfo.modules).toEqual([
+      {
+        id: 'org.example:core:2.0',
+        type: 'maven',
+        artifacts: [
+          expect.objectContaining({ type: 'pom', name: 'core-2.0.pom' }),
+          {
+            type: 'jar',
+            name: 'core-2.0.jar',
+            path: 'org/example/core/2.0/core-2.0.jar',
+            sha1: crypto.createHash('sha1').update('jar content').digest('hex'),
+            sha256: crypto.createHash('sha256').update('jar content').digest('hex'),
+            md5: crypto.createHash('md5').update('jar content').digest('hex')
+          }
+        ],
+        dependencies: [{ id: 'com.google.guava:guava:33.0', scopes: ['compile'] }]
+      }
+    ]);
+  });
+
+  it('should publish the build-info without dependencies when they cannot be resolved', async () => {
+    dependencyResolver.resolveModules.mockRejectedValue(new Error('mvn failed'));
+
+    await createDeployer().deploy([publication('2.0')], eventContext);
+
+    const publish = requests.find((request) => request.url === '/artifactory/api/build');
+    expect(JSON.parse(publish.body).modules[0].dependencies).toBeUndefined();
+    expect(core.warning).toHaveBeenCalledWith(
+      'Could not resolve the dependencies for the build-info: mvn failed'
+    );
+  });
+
+  it('should fail on a rejected checksum deploy', async () => {
+    const base = '/artifactory/libs-release-local/org/example/core/2.0';
+    responses[`PUT ${base}/core-2.0.pom`] = { status: 403 };
+
+    await expect(createDeployer().deploy([publication('2.0')], eventContext)).rejects.toThrow(
+      /^Checksum deploy to .*core-2\.0\.pom;build\.name=CI.* failed: 403 Forbidden$/
+    );
+  });
+});
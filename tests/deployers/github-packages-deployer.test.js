@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { GitHubPackagesDeployer } = require('../../src/deployers/github-packages-deployer');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+describe('GitHubPackagesDeployer', () => {
+  const originalEnv = process.env;
+  let tempDir;
+  let mavenExecutor;
+  let settings;
+
+  const mavenOutput = [
+    '[INFO] Uploading to maven-actions-github-packages: https://maven.pkg.github.com/octo/app/org/example/core/2.0/core-2.0.jar',
+    '[INFO] Uploaded to maven-actions-github-packages: https://maven.pkg.github.com/octo/app/org/example/core/2.0/core-2.0.jar (2.1 kB at 3.0 kB/s)',
+    '[INFO] Uploaded to maven-actions-github-packages: https://maven.pkg.github.com/octo/app/org/example/core/2.0/core-2.0.pom (1.2 kB at 2.0 kB/s)',
+    '[INFO] Uploaded to maven-actions-github-packages: https://maven.pkg.github.com/octo/app/org/example/core/maven-metadata.xml (300 B at 1.0 kB/s)'
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-packages-deployer-'));
+    process.env = {
+      ...originalEnv,
+      GITHUB_REPOSITORY: 'octo/app',
+      GITHUB_TOKEN: 'ghs_token',
+      RUNNER_TEMP: tempDir
+    };
+    settings = null;
+    mavenExecutor = {
+      executeMavenCommand: jest.fn().mockImplementation(async (goals, args, onOutputLine) => {
+        settings = fs.readFileSync(args[args.indexOf('-gs') + 1], 'utf8');
+        mavenOutput.forEach(onOutputLine);
+        return { success: true };
+      })
+    };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should run Maven deploy to the registry of the repository', async () => {
+    const deployer = new GitHubPackagesDeployer({}, mavenExecutor);
+
+    const result = await deployer.deploy({ actor: 'octocat' });
+
+    expect(mavenExecutor.executeMavenCommand).toHaveBeenCalledWith(
+      'deploy',
+      [
+        '-Dmaven.main.skip=true',
+        '-DskipTests',
+        '-DaltDeploymentRepository=maven-actions-github-packages::default::https://maven.pkg.github.com/octo/app',
+        '-gs',
+        expect.stringMatching(/settings\.xml$/)
+      ],
+      expect.any(Function),
+      { annotate: false }
+    );
+    expect(result).toEqual({
+      repositoryUrl: 'https://maven.pkg.github.com/octo/app',
+      files: [
+        {
+          path: 'core-2.0.jar',
+          url: 'https://maven.pkg.github.com/octo/app/org/example/core/2.0/core-2.0.jar'
+        },
+        {
+          path: 'core-2.0.pom',
+          url: 'https://maven.pkg.github.com/octo/app/org/example/core/2.0/core-2.0.pom'
+        }
+      ]
+    });
+    expect(core.setSecret).toHaveBeenCalledWith('ghs_token');
+  });
+
+  it('should write the credentials to a settings file removed after the deploy', async () => {
+    const deployer = new GitHubPackagesDeployer({}, mavenExecutor);
+
+    await deployer.deploy({ actor: 'octocat' });
+
+    expect(settings).toContain('<id>maven-actions-github-packages</id>');
+    expect(settings).toContain('<username>octocat</username>');
+    expect(settings).toContain('<password>ghs_token</password>');
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+
+  it('should remove the settings file when the deploy fails', async () => {
+    mavenExecutor.executeMavenCommand.mockRejectedValue(new Error('Maven deploy failed'));
+    const deployer = new GitHubPackagesDeployer({}, mavenExecutor);
+
+    await expect(deployer.deploy({ actor: 'octocat' })).rejects.toThrow('Maven deploy failed');
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+
+  it('should prefer the configured URL and credentials', async () => {
+    const deployer = new GitHubPackagesDeployer(
+      {
+        deployUrl: 'https://maven.ghe.example.com/octo/app/',
+        deployUsername: 'deploy-bot',
+        deployPassword: 'ghp_personal'
+      },
+      mavenExecutor
+    );
+
+    const result = await deployer.deploy({ actor: 'octocat' });
+
+    expect(result.repositoryUrl).toBe('https://maven.ghe.example.com/octo/app');
+    expect(settings).toContain('<username>deploy-bot</username>');
+    expect(settings).toContain('<password>ghp_personal</password>');
+  });
+
+  it('should require a token', async () => {
+    delete process.env.GITHUB_TOKEN;
+    const deployer = new GitHubPackagesDeployer({}, mavenExecutor);
+
+    await expect(deployer.deploy({ actor: 'octocat' })).rejects.toThrow(
+      'GitHub Packages deployment requires the GITHUB_TOKEN environment variable or deploy-password'
+    );
+    expect(mavenExecutor.executeMavenCommand).not.toHaveBeenCalled();
+  });
+});
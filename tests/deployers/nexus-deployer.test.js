@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { NexusDeployer } = require('../../src/deployers/nexus-deployer');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+describe('NexusDeployer', () => {
+  let projectDir;
+  let server;
+  let baseUrl;
+  let requests;
+  let responses;
+
+  const writeFile = (name, content) => {
+    const file = path.join(projectDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const publication = (version) => ({
+    groupId: 'org.example',
+    artifactId: 'core',
+    version,
+    files: [
+      { path: writeFile('pom.xml', '<project/>'), classifier: null, extension: 'pom' },
+      { path: writeFile('core.jar', 'jar content'), classifier: null, extension: 'jar' },
+      { path: writeFile('core-sources.jar', 'sources'), classifier: 'sources', extension: 'jar' }
+    ]
+  });
+
+  const createDeployer = (inputs = {}) =>
+    new NexusDeployer({
+      deployUrl: `${baseUrl}/`,
+      deployUsername: 'deployer',
+      deployPassword: 's3cret',
+      ...inputs
+    });
+
+  beforeAll(async () => {
+    // Local stand-in for Nexus recording every request
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({
+          method: req.method,
+          url: req.url,
+          authorization: req.headers.authorization,
+          body: Buffer.concat(chunks).toString()
+        });
+        const response = responses[`${req.method} ${req.url}`] || {
+          status: req.method === 'PUT' ? 201 : 404
+        };
+        res.statusCode = response.status;
+        res.end(response.body || '');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    requests = [];
+    responses = {};
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-deployer-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('should upload release files with checksums to the release repository', async () => {
+    const result = await createDeployer().deploy([publication('2.0')]);
+
+    const base = '/repository/maven-releases/org/example/core/2.0';
+    expect(requests.map((request) => `${request.method} ${request.url}`)).toEqual([
+      `PUT ${base}/core-2.0.pom`,
+      `PUT ${base}/core-2.0.pom.md5`,
+      `PUT ${base}/core-2.0.pom.sha1`,
+      `PUT ${base}/core-2.0.jar`,
+      `PUT ${base}/core-2.0.jar.md5`,
+      `PUT ${base}/core-2.0.jar.sha1`,
+      `PUT ${base}/core-2.0-sources.jar`,
+      `PUT ${base}/core-2.0-sources.jar.md5`,
+      `PUT ${base}/core-2.0-sources.jar.sha1`
+    ]);
+    expect(requests[3].body).toBe('jar content');
+    expect(requests[5].body).toBe(crypto.createHash('sha1').update('jar content').digest('hex'));
+    expect(requests[0].authorization).toBe(
+      `Basic ${Buffer.from('deployer:s3cret').toString('base64')}`
+    );
+    expect(result.files).toHaveLength(3);
+    expect(result.files[1]).toEqual({
+      path: path.join(projectDir, 'core.jar'),
+      url: `${baseUrl}${base}/core-2.0.jar`
+    });
+  });
+
+  it('should upload SNAPSHOTs with the next timestamped version to the snapshot repository', async () => {
+    const base = '/repository/snapshots/org/example/core/2.1-SNAPSHOT';
+    responses[`GET ${base}/maven-metadata.xml`] = {
+      status: 200,
+      body: '<metadata><versioning><snapshot><timestamp>20240101.000000</timestamp><buildNumber>4</buildNumber></snapshot></versioning></metadata>'
+    };
+
+    const result = await createDeployer({ nexusSnapshotRepository: 'snapshots' }).deploy([
+      publication('2.1-SNAPSHOT')
+    ]);
+
+    expect(result.files.map((file) => file.url)).toEqual([
+      expect.stringMatching(new RegExp(`${base}/core-2\\.1-\\d{8}\\.\\d{6}-5\\.pom$`)),
+      expect.stringMatching(new RegExp(`${base}/core-2\\.1-\\d{8}\\.\\d{6}-5\\.jar$`)),
+      expect.stringMatching(new RegExp(`${base}/core-2\\.1-\\d{8}\\.\\d{6}-5-sources\\.jar$`))
+    ]);
+    const metadata = requests.find(
+      (request) => request.method === 'PUT' && request.url === `${base}/maven-metadata.xml`
+    );
+    expect(metadata.body).toContain('<buildNumber>5</buildNumber>');
+    expect(metadata.body).toContain('<classifier>sources</classifier>');
+  });
+
+  it('should fail on a rejected upload', async () => {
+    const base = '/repository/maven-releases/org/example/core/2.0';
+    responses[`PUT ${base}/core-2.0.pom`] = { status: 400 };
+
+    await expect(createDeployer().deploy([publication('2.0')])).rejects.toThrow(
+      `Upload to ${baseUrl}${base}/core-2.0.pom failed: 400 Bad Request`
+    );
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PublicationCollector } = require('../../src/deployers/publication-collector');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+describe('PublicationCollector', () => {
+  let projectDir;
+  let mavenExecutor;
+  let collector;
+
+  const repository = '/home/runner/.m2/repository';
+
+  const writeFile = (relativePath, content = '') => {
+    const file = path.join(projectDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  const pom = (body) => `<?xml version="1.0"?>\n<project>${body}</project>`;
+
+  const install = (relativePath, repositoryPath) =>
+    mavenExecutor.installedFiles.set(
+      `${repository}/${repositoryPath}`,
+      path.join(projectDir, relativePath)
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'publication-collector-'));
+    mavenExecutor = { installedFiles: new Map() };
+    collector = new PublicationCollector({ workingDirectory: projectDir }, mavenExecutor);
+
+    writeFile(
+      'pom.xml',
+      pom(
+        '<groupId>org.example</groupId><artifactId>parent</artifactId><version>2.0</version><packaging>pom</packaging>'
+      )
+    );
+    writeFile(
+      'core/pom.xml',
+      pom(
+        '<parent><groupId>org.example</groupId><artifactId>parent</artifactId><version>2.0</version></parent><artifactId>core</artifactId>'
+      )
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('should collect the POM, main and classifier artifacts the build installed', async () => {
+    install('pom.xml', 'org/example/parent/2.0/parent-2.0.pom');
+    install('core/pom.xml', 'org/example/core/2.0/core-2.0.pom');
+    install('core/target/core-2.0-sources.jar', 'org/example/core/2.0/core-2.0-sources.jar');
+    install('core/target/core-2.0.jar', 'org/example/core/2.0/core-2.0.jar');
+    install('core/target/core-2.0-javadoc.jar', 'org/example/core/2.0/core-2.0-javadoc.jar');
+
+    const publications = await collector.collect();
+
+    expect(publications).toEqual([
+      {
+        groupId: 'org.example',
+        artifactId: 'parent',
+        version: '2.0',
+        packaging: 'pom',
+        moduleDirectory: projectDir,
+        files: [{ path: path.join(projectDir, 'pom.xml'), classifier: null, extension: 'pom' }]
+      },
+      {
+        groupId: 'org.example',
+        artifactId: 'core',
+        version: '2.0',
+        packaging: 'jar',
+        moduleDirectory: path.join(projectDir, 'core'),
+        files: [
+          { path: path.join(projectDir, 'core/pom.xml'), classifier: null, extension: 'pom' },
+          {
+            path: path.join(projectDir, 'core/target/core-2.0.jar'),
+            classifier: null,
+            extension: 'jar'
+          },
+          {
+            path: path.join(projectDir, 'core/target/core-2.0-javadoc.jar'),
+            classifier: 'javadoc',
+            extension: 'jar'
+          },
+          {
+            path: path.join(projectDir, 'core/target/core-2.0-sources.jar'),
+            classifier: 'sources',
+            extension: 'jar'
+          }
+        ]
+      }
+    ]);
+  });
+
+  it('should find artifacts with a custom final name and the flattened POM', async () => {
+    writeFile(
+      'core/pom.xml',
+      pom(
+        '<parent><groupId>org.example</groupId><version>${revision}</version></parent><artifactId>core</artifactId><build><finalName>app</finalName></build>'
+      )
+    );
+    writeFile(
+      'core/target/maven-archiver/pom.properties',
+      '#Created by Apache Maven 3.9.6\ngroupId=org.example\nartifactId=core\nversion=2.1.0\n'
+    );
+    install('core/.flattened-pom.xml', 'org/example/core/2.1.0/core-2.1.0.pom');
+    install('core/target/app.jar', 'org/example/core/2.1.0/core-2.1.0.jar');
+    install('core/target/app-tests.jar', 'org/example/core/2.1.0/core-2.1.0-tests.jar');
+
+    const [publication] = await collector.collect();
+
+    expect(publication).toMatchObject({
+      groupId: 'org.example',
+      artifactId: 'core',
+      version: '2.1.0'
+    });
+    expect(publication.files).toEqual([
+      {
+        path: path.join(projectDir, 'core/.flattened-pom.xml'),
+        classifier: null,
+        extension: 'pom'
+      },
+      { path: path.join(projectDir, 'core/target/app.jar'), classifier: null, extension: 'jar' },
+      {
+        path: path.join(projectDir, 'core/target/app-tests.jar'),
+        classifier: 'tests',
+        extension: 'jar'
+      }
+    ]);
+  });
+
+  it('should only publish the modules the build installed', async () => {
+    install('core/pom.xml', 'org/example/core/2.0/core-2.0.pom');
+    install('core/target/core-2.0.jar', 'org/example/core/2.0/core-2.0.jar');
+
+    const publications = await collector.collect();
+
+    expect(publications.map((publication) => publication.artifactId)).toEqual(['core']);
+  });
+
+  it('should publish nothing when the build installed nothing', async () => {
+    expect(await collector.collect()).toEqual([]);
+  });
+
+  it('should fail when a module installed no POM', async () => {
+    install('core/target/core-2.0.jar', 'org/example/core/2.0/core-2.0.jar');
+
+    await expect(collector.collect()).rejects.toThrow(
+      `No POM installed to ${repository}/org/example/core/2.0`
+    );
+  });
+});
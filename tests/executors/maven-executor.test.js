@@ -0,0 +1,84 @@
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+const { MavenExecutor } = require('../../src/executors/maven-executor');
+
+// Mock dependencies
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+describe('MavenExecutor', () => {
+  const mavenOutput = [
+    '[INFO] --- install:3.1.1:install (default-install) @ core ---',
+    '[INFO] Installing /project/core/pom.xml to /root/.m2/repository/org/example/core/2.0/core-2.0.pom',
+    '[INFO] Installing /project/core/target/app.jar to /root/.m2/repository/org/example/core/2.0/core-2.0.jar'
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exec.exec.mockImplementation(async (command, args, options) => {
+      mavenOutput.forEach((line) => options.listeners.stdline(line));
+      return 0;
+    });
+  });
+
+  describe('executeMavenCommand', () => {
+    it('should record the files the build installed', async () => {
+      const executor = new MavenExecutor({ workingDirectory: '/project' });
+
+      await executor.executeMavenCommand('install');
+
+      expect([...executor.installedFiles]).toEqual([
+        ['/root/.m2/repository/org/example/core/2.0/core-2.0.pom', '/project/core/pom.xml'],
+        ['/root/.m2/repository/org/example/core/2.0/core-2.0.jar', '/project/core/target/app.jar']
+      ]);
+    });
+  });
+
+  describe('executeMavenCommand annotations', () => {
+    const warningLine = '[WARNING] /project/core/src/main/java/App.java:[3,5] deprecated API';
+
+    beforeEach(() => {
+      exec.exec.mockImplementation(async (command, args, options) => {
+        options.listeners.stdline(warningLine);
+        return 0;
+      });
+    });
+
+    it('should annotate the diagnostics of the build', async () => {
+      await new MavenExecutor({ workingDirectory: '/project' }).executeMavenCommand('compile');
+
+      expect(core.warning).toHaveBeenCalledWith('deprecated API', expect.any(Object));
+    });
+
+    it('should not annotate the diagnostics when annotations are turned off', async () => {
+      await new MavenExecutor({ workingDirectory: '/project' }).executeMavenCommand(
+        'deploy',
+        [],
+        null,
+        { annotate: false }
+      );
+
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deploy', () => {
+    it('should skip the deploy of Maven when deploy-target deploys the artifacts', async () => {
+      const executor = new MavenExecutor({ workingDirectory: '/project', deployTarget: 'nexus' });
+
+      await executor.deploy();
+      await executor.executePipeline(executor.mavenLifecycle.parseOperation('clean deploy'));
+
+      expect(exec.exec.mock.calls[0][1]).toContain('-Dmaven.deploy.skip=true');
+      expect(exec.exec.mock.calls[1][1]).toContain('-Dmaven.deploy.skip=true');
+    });
+
+    it('should let Maven deploy without a deploy target', async () => {
+      const executor = new MavenExecutor({ workingDirectory: '/project' });
+
+      await executor.deploy();
+
+      expect(exec.exec.mock.calls[0][1]).not.toContain('-Dmaven.deploy.skip=true');
+    });
+  });
+});
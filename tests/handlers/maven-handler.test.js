@@ -139,8 +139,548 @@ describe('MavenActionHandler', () => {
 
       // Assert
       expect(result.status).toBe('success');
+      expect(handler.testProcessor.process).toHaveBeenCalled();
+      expect(result.testResults.totalTests).toBe(10);
     });
 
+    it('should process test results when the build fails', async () => {
+      // Arrange
+      handler.validatedInputs.operation = 'verify';
+      const eventContext = { eventName: 'pull_request' };
+
+      handler.mavenExecutor.verify = jest.fn().mockRejectedValue(new Error('There are test failures'));
+      handler.testProcessor.process = jest.fn().mockResolvedValue({
+        totalTests: 10,
+        totalFailures: 2,
+        totalErrors: 0,
+        totalSkipped: 1
+      });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(result.testResults.totalFailures).toBe(2);
+    });
+
+    it('should fail the build when coverage is below the minimum', async () => {
+      // Arrange
+      handler.validatedInputs.operation = 'verify';
+      handler.coverageProcessor.thresholds = [{ module: null, metric: 'line', minimum: 80 }];
+      const eventContext = { eventName: 'pull_request' };
+
+      handler.mavenExecutor.verify = jest.fn().mockResolvedValue({ success: true });
+      handler.testProcessor.process = jest.fn().mockResolvedValue({
+        totalTests: 10,
+        totalFailures: 0,
+        coverage: { lineCoverage: '72.50', modules: [] }
+      });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(result.error).toBe(
+        'Coverage below minimum: line coverage 72.50% is 7.50 points below the minimum of 80%'
+      );
+      expect(result.coverageCheck.passed).toBe(false);
+    });
+
+    it('should fail the build when changed lines are below the diff coverage minimum', async () => {
+      // Arrange
+      handler.validatedInputs.operation = 'verify';
+      handler.coverageProcessor.minDiffCoverage = 80;
+      const eventContext = {
+        eventName: 'pull_request',
+        pullRequest: { number: 7 },
+        changeRange: { baseSha: 'base1234567', headSha: 'merge123456' }
+      };
+
+      handler.mavenExecutor.verify = jest.fn().mockResolvedValue({ success: true });
+      handler.testProcessor.process = jest.fn().mockResolvedValue({
+        totalTests: 10,
+        totalFailures: 0,
+        coverage: {
+          lineCoverage: '90.00',
+          modules: [{ name: '.', sourceFiles: { 'com/example/App.java': { 3: true, 4: false } } }]
+        }
+      });
+      handler.changeDetector.getChangedLines = jest
+        .fn()
+        .mockResolvedValue({ 'src/main/java/com/example/App.java': [3, 4] });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(handler.changeDetector.getChangedLines).toHaveBeenCalledWith('base1234567', 'merge123456');
+      expect(result.status).toBe('failure');
+      expect(result.error).toBe(
+        'Coverage below minimum: diff coverage 50.00% is 30.00 points below the minimum of 80%'
+      );
+      expect(result.diffCoverage.totalLines).toBe(2);
+    });
+
+    it('should fail the build on vulnerabilities at or above the security threshold', async () => {
+      // Arrange
+      handler.validatedInputs.securityScan = true;
+      const securityResults = {
+        totalIssues: 1,
+        threshold: '7',
+        blockingVulnerabilities: [{ ruleId: 'CVE-2019-12086' }]
+      };
+      handler.securityScanner.scan = jest.fn().mockResolvedValue(securityResults);
+      handler.securityScanner.generateSecuritySummary = jest
+        .fn()
+        .mockReturnValue('## Security Scan Results\n');
+      handler.securityScanner.describeBlockingVulnerabilities = jest
+        .fn()
+        .mockReturnValue('1 vulnerable dependencies at or above the security threshold of 7: CVE-2019-12086');
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push' });
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(result.error).toBe(
+        '1 vulnerable dependencies at or above the security threshold of 7: CVE-2019-12086'
+      );
+      expect(result.securityResults).toBe(securityResults);
+      expect(result.securitySummary).toBe('## Security Scan Results\n');
+    });
+
+    it('should only warn on vulnerabilities when failing on them is disabled', async () => {
+      // Arrange
+      handler.validatedInputs.securityScan = true;
+      handler.validatedInputs.failOnVulnerabilities = false;
+      handler.securityScanner.scan = jest.fn().mockResolvedValue({
+        totalIssues: 1,
+        threshold: 'high',
+        blockingVulnerabilities: [{ ruleId: 'CVE-2019-12086' }]
+      });
+      handler.securityScanner.describeBlockingVulnerabilities = jest
+        .fn()
+        .mockReturnValue('1 vulnerable dependencies at or above the security threshold of high: CVE-2019-12086');
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push' });
+
+      // Assert
+      expect(result.status).toBe('success');
+      expect(core.warning).toHaveBeenCalledWith(
+        '1 vulnerable dependencies at or above the security threshold of high: CVE-2019-12086'
+      );
+    });
+
+    it('should fail the build when a security scanner failed', async () => {
+      // Arrange
+      handler.validatedInputs.securityScan = true;
+      handler.securityScanner.scan = jest.fn().mockResolvedValue({
+        totalIssues: 0,
+        threshold: '7',
+        blockingVulnerabilities: [],
+        failedScanners: [{ scanner: 'owasp', error: 'NVD download failed' }]
+      });
+      handler.securityScanner.describeScanFailures = jest
+        .fn()
+        .mockReturnValue('Security scan incomplete, vulnerabilities could not be checked by: owasp (NVD download failed)');
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push' });
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(result.error).toBe(
+        'Security scan incomplete, vulnerabilities could not be checked by: owasp (NVD download failed)'
+      );
+    });
+
+    it('should not scan dependencies when security scanning is disabled', async () => {
+      // Arrange
+      handler.securityScanner.scan = jest.fn();
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push' });
+
+      // Assert
+      expect(handler.securityScanner.scan).not.toHaveBeenCalled();
+      expect(result.securityResults).toBeNull();
+    });
+
+    it('should fail the build on dependencies violating the license policy', async () => {
+      // Arrange
+      handler.validatedInputs.licenseCheck = true;
+      handler.licenseScanner.scan = jest.fn().mockResolvedValue({
+        dependencies: 2,
+        unknown: 0,
+        violations: [
+          { groupId: 'org.example', artifactId: 'gpl-lib', version: '1.0', reason: 'Denied' }
+        ],
+        passed: false
+      });
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push' });
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(result.error).toBe(
+        '1 dependencies violate the license policy: org.example:gpl-lib:1.0'
+      );
+      expect(result.licenseResults.passed).toBe(false);
+    });
+
+    it('should fail the build when the license policy file is missing', async () => {
+      // Arrange
+      handler.validatedInputs.licenseCheck = true;
+      handler.licenseScanner.policyFile = 'missing/license-policy.json';
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push' });
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(result.error).toBe('License check failed, dependency licenses could not be checked');
+      expect(result.licenseResults).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith(
+        expect.stringMatching(/^License check failed: ENOENT/)
+      );
+    });
+
+    it('should only warn on license violations when failing on them is disabled', async () => {
+      // Arrange
+      handler.validatedInputs.licenseCheck = true;
+      handler.validatedInputs.failOnLicenseViolations = false;
+      handler.licenseScanner.scan = jest.fn().mockResolvedValue({
+        dependencies: 1,
+        unknown: 1,
+        violations: [
+          { groupId: 'org.example', artifactId: 'lib', version: '2.0', reason: 'No license found' }
+        ],
+        passed: false
+      });
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push' });
+
+      // Assert
+      expect(result.status).toBe('success');
+      expect(core.warning).toHaveBeenCalledWith(
+        '1 dependencies violate the license policy: org.example:lib:2.0'
+      );
+    });
+
+    it('should compare pull request dependencies with the security findings', async () => {
+      // Arrange
+      handler.validatedInputs.securityScan = true;
+      handler.validatedInputs.dependencyDiff = true;
+      const securityResults = { totalIssues: 1, blockingVulnerabilities: [] };
+      const findings = [{ ruleId: 'CVE-2020-36518', groupId: 'com.fasterxml.jackson.core' }];
+      const dependencyDiff = { added: [], removed: [], changed: [] };
+      handler.securityScanner.scan = jest.fn().mockResolvedValue(securityResults);
+      handler.securityScanner.generateSecuritySummary = jest.fn().mockReturnValue('');
+      handler.securityScanner.getFindings = jest.fn().mockReturnValue(findings);
+      handler.dependencyDiffProcessor.compare = jest.fn().mockResolvedValue(dependencyDiff);
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+      const eventContext = { eventName: 'pull_request', pullRequest: { number: 7 } };
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(handler.securityScanner.getFindings).toHaveBeenCalledWith(securityResults);
+      expect(handler.dependencyDiffProcessor.compare).toHaveBeenCalledWith(eventContext, findings);
+      expect(result.dependencyDiff).toBe(dependencyDiff);
+    });
+
+    it('should save the findings of the default branch as the cached baseline', async () => {
+      // Arrange
+      handler.validatedInputs.securityScan = true;
+      handler.validatedInputs.securityBaselineCache = true;
+      const securityResults = { totalIssues: 0, blockingVulnerabilities: [] };
+      handler.securityScanner.scan = jest.fn().mockResolvedValue(securityResults);
+      handler.securityScanner.generateSecuritySummary = jest.fn().mockReturnValue('');
+      handler.securityScanner.updateBaseline = jest.fn().mockResolvedValue(true);
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      await handler.execute({ eventName: 'push', isDefaultBranch: true });
+      await handler.execute({ eventName: 'push', isDefaultBranch: false });
+      await handler.execute({ eventName: 'pull_request', pullRequest: { number: 7 } });
+
+      // Assert
+      expect(handler.securityScanner.updateBaseline).toHaveBeenCalledTimes(1);
+      expect(handler.securityScanner.updateBaseline).toHaveBeenCalledWith(securityResults);
+    });
+
+    it('should save the baseline of the default branch before failing on vulnerabilities', async () => {
+      // Arrange
+      handler.validatedInputs.securityScan = true;
+      handler.validatedInputs.securityBaselineCache = true;
+      const securityResults = {
+        totalIssues: 1,
+        blockingVulnerabilities: [{ ruleId: 'CVE-2019-12086' }]
+      };
+      handler.securityScanner.scan = jest.fn().mockResolvedValue(securityResults);
+      handler.securityScanner.generateSecuritySummary = jest.fn().mockReturnValue('');
+      handler.securityScanner.describeBlockingVulnerabilities = jest
+        .fn()
+        .mockReturnValue('1 vulnerabilities at or above the security threshold: CVE-2019-12086');
+      handler.securityScanner.updateBaseline = jest.fn().mockResolvedValue(true);
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push', isDefaultBranch: true });
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(handler.securityScanner.updateBaseline).toHaveBeenCalledWith(securityResults);
+    });
+
+    it('should not update the baseline when a security scanner failed', async () => {
+      // Arrange
+      handler.validatedInputs.securityScan = true;
+      handler.validatedInputs.securityBaselineCache = true;
+      handler.validatedInputs.failOnVulnerabilities = false;
+      handler.securityScanner.scan = jest.fn().mockResolvedValue({
+        totalIssues: 0,
+        blockingVulnerabilities: [],
+        failedScanners: [{ scanner: 'owasp', error: 'NVD download failed' }]
+      });
+      handler.securityScanner.describeScanFailures = jest
+        .fn()
+        .mockReturnValue('Security scan incomplete, vulnerabilities could not be checked by: owasp (NVD download failed)');
+      handler.securityScanner.updateBaseline = jest.fn().mockResolvedValue(true);
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push', isDefaultBranch: true });
+
+      // Assert
+      expect(result.status).toBe('success');
+      expect(handler.securityScanner.updateBaseline).not.toHaveBeenCalled();
+      expect(core.warning).toHaveBeenCalledWith(
+        'Vulnerability baseline not updated, as a security scanner failed'
+      );
+    });
+
+    it('should generate and upload the SBOM when enabled', async () => {
+      // Arrange
+      handler.validatedInputs.sbom = true;
+      const sbom = { path: 'target/bom.json', specVersion: '1.5', components: 12 };
+      handler.sbomManager.generate = jest.fn().mockResolvedValue(sbom);
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute({ eventName: 'release' });
+
+      // Assert
+      expect(handler.artifactManager.uploadSbom).toHaveBeenCalledWith('target/bom.json');
+      expect(result.sbom).toBe(sbom);
+    });
+
+    it('should fail the build without deploying when the SBOM cannot be generated', async () => {
+      // Arrange
+      handler.validatedInputs.sbom = true;
+      handler.sbomManager.generate = jest
+        .fn()
+        .mockRejectedValue(new Error('SBOM generation failed: Maven failed'));
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute({ eventName: 'release' });
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(result.error).toBe('SBOM generation failed: Maven failed');
+      expect(handler.artifactManager.handleArtifacts).not.toHaveBeenCalled();
+      expect(handler.artifactManager.uploadSbom).not.toHaveBeenCalled();
+    });
+
+    it('should not process test results for phases without tests', async () => {
+      // Arrange
+      handler.validatedInputs.operation = 'compile';
+      handler.mavenExecutor.compile = jest.fn().mockResolvedValue({ success: true });
+      handler.testProcessor.process = jest.fn();
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.cacheManager.save = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute({ eventName: 'push' });
+
+      // Assert
+      expect(handler.testProcessor.process).not.toHaveBeenCalled();
+      expect(result.testResults).toBeNull();
+    });
+
+    it('should report per-phase results of a pipeline', async () => {
+      // Arrange
+      handler.validatedInputs.operation = 'clean verify';
+      const eventContext = { eventName: 'push' };
+
+      const phases = [
+        { name: 'clean', type: 'phase', status: 'success' },
+        { name: 'verify', type: 'phase', status: 'success' }
+      ];
+      handler.mavenExecutor.executePipeline = jest.fn().mockResolvedValue({ success: true, phases });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.cacheManager.save = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(result.status).toBe('success');
+      expect(result.phases).toEqual(phases);
+    });
+
+    it('should keep per-phase results when the pipeline fails', async () => {
+      // Arrange
+      handler.validatedInputs.operation = 'clean install';
+      const eventContext = { eventName: 'push' };
+
+      const error = new Error('Maven clean install failed');
+      error.phases = [
+        { name: 'clean', type: 'phase', status: 'success' },
+        { name: 'install', type: 'phase', status: 'failure' }
+      ];
+      handler.mavenExecutor.executePipeline = jest.fn().mockRejectedValue(error);
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(false);
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(result.phases).toEqual(error.phases);
+    });
+
+    it('should build only affected modules when enabled', async () => {
+      // Arrange
+      handler.validatedInputs.buildAffectedModules = true;
+      const eventContext = { eventName: 'pull_request' };
+
+      handler.changeDetector.detectAffectedModules = jest.fn().mockResolvedValue(['core', 'api']);
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.cacheManager.save = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(handler.changeDetector.detectAffectedModules).toHaveBeenCalledWith(eventContext);
+      expect(handler.mavenExecutor.projectList).toEqual(['core', 'api']);
+      expect(handler.mavenExecutor.package).toHaveBeenCalled();
+      expect(result.affectedModules).toEqual(['core', 'api']);
+    });
+
+    it('should report the affected modules when the build fails', async () => {
+      // Arrange
+      handler.validatedInputs.buildAffectedModules = true;
+      const eventContext = { eventName: 'pull_request' };
+
+      handler.changeDetector.detectAffectedModules = jest.fn().mockResolvedValue(['core']);
+      handler.mavenExecutor.package = jest.fn().mockRejectedValue(new Error('Compilation failure'));
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(result.status).toBe('failure');
+      expect(result.affectedModules).toEqual(['core']);
+    });
+
+    it('should skip the Maven build when no module is affected', async () => {
+      // Arrange
+      handler.validatedInputs.buildAffectedModules = true;
+      handler.validatedInputs.operation = 'clean verify';
+      const eventContext = { eventName: 'pull_request' };
+
+      handler.changeDetector.detectAffectedModules = jest.fn().mockResolvedValue([]);
+      handler.mavenExecutor.executePipeline = jest.fn();
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.cacheManager.save = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(handler.mavenExecutor.executePipeline).not.toHaveBeenCalled();
+      expect(result.status).toBe('success');
+      expect(result.affectedModules).toEqual([]);
+      expect(result.phases.map((phase) => phase.status)).toEqual(['skipped', 'skipped']);
+    });
+
+    it('should not detect affected modules when disabled', async () => {
+      // Arrange
+      const eventContext = { eventName: 'push' };
+
+      handler.changeDetector.detectAffectedModules = jest.fn();
+      handler.mavenExecutor.package = jest.fn().mockResolvedValue({ success: true });
+      handler.cacheManager.restore = jest.fn().mockResolvedValue(true);
+      handler.cacheManager.save = jest.fn().mockResolvedValue(true);
+      handler.artifactManager.handleArtifacts = jest.fn().mockResolvedValue([]);
+
+      // Act
+      const result = await handler.execute(eventContext);
+
+      // Assert
+      expect(handler.changeDetector.detectAffectedModules).not.toHaveBeenCalled();
+      expect(result.affectedModules).toBeNull();
+    });
+  });
+
+  describe('setupEnvironment', () => {
+    it('should run Maven through the wrapper when one was set up', async () => {
+      handler.environmentManager.setupEnvironment = jest.fn().mockResolvedValue({
+        java: { action: 'existing', version: '17' },
+        maven: { action: 'installed', version: '3.9.6', command: '/repo/mvnw', wrapper: true }
+      });
+
+      await handler.setupEnvironment();
+
+      expect(handler.mavenExecutor.mavenCommand).toBe('/repo/mvnw');
+    });
   });
 
   describe('shouldProcessTests', () => {
@@ -166,6 +706,14 @@ describe('MavenActionHandler', () => {
       expect(handler.shouldProcessTests('validate')).toBe(false);
       expect(handler.shouldProcessTests('compile')).toBe(false);
     });
+
+    it('should detect test-bearing phases inside a pipeline', () => {
+      handler.validatedInputs.skipTests = false;
+
+      expect(handler.shouldProcessTests('clean install')).toBe(true);
+      expect(handler.shouldProcessTests('clean compile')).toBe(false);
+      expect(handler.shouldProcessTests('dependency:tree')).toBe(false);
+    });
   });
 
   describe('executeMavenOperation', () => {
@@ -204,6 +752,28 @@ describe('MavenActionHandler', () => {
       expect(handler.mavenExecutor.deploy).toHaveBeenCalled();
     });
 
+    it('should run multiple steps as a single pipeline', async () => {
+      handler.mavenExecutor.executePipeline = jest.fn().mockResolvedValue({ success: true });
+      handler.mavenExecutor.clean = jest.fn();
+
+      await handler.executeMavenOperation('clean, verify dependency:tree', { eventName: 'push' });
+
+      expect(handler.mavenExecutor.clean).not.toHaveBeenCalled();
+      expect(handler.mavenExecutor.executePipeline).toHaveBeenCalledWith([
+        { name: 'clean', type: 'phase' },
+        { name: 'verify', type: 'phase' },
+        { name: 'dependency:tree', type: 'goal' }
+      ]);
+    });
+
+    it('should run a single clean operation', async () => {
+      handler.mavenExecutor.clean = jest.fn().mockResolvedValue({ success: true });
+
+      await handler.executeMavenOperation('clean', { eventName: 'push' });
+
+      expect(handler.mavenExecutor.clean).toHaveBeenCalled();
+    });
+
     it('should throw error for unsupported operation', async () => {
       const eventContext = { eventName: 'push' };
       
@@ -0,0 +1,183 @@
+const core = require('@actions/core');
+const { MavenActionHandler } = require('../src/handlers/maven-handler');
+const { ChangeDetector } = require('../src/processors/change-detector');
+const { EventProcessor } = require('../src/processors/event-processor');
+const { LicenseScanner } = require('../src/scanners/license-scanner');
+const { SecurityScanner } = require('../src/scanners/security-scanner');
+const { OutputManager } = require('../src/utils/output-manager');
+const { InputValidator } = require('../src/validators/input-validator');
+const { run } = require('../src/main');
+
+// Mock dependencies
+jest.mock('@actions/core');
+jest.mock('../src/executors/maven-executor');
+jest.mock('../src/managers/artifact-manager');
+jest.mock('../src/managers/cache-manager');
+jest.mock('../src/managers/environment-manager');
+jest.mock('../src/processors/event-processor');
+jest.mock('../src/scanners/license-scanner');
+jest.mock('../src/scanners/security-scanner');
+jest.mock('../src/utils/output-manager');
+jest.mock('../src/validators/input-validator');
+
+describe('run', () => {
+  let eventContext;
+
+  // Run the action with the given inputs and the test results of the Maven operation
+  const runWith = async (inputs, testResults = null) => {
+    InputValidator.mockImplementation(() => ({
+      validateInputs: jest.fn().mockReturnValue({
+        operation: 'verify',
+        workingDirectory: '.',
+        ...inputs
+      }),
+      sanitizeForLogging: jest.fn((validatedInputs) => validatedInputs)
+    }));
+    jest
+      .spyOn(MavenActionHandler.prototype, 'runMavenOperation')
+      .mockImplementation(async function () {
+        this.testResults = testResults;
+        return { success: true, phases: [] };
+      });
+
+    await run();
+    return OutputManager.mock.instances[0];
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventContext = { eventName: 'push' };
+    EventProcessor.mockImplementation(() => ({
+      processEvent: jest.fn().mockImplementation(async () => eventContext)
+    }));
+    jest.spyOn(MavenActionHandler.prototype, 'setupEnvironment').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should write outputs and the job summary of a successful run', async () => {
+    const outputManager = await runWith({});
+
+    expect(outputManager.setOutputs).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'success' })
+    );
+    expect(outputManager.createJobSummary).toHaveBeenCalled();
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  it('should fail the job when coverage misses the minimum', async () => {
+    const outputManager = await runWith(
+      { coverageThresholds: [{ module: null, metric: 'line', minimum: 80 }] },
+      { totalTests: 10, coverage: { lineCoverage: '72.50', modules: [] } }
+    );
+
+    expect(outputManager.setOutputs).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'failure' })
+    );
+    expect(outputManager.createJobSummary).toHaveBeenCalled();
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Coverage below minimum: line coverage 72.50% is 7.50 points below the minimum of 80%'
+    );
+    expect(core.info).not.toHaveBeenCalledWith(expect.stringContaining('completed successfully'));
+  });
+
+  it('should fail the job when changed lines miss the diff coverage minimum', async () => {
+    eventContext = {
+      eventName: 'pull_request',
+      pullRequest: { number: 7 },
+      changeRange: { baseSha: 'base1234567', headSha: 'merge123456' }
+    };
+    jest
+      .spyOn(ChangeDetector.prototype, 'getChangedLines')
+      .mockResolvedValue({ 'src/main/java/com/example/App.java': [3, 4] });
+
+    await runWith(
+      { minDiffCoverage: 80 },
+      {
+        totalTests: 10,
+        coverage: {
+          lineCoverage: '90.00',
+          modules: [{ name: '.', sourceFiles: { 'com/example/App.java': { 3: true, 4: false } } }]
+        }
+      }
+    );
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Coverage below minimum: diff coverage 50.00% is 30.00 points below the minimum of 80%'
+    );
+  });
+
+  it('should fail the job on vulnerabilities at or above the security threshold', async () => {
+    SecurityScanner.mockImplementationOnce(() => ({
+      scan: jest.fn().mockResolvedValue({
+        threshold: '7',
+        blockingVulnerabilities: [{ ruleId: 'CVE-2019-12086' }],
+        failedScanners: []
+      }),
+      generateSecuritySummary: jest.fn().mockReturnValue(''),
+      describeScanFailures: jest.fn().mockReturnValue(null),
+      describeBlockingVulnerabilities: jest
+        .fn()
+        .mockReturnValue(
+          '1 vulnerable dependencies at or above the security threshold of 7: CVE-2019-12086'
+        )
+    }));
+
+    await runWith({ securityScan: true });
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      '1 vulnerable dependencies at or above the security threshold of 7: CVE-2019-12086'
+    );
+  });
+
+  it('should fail the job on vulnerabilities missing from the baseline', async () => {
+    SecurityScanner.mockImplementationOnce(() => ({
+      scan: jest.fn().mockResolvedValue({
+        threshold: '7',
+        blockingVulnerabilities: [{ ruleId: 'CVE-2019-12814' }],
+        baseline: { new: [{ ruleId: 'CVE-2019-12814' }], existing: [], fixed: [] },
+        failedScanners: []
+      }),
+      generateSecuritySummary: jest.fn().mockReturnValue(''),
+      describeScanFailures: jest.fn().mockReturnValue(null),
+      describeBlockingVulnerabilities: jest
+        .fn()
+        .mockReturnValue(
+          '1 new vulnerable dependencies at or above the security threshold of 7: CVE-2019-12814'
+        ),
+      updateBaseline: jest.fn()
+    }));
+
+    await runWith({ securityScan: true, securityBaseline: 'baseline.json' });
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      '1 new vulnerable dependencies at or above the security threshold of 7: CVE-2019-12814'
+    );
+  });
+
+  it('should fail the job on dependencies violating the license policy', async () => {
+    LicenseScanner.mockImplementationOnce(() => ({
+      scan: jest.fn().mockResolvedValue({
+        violations: [{ groupId: 'org.example', artifactId: 'gpl-lib', version: '1.0' }]
+      })
+    }));
+
+    await runWith({ licenseCheck: true });
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      '1 dependencies violate the license policy: org.example:gpl-lib:1.0'
+    );
+  });
+
+  it('should fail the job when the action itself fails', async () => {
+    EventProcessor.mockImplementation(() => ({
+      processEvent: jest.fn().mockRejectedValue(new Error('no event payload'))
+    }));
+
+    await runWith({});
+
+    expect(core.setFailed).toHaveBeenCalledWith('❌ Action failed: no event payload');
+  });
+});
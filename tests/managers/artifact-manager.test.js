@@ -0,0 +1,344 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ArtifactManager } = require('../../src/managers/artifact-manager');
+
+// Mock dependencies
+jest.mock('@actions/core');
+jest.mock('@actions/artifact');
+
+const core = require('@actions/core');
+const { DefaultArtifactClient } = require('@actions/artifact');
+
+describe('ArtifactManager', () => {
+  let projectDir;
+  let manager;
+
+  const writeFile = (relativePath, content = '') => {
+    const file = path.join(projectDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifact-manager-'));
+    manager = new ArtifactManager({ workingDirectory: projectDir, skipTests: false });
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('collectArtifacts', () => {
+    it('should collect packages and unit and integration test reports', async () => {
+      writeFile('target/app-1.0.jar');
+      writeFile('target/surefire-reports/TEST-com.example.FooTest.xml');
+      writeFile('target/failsafe-reports/TEST-com.example.FooIT.xml');
+
+      const artifactPaths = await manager.collectArtifacts('verify');
+
+      expect(artifactPaths).toEqual([
+        path.join(projectDir, 'target', 'app-1.0.jar'),
+        path.join(projectDir, 'target', 'surefire-reports'),
+        path.join(projectDir, 'target', 'failsafe-reports')
+      ]);
+    });
+
+    it('should skip test reports when tests are skipped', async () => {
+      writeFile('target/app-1.0.jar');
+      writeFile('target/failsafe-reports/TEST-com.example.FooIT.xml');
+      manager = new ArtifactManager({ workingDirectory: projectDir, skipTests: true });
+
+      const artifactPaths = await manager.collectArtifacts('verify');
+
+      expect(artifactPaths).toEqual([path.join(projectDir, 'target', 'app-1.0.jar')]);
+    });
+  });
+
+  describe('collectArtifacts coverage reports', () => {
+    it('should collect JaCoCo, aggregate and Cobertura report directories', async () => {
+      writeFile('target/site/jacoco/jacoco.xml');
+      writeFile('target/site/jacoco-aggregate/jacoco.xml');
+      writeFile('target/site/cobertura/coverage.xml');
+      manager = new ArtifactManager({
+        workingDirectory: projectDir,
+        skipTests: true,
+        generateCoverage: true
+      });
+
+      const artifactPaths = await manager.collectArtifacts('verify');
+
+      expect(artifactPaths).toEqual([
+        path.join(projectDir, 'target', 'site', 'jacoco'),
+        path.join(projectDir, 'target', 'site', 'cobertura'),
+        path.join(projectDir, 'target', 'site', 'jacoco-aggregate')
+      ]);
+    });
+  });
+
+  describe('collectArtifacts coverage summary', () => {
+    it('should collect the coverage summary when coverage was not generated by the action', async () => {
+      writeFile('target/app-1.0.jar');
+      writeFile('target/coverage-summary.json', '{}');
+
+      const artifactPaths = await manager.collectArtifacts('verify');
+
+      expect(artifactPaths).toEqual([
+        path.join(projectDir, 'target', 'app-1.0.jar'),
+        path.join(projectDir, 'target', 'coverage-summary.json')
+      ]);
+    });
+  });
+
+  describe('collectArtifacts across modules', () => {
+    it('should collect artifacts from every reactor module', async () => {
+      writeFile('pom.xml');
+      writeFile('core/pom.xml');
+      writeFile('core/target/core-1.0.jar');
+      writeFile('core/target/surefire-reports/TEST-com.example.CoreTest.xml');
+      writeFile('api/pom.xml');
+      writeFile('api/target/api-1.0.war');
+
+      const artifactPaths = await manager.collectArtifacts('verify');
+
+      expect(artifactPaths.sort()).toEqual(
+        [
+          path.join(projectDir, 'api', 'target', 'api-1.0.war'),
+          path.join(projectDir, 'core', 'target', 'core-1.0.jar'),
+          path.join(projectDir, 'core', 'target', 'surefire-reports')
+        ].sort()
+      );
+    });
+  });
+
+  describe('uploadArtifacts', () => {
+    it('should upload integration test reports as their own artifact', async () => {
+      writeFile('target/surefire-reports/TEST-com.example.FooTest.xml');
+      writeFile('target/failsafe-reports/TEST-com.example.FooIT.xml');
+      const failsafeDir = path.join(projectDir, 'target', 'failsafe-reports');
+
+      await manager.uploadArtifacts([
+        path.join(projectDir, 'target', 'surefire-reports'),
+        failsafeDir
+      ]);
+
+      const [client] = DefaultArtifactClient.mock.instances;
+      const uploads = client.uploadArtifact.mock.calls.map(([name, files, root]) => [
+        name,
+        files,
+        root
+      ]);
+      expect(uploads).toEqual([
+        [
+          'test-reports',
+          [path.join(projectDir, 'target', 'surefire-reports', 'TEST-com.example.FooTest.xml')],
+          projectDir
+        ],
+        [
+          'integration-test-reports',
+          [path.join(failsafeDir, 'TEST-com.example.FooIT.xml')],
+          projectDir
+        ]
+      ]);
+    });
+
+    it('should upload the coverage summary as its own artifact', async () => {
+      writeFile('target/coverage-summary.json', '{}');
+      manager = new ArtifactManager({ workingDirectory: projectDir, generateCoverage: true });
+
+      await manager.uploadArtifacts(await manager.collectArtifacts('verify'));
+
+      const [client] = DefaultArtifactClient.mock.instances;
+      expect(client.uploadArtifact).toHaveBeenCalledWith(
+        'coverage-summary',
+        [path.join(projectDir, 'target', 'coverage-summary.json')],
+        path.join(projectDir, 'target'),
+        expect.anything()
+      );
+    });
+
+    it('should upload the reports of all modules as one artifact', async () => {
+      writeFile('core/target/surefire-reports/TEST-com.example.CoreTest.xml');
+      writeFile('api/target/surefire-reports/TEST-com.example.ApiTest.xml');
+
+      await manager.uploadArtifacts([
+        path.join(projectDir, 'api', 'target', 'surefire-reports'),
+        path.join(projectDir, 'core', 'target', 'surefire-reports')
+      ]);
+
+      const [client] = DefaultArtifactClient.mock.instances;
+      expect(client.uploadArtifact).toHaveBeenCalledWith(
+        'test-reports',
+        [
+          path.join(
+            projectDir,
+            'api',
+            'target',
+            'surefire-reports',
+            'TEST-com.example.ApiTest.xml'
+          ),
+          path.join(
+            projectDir,
+            'core',
+            'target',
+            'surefire-reports',
+            'TEST-com.example.CoreTest.xml'
+          )
+        ],
+        projectDir,
+        expect.anything()
+      );
+    });
+  });
+
+  describe('uploadSbom', () => {
+    it('should upload the SBOM as its own artifact', async () => {
+      const sbomPath = path.join(projectDir, 'target', 'bom.json');
+
+      await manager.uploadSbom(sbomPath);
+
+      const [client] = DefaultArtifactClient.mock.instances;
+      expect(client.uploadArtifact).toHaveBeenCalledWith(
+        'sbom',
+        [sbomPath],
+        path.join(projectDir, 'target'),
+        expect.anything()
+      );
+    });
+  });
+
+  describe('deployArtifacts', () => {
+    // Deployment publishes the modules the build installed
+    const installModule = () =>
+      manager.mavenExecutor.installedFiles.set(
+        '/home/runner/.m2/repository/org/example/core/2.0/core-2.0.pom',
+        path.join(projectDir, 'pom.xml')
+      );
+
+    it('should deploy the publications of all modules to Nexus', async () => {
+      manager = new ArtifactManager({
+        workingDirectory: projectDir,
+        deployTarget: 'nexus',
+        deployUrl: 'https://nexus.example.com'
+      });
+      installModule();
+      const publications = [{ groupId: 'org.example', artifactId: 'core', version: '2.0' }];
+      const files = [{ path: 'core-2.0.jar', url: 'https://nexus.example.com/core-2.0.jar' }];
+      manager.publicationCollector.collect = jest.fn().mockResolvedValue(publications);
+      manager.nexusDeployer.deploy = jest
+        .fn()
+        .mockResolvedValue({ repositoryUrl: 'https://nexus.example.com', files });
+
+      await manager.deployArtifacts([path.join(projectDir, 'target', 'core-2.0.jar')]);
+
+      expect(manager.nexusDeployer.deploy).toHaveBeenCalledWith(publications);
+      expect(manager.deployment).toEqual({
+        target: 'nexus',
+        repositoryUrl: 'https://nexus.example.com',
+        files
+      });
+    });
+
+    it('should deploy to Artifactory with the event context of the run', async () => {
+      manager = new ArtifactManager({
+        workingDirectory: projectDir,
+        deployTarget: 'artifactory',
+        deployUrl: 'https://example.jfrog.io/artifactory'
+      });
+      installModule();
+      const publications = [{ groupId: 'org.example', artifactId: 'core', version: '2.0' }];
+      const eventContext = { workflow: 'CI', runNumber: 42, sha: 'abc123' };
+      const result = {
+        repositoryUrl: 'https://example.jfrog.io/artifactory',
+        files: [],
+        buildInfo: { name: 'CI', number: '42' }
+      };
+      manager.publicationCollector.collect = jest.fn().mockResolvedValue(publications);
+      manager.artifactoryDeployer.deploy = jest.fn().mockResolvedValue(result);
+
+      await manager.deployArtifacts([], eventContext);
+
+      expect(manager.artifactoryDeployer.deploy).toHaveBeenCalledWith(publications, eventContext);
+      expect(manager.deployment).toEqual({ target: 'artifactory', ...result });
+    });
+
+    it('should deploy to GitHub Packages without a deploy URL', async () => {
+      manager = new ArtifactManager({
+        workingDirectory: projectDir,
+        deployTarget: 'github-packages'
+      });
+      installModule();
+      const eventContext = { actor: 'octocat' };
+      const result = { repositoryUrl: 'https://maven.pkg.github.com/octo/app', files: [] };
+      manager.gitHubPackagesDeployer.deploy = jest.fn().mockResolvedValue(result);
+
+      await manager.deployArtifacts([], eventContext);
+
+      expect(manager.gitHubPackagesDeployer.deploy).toHaveBeenCalledWith(eventContext);
+      expect(manager.deployment).toEqual({ target: 'github-packages', ...result });
+    });
+
+    it('should skip the deployment when the build installed no modules', async () => {
+      manager = new ArtifactManager({
+        workingDirectory: projectDir,
+        deployTarget: 'github-packages'
+      });
+      manager.gitHubPackagesDeployer.deploy = jest.fn();
+
+      await manager.deployArtifacts([]);
+
+      expect(manager.gitHubPackagesDeployer.deploy).not.toHaveBeenCalled();
+      expect(manager.deployment).toBeNull();
+    });
+
+    it('should deploy when the artifact upload fails', async () => {
+      writeFile('target/app-1.0.jar');
+      manager = new ArtifactManager({
+        workingDirectory: projectDir,
+        deployTarget: 'github-packages'
+      });
+      installModule();
+      const result = { repositoryUrl: 'https://maven.pkg.github.com/octo/app', files: [] };
+      manager.uploadArtifacts = jest.fn().mockRejectedValue(new Error('Artifact storage quota'));
+      manager.gitHubPackagesDeployer.deploy = jest.fn().mockResolvedValue(result);
+
+      expect(await manager.handleArtifacts('install')).toEqual([]);
+      expect(core.warning).toHaveBeenCalledWith(
+        'Artifact management failed: Artifact storage quota'
+      );
+      expect(manager.deployment).toEqual({ target: 'github-packages', ...result });
+    });
+
+    it('should deploy POM-only reactors without artifacts to upload', async () => {
+      manager = new ArtifactManager({
+        workingDirectory: projectDir,
+        deployTarget: 'github-packages'
+      });
+      installModule();
+      manager.gitHubPackagesDeployer.deploy = jest.fn().mockResolvedValue({ files: [] });
+
+      expect(await manager.handleArtifacts('install')).toEqual([]);
+      expect(manager.gitHubPackagesDeployer.deploy).toHaveBeenCalled();
+    });
+
+    it('should fail the build when the deployment fails', async () => {
+      writeFile('target/app-1.0.jar');
+      manager = new ArtifactManager({
+        workingDirectory: projectDir,
+        deployTarget: 'nexus',
+        deployUrl: 'https://nexus.example.com'
+      });
+      installModule();
+      manager.uploadArtifacts = jest.fn().mockResolvedValue();
+      manager.publicationCollector.collect = jest.fn().mockResolvedValue([]);
+      manager.nexusDeployer.deploy = jest.fn().mockRejectedValue(new Error('401 Unauthorized'));
+
+      await expect(manager.handleArtifacts('install')).rejects.toThrow(
+        'Deployment failed: 401 Unauthorized'
+      );
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(manager.deployment).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CacheManager } = require('../../src/managers/cache-manager');
+
+// Mock dependencies
+jest.mock('@actions/core');
+jest.mock('@actions/cache');
+
+describe('CacheManager', () => {
+  let projectDir;
+  let manager;
+
+  const writeFile = (relativePath, content = '') => {
+    const file = path.join(projectDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-manager-'));
+    manager = new CacheManager({ workingDirectory: projectDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('findModuleDirectories', () => {
+    it('should find the root project and its modules', async () => {
+      writeFile('pom.xml');
+      writeFile('core/pom.xml');
+      writeFile('services/api/pom.xml');
+
+      const directories = await manager.findModuleDirectories();
+
+      expect(directories[0]).toBe(projectDir);
+      expect(directories.slice(1).sort()).toEqual([
+        path.join(projectDir, 'core'),
+        path.join(projectDir, 'services', 'api')
+      ]);
+    });
+
+    it('should ignore test fixture projects inside module sources', async () => {
+      writeFile('pom.xml');
+      writeFile('core/pom.xml');
+      writeFile('core/src/test/resources/it/pom.xml');
+
+      expect(await manager.findModuleDirectories()).toEqual([
+        projectDir,
+        path.join(projectDir, 'core')
+      ]);
+    });
+
+    it('should fall back to the working directory without a pom.xml', async () => {
+      expect(await manager.findModuleDirectories()).toEqual([projectDir]);
+    });
+  });
+});
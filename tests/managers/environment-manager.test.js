@@ -298,6 +298,109 @@ describe('EnvironmentManager', () => {
     });
   });
 
+  describe('Maven Wrapper', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const distributionUrl =
+      'https://repo.maven.apache.org/maven2/org/apache/maven/apache-maven/3.9.6/apache-maven-3.9.6-bin.zip';
+    let projectDir;
+    let mavenUserHome;
+    const originalMavenUserHome = process.env.MAVEN_USER_HOME;
+
+    const writeWrapper = (properties) => {
+      fs.mkdirSync(path.join(projectDir, '.mvn', 'wrapper'), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, 'mvnw'), '#!/bin/sh\n');
+      fs.writeFileSync(
+        path.join(projectDir, '.mvn', 'wrapper', 'maven-wrapper.properties'),
+        properties
+      );
+    };
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvnw-project-'));
+      mavenUserHome = fs.mkdtempSync(path.join(os.tmpdir(), 'mvnw-home-'));
+      process.env.MAVEN_USER_HOME = mavenUserHome;
+      validatedInputs.workingDirectory = projectDir;
+      validatedInputs.useMavenWrapper = true;
+      manager = new EnvironmentManager(validatedInputs);
+      core.addPath = jest.fn();
+      core.exportVariable = jest.fn();
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+      fs.rmSync(mavenUserHome, { recursive: true, force: true });
+      if (originalMavenUserHome === undefined) {
+        delete process.env.MAVEN_USER_HOME;
+      } else {
+        process.env.MAVEN_USER_HOME = originalMavenUserHome;
+      }
+    });
+
+    it('should return null when the wrapper is missing', async () => {
+      expect(await manager.detectMavenWrapper()).toBeNull();
+    });
+
+    it('should read escaped distributionUrl values', async () => {
+      writeWrapper('# comment\ndistributionUrl=https\\://repo.example.com/apache-maven-3.9.6-bin.zip\n');
+
+      const wrapper = await manager.detectMavenWrapper();
+      const properties = await manager.readWrapperProperties(wrapper.propertiesFile);
+
+      expect(properties.distributionUrl).toBe('https://repo.example.com/apache-maven-3.9.6-bin.zip');
+    });
+
+    it('should extract the Maven version from the distributionUrl', () => {
+      expect(manager.extractWrapperMavenVersion(distributionUrl)).toBe('3.9.6');
+      expect(manager.extractWrapperMavenVersion('https://x/apache-maven-4.0.0-rc-2-bin.tar.gz')).toBe(
+        '4.0.0-rc-2'
+      );
+      expect(manager.extractWrapperMavenVersion('https://x/custom-maven.zip')).toBeNull();
+    });
+
+    it('should provision the pinned version from the tool cache and use the wrapper', async () => {
+      writeWrapper(`distributionType=only-script\ndistributionUrl=${distributionUrl}\n`);
+      const cachedMaven = fs.mkdtempSync(path.join(os.tmpdir(), 'maven-3.9.6-'));
+      tc.find.mockReturnValue(cachedMaven);
+      manager.getCurrentMavenVersion = jest.fn();
+
+      const result = await manager.setupMaven();
+
+      expect(tc.find).toHaveBeenCalledWith('Maven', '3.9.6');
+      expect(tc.downloadTool).not.toHaveBeenCalled();
+      expect(manager.getCurrentMavenVersion).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        action: 'existing',
+        version: '3.9.6',
+        path: cachedMaven,
+        command: path.join(projectDir, 'mvnw'),
+        wrapper: true
+      });
+      expect(core.addPath).toHaveBeenCalledWith(path.join(cachedMaven, 'bin'));
+
+      // Script-only wrappers find Maven under a String#hashCode of the URL
+      const seeded = path.join(mavenUserHome, 'wrapper', 'dists', 'apache-maven-3.9.6', 'a53741d1');
+      expect(fs.realpathSync(seeded)).toBe(fs.realpathSync(cachedMaven));
+
+      fs.rmSync(cachedMaven, { recursive: true, force: true });
+    });
+
+    it('should fall back to regular Maven setup when the wrapper is missing', async () => {
+      manager.getCurrentMavenVersion = jest.fn().mockResolvedValue({
+        available: true,
+        version: '3.9.5',
+        mavenHome: '/opt/maven'
+      });
+
+      const result = await manager.setupMaven();
+
+      expect(result.action).toBe('existing');
+      expect(result.wrapper).toBeUndefined();
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Maven Wrapper requested'));
+    });
+  });
+
   describe('verifyEnvironment', () => {
     it('should verify both Java and Maven are available', async () => {
       manager.getCurrentJavaVersion = jest.fn().mockResolvedValue({
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SbomManager } = require('../../src/managers/sbom-manager');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+describe('SbomManager', () => {
+  let projectDir;
+  let mavenExecutor;
+  let manager;
+  let projectListDuringBuild;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sbom-manager-'));
+    mavenExecutor = {
+      projectList: ['core'],
+      executeMavenCommand: jest.fn().mockImplementation(async () => {
+        projectListDuringBuild = mavenExecutor.projectList;
+        fs.mkdirSync(path.join(projectDir, 'target'), { recursive: true });
+        fs.writeFileSync(
+          path.join(projectDir, 'target', 'bom.json'),
+          JSON.stringify({
+            bomFormat: 'CycloneDX',
+            specVersion: '1.5',
+            components: [{ name: 'core' }, { name: 'jackson-databind' }]
+          })
+        );
+        return { success: true };
+      })
+    };
+    manager = new SbomManager({ workingDirectory: projectDir }, mavenExecutor);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('generate', () => {
+    it('should generate the aggregate SBOM of the whole reactor', async () => {
+      const sbom = await manager.generate();
+
+      expect(mavenExecutor.executeMavenCommand).toHaveBeenCalledWith(
+        [{ name: 'org.cyclonedx:cyclonedx-maven-plugin:2.9.1:makeAggregateBom', type: 'goal' }],
+        ['-DoutputFormat=json', '-DoutputName=bom', '-DincludeTestScope=false']
+      );
+      expect(sbom).toEqual({
+        path: path.join(projectDir, 'target', 'bom.json'),
+        specVersion: '1.5',
+        components: 2
+      });
+      expect(projectListDuringBuild).toBeNull();
+      expect(mavenExecutor.projectList).toEqual(['core']);
+    });
+
+    it('should fail when the plugin fails', async () => {
+      mavenExecutor.executeMavenCommand.mockRejectedValue(new Error('Maven failed'));
+
+      await expect(manager.generate()).rejects.toThrow('SBOM generation failed: Maven failed');
+      expect(mavenExecutor.projectList).toEqual(['core']);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { BuildOutputProcessor } = require('../../src/processors/build-output-processor');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+
+describe('BuildOutputProcessor', () => {
+  let processor;
+  const originalWorkspace = process.env.GITHUB_WORKSPACE;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.GITHUB_WORKSPACE = '/home/runner/work/app';
+    processor = new BuildOutputProcessor({ workingDirectory: 'service' });
+  });
+
+  afterAll(() => {
+    process.env.GITHUB_WORKSPACE = originalWorkspace;
+  });
+
+  describe('processLine', () => {
+    it('should parse javac errors with line and column', () => {
+      processor.processLine('[INFO] --- compiler:3.11.0:compile (default-compile) @ service ---');
+      processor.processLine(
+        '[ERROR] /home/runner/work/app/service/src/main/java/com/example/Foo.java:[12,5] cannot find symbol'
+      );
+
+      expect(processor.diagnostics).toEqual([
+        {
+          severity: 'error',
+          file: 'service/src/main/java/com/example/Foo.java',
+          line: 12,
+          column: 5,
+          message: 'cannot find symbol',
+          source: 'compiler:compile'
+        }
+      ]);
+    });
+
+    it('should append javac detail lines to the previous diagnostic', () => {
+      processor.processLine('[ERROR] /home/runner/work/app/service/src/Foo.java:[12,5] cannot find symbol');
+      processor.processLine('  symbol:   class Bar');
+      processor.processLine('  location: class com.example.Foo');
+      processor.processLine('[INFO] 1 error');
+      processor.processLine('  unrelated indented line');
+
+      expect(processor.diagnostics[0].message).toBe(
+        'cannot find symbol\nsymbol:   class Bar\nlocation: class com.example.Foo'
+      );
+    });
+
+    it('should parse warnings and resolve relative paths against the working directory', () => {
+      processor.processLine('[WARNING] src/main/java/Foo.java:[3,8] [deprecation] Bar in Baz has been deprecated');
+
+      expect(processor.diagnostics[0]).toMatchObject({
+        severity: 'warning',
+        file: 'service/src/main/java/Foo.java',
+        line: 3,
+        column: 8
+      });
+    });
+
+    it('should parse kotlin and checkstyle location formats', () => {
+      processor.processLine('[ERROR] /home/runner/work/app/service/src/Foo.kt: (7, 3) Unresolved reference: bar');
+      processor.processLine('[ERROR] file:///home/runner/work/app/service/src/Baz.kt:9:1 Expecting member declaration');
+      processor.processLine('[WARN] /home/runner/work/app/service/src/Qux.java:21:5: Missing a Javadoc comment. [JavadocMethod]');
+
+      expect(processor.diagnostics.map((d) => [d.file, d.line, d.column])).toEqual([
+        ['service/src/Foo.kt', 7, 3],
+        ['service/src/Baz.kt', 9, 1],
+        ['service/src/Qux.java', 21, 5]
+      ]);
+      expect(processor.diagnostics[2].severity).toBe('warning');
+    });
+
+    it('should ignore diagnostics repeated in the failure report', () => {
+      const line = '[ERROR] /home/runner/work/app/service/src/Foo.java:[12,5] cannot find symbol';
+      processor.processLine(line);
+      processor.processLine('[ERROR] Failed to execute goal org.apache.maven.plugins:maven-compiler-plugin:3.11.0:compile');
+      processor.processLine(line);
+
+      expect(processor.diagnostics).toHaveLength(1);
+    });
+
+    it('should ignore lines without a source location', () => {
+      processor.processLine('[ERROR] BUILD FAILURE');
+      processor.processLine('[WARNING] Using platform encoding (UTF-8 actually) to copy filtered resources');
+
+      expect(processor.diagnostics).toHaveLength(0);
+    });
+
+    it('should keep paths outside the workspace unchanged', () => {
+      processor.processLine('[ERROR] /tmp/generated/Foo.java:[1,1] class, interface, or enum expected');
+
+      expect(processor.diagnostics[0].file).toBe('/tmp/generated/Foo.java');
+    });
+  });
+
+  describe('publishAnnotations', () => {
+    it('should emit errors and warnings with file properties', () => {
+      processor.processLine('[INFO] --- compiler:3.11.0:compile (default-compile) @ service ---');
+      processor.processLine('[ERROR] src/Foo.java:[12,5] cannot find symbol');
+      processor.processLine('[WARNING] src/Bar.java:[3] unchecked call');
+
+      processor.publishAnnotations();
+
+      expect(core.error).toHaveBeenCalledWith('cannot find symbol', {
+        title: 'Maven compiler:compile',
+        file: 'service/src/Foo.java',
+        startLine: 12,
+        startColumn: 5
+      });
+      expect(core.warning).toHaveBeenCalledWith('unchecked call', {
+        title: 'Maven compiler:compile',
+        file: 'service/src/Bar.java',
+        startLine: 3,
+        startColumn: undefined
+      });
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { ChangeDetector } = require('../../src/processors/change-detector');
+
+// Mock dependencies
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+
+describe('ChangeDetector', () => {
+  let detector;
+  let cacheManager;
+
+  const moduleDirectories = ['', 'core', 'services/api', 'services'].map((dir) =>
+    path.join('repo', dir)
+  );
+
+  const mockGit = (changedFiles, { missingCommits = [], fetchFails = false } = {}) => {
+    exec.exec.mockImplementation(async (command, args, options) => {
+      if (args[0] === 'cat-file') {
+        return missingCommits.some((sha) => args[2].startsWith(sha)) ? 1 : 0;
+      }
+      if (args[0] === 'fetch') {
+        return fetchFails ? 128 : 0;
+      }
+      options.listeners.stdout(Buffer.from(changedFiles.map((file) => `${file}\0`).join('')));
+      return 0;
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheManager = { findModuleDirectories: jest.fn().mockResolvedValue(moduleDirectories) };
+    detector = new ChangeDetector({ workingDirectory: 'repo' }, cacheManager);
+  });
+
+  describe('detectAffectedModules', () => {
+    const eventContext = {
+      eventName: 'pull_request',
+      changeRange: { baseSha: 'base1234567', headSha: 'head1234567' }
+    };
+
+    it('should map changed files to the innermost module', async () => {
+      mockGit([
+        'services/api/src/main/java/Api.java',
+        'core/src/main/java/Core.java',
+        'core/pom.xml',
+        'README.md'
+      ]);
+
+      const modules = await detector.detectAffectedModules(eventContext);
+
+      expect(modules).toEqual(['core', 'services/api']);
+      expect(exec.exec).toHaveBeenCalledWith(
+        'git',
+        ['diff', '--name-only', '--relative', '-z', 'base1234567', 'head1234567'],
+        expect.objectContaining({ cwd: 'repo', ignoreReturnCode: true })
+      );
+    });
+
+    it('should return no modules when only files outside modules changed', async () => {
+      mockGit(['docs/guide.md', '.github/workflows/ci.yml']);
+
+      expect(await detector.detectAffectedModules(eventContext)).toEqual([]);
+    });
+
+    it('should build all modules when the root pom changed', async () => {
+      mockGit(['core/src/Core.java', 'pom.xml']);
+
+      expect(await detector.detectAffectedModules(eventContext)).toBeNull();
+    });
+
+    it('should fetch commits missing from a shallow checkout', async () => {
+      mockGit(['core/src/Core.java'], { missingCommits: ['base1234567'] });
+
+      expect(await detector.detectAffectedModules(eventContext)).toEqual(['core']);
+      expect(exec.exec).toHaveBeenCalledWith(
+        'git',
+        ['fetch', '--no-tags', '--depth=1', 'origin', 'base1234567'],
+        expect.anything()
+      );
+    });
+
+    it('should build all modules when the base commit cannot be fetched', async () => {
+      mockGit(['core/src/Core.java'], { missingCommits: ['base1234567'], fetchFails: true });
+
+      expect(await detector.detectAffectedModules(eventContext)).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Commit base1234567 is not available')
+      );
+    });
+
+    it('should build all modules for events without a change range', async () => {
+      expect(await detector.detectAffectedModules({ eventName: 'schedule' })).toBeNull();
+      expect(exec.exec).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getChangedLines', () => {
+    it('should list added and modified lines of each changed file', async () => {
+      exec.exec.mockImplementation(async (command, args, options) => {
+        if (args[0] === 'diff') {
+          options.listeners.stdout(
+            Buffer.from(
+              [
+                'diff --git a/core/src/main/java/Core.java b/core/src/main/java/Core.java',
+                '--- a/core/src/main/java/Core.java',
+                '+++ b/core/src/main/java/Core.java',
+                '@@ -10,0 +11,3 @@ class Core {',
+                '+  int a;',
+                '@@ -20 +24 @@ class Core {',
+                '@@ -30,2 +35,0 @@ class Core {',
+                'diff --git a/Old.java b/Old.java',
+                '--- a/Old.java',
+                '+++ /dev/null',
+                '@@ -1,2 +0,0 @@'
+              ].join('\n')
+            )
+          );
+        }
+        return 0;
+      });
+
+      const changedLines = await detector.getChangedLines('base1234567', 'head1234567');
+
+      expect(changedLines).toEqual({ 'core/src/main/java/Core.java': [11, 12, 13, 24] });
+      expect(exec.exec).toHaveBeenCalledWith(
+        'git',
+        expect.arrayContaining(['diff', '--unified=0', 'base1234567', 'head1234567']),
+        expect.objectContaining({ cwd: 'repo' })
+      );
+    });
+  });
+
+  describe('addWorktree', () => {
+    const mockWorktreeGit = (worktreeExitCode = 0) => {
+      exec.exec.mockImplementation(async (command, args, options) => {
+        if (args[0] === 'rev-parse') {
+          options.listeners.stdout(Buffer.from('services/\n'));
+        }
+        return args[0] === 'worktree' ? worktreeExitCode : 0;
+      });
+    };
+
+    it('should check out the commit and return the matching working directory', async () => {
+      mockWorktreeGit();
+
+      const { worktree, workingDirectory } = await detector.addWorktree('base1234567');
+
+      expect(workingDirectory).toBe(path.join(worktree, 'services'));
+      expect(exec.exec).toHaveBeenCalledWith(
+        'git',
+        ['worktree', 'add', '--detach', worktree, 'base1234567'],
+        expect.objectContaining({ cwd: 'repo' })
+      );
+      await fs.promises.rm(worktree, { recursive: true, force: true });
+    });
+
+    it('should throw when the worktree cannot be added', async () => {
+      mockWorktreeGit(128);
+
+      await expect(detector.addWorktree('base1234567')).rejects.toThrow(
+        'git worktree add failed with exit code 128'
+      );
+    });
+
+    it('should warn when the worktree cannot be removed', async () => {
+      mockWorktreeGit(1);
+
+      await detector.removeWorktree('/tmp/worktree');
+
+      expect(core.warning).toHaveBeenCalledWith('Could not remove worktree /tmp/worktree');
+    });
+  });
+
+  describe('mapToModules', () => {
+    it('should build all modules for single-module projects', () => {
+      expect(detector.mapToModules(['src/main/java/App.java'], ['repo'])).toBeNull();
+    });
+
+    it('should build all modules when Maven configuration changed', () => {
+      expect(detector.mapToModules(['.mvn/maven.config'], moduleDirectories)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const { CoverageProcessor } = require('../../src/processors/coverage-processor');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+
+describe('CoverageProcessor', () => {
+  const coverage = {
+    lineCoverage: '72.50',
+    branchCoverage: '60.00',
+    instructionCoverage: '80.00',
+    modules: [
+      { name: 'core', lineCoverage: '90.00', branchCoverage: '70.00' },
+      { name: 'api', lineCoverage: '40.00', branchCoverage: '30.00' }
+    ]
+  };
+
+  const check = (thresholds, measured = coverage) =>
+    new CoverageProcessor({ coverageThresholds: thresholds }).checkThresholds(measured);
+
+  describe('checkThresholds', () => {
+    it('should return null when no minimum is configured', () => {
+      expect(new CoverageProcessor({}).checkThresholds(coverage)).toBeNull();
+    });
+
+    it('should pass when every minimum is met', () => {
+      const result = check([
+        { module: null, metric: 'line', minimum: 70 },
+        { module: 'core', metric: 'branch', minimum: 70 }
+      ]);
+
+      expect(result.passed).toBe(true);
+      expect(result.results.map((check) => [check.scope, check.measured])).toEqual([
+        ['total', 72.5],
+        ['core', 70]
+      ]);
+    });
+
+    it('should apply wildcard minimums to every module', () => {
+      const result = check([{ module: '*', metric: 'line', minimum: 50 }]);
+
+      expect(result.passed).toBe(false);
+      expect(result.failures).toEqual([
+        { scope: 'api', metric: 'line', minimum: 50, measured: 40, passed: false }
+      ]);
+    });
+
+    it('should skip metrics a module has no data for, such as branches of a module without branches', () => {
+      const result = check([{ module: '*', metric: 'branch', minimum: 50 }], {
+        ...coverage,
+        modules: [
+          { name: 'core', lineCoverage: '90.00', branchCoverage: '70.00' },
+          { name: 'model', lineCoverage: '100.00', branchCoverage: null }
+        ]
+      });
+
+      expect(result.passed).toBe(true);
+      expect(result.results.map((check) => check.scope)).toEqual(['core']);
+    });
+
+    it('should fail when a module has no coverage data', () => {
+      const result = check([{ module: 'web', metric: 'line', minimum: 50 }]);
+
+      expect(result.failures).toEqual([
+        { scope: 'web', metric: 'line', minimum: 50, measured: null, passed: false }
+      ]);
+    });
+
+    it('should fail global minimums when no coverage was found', () => {
+      expect(check([{ module: null, metric: 'line', minimum: 50 }], null).passed).toBe(false);
+    });
+  });
+
+  describe('calculateDiffCoverage', () => {
+    const lineCoverage = {
+      modules: [
+        {
+          name: '.',
+          sourceFiles: { 'com/example/App.java': { 5: true } }
+        },
+        {
+          name: 'core',
+          sourceFiles: { 'com/example/Core.java': { 10: true, 11: false, 12: false, 14: true } }
+        }
+      ]
+    };
+
+    it('should measure the changed lines with code', () => {
+      const processor = new CoverageProcessor({ workingDirectory: '.', minDiffCoverage: 50 });
+
+      const result = processor.calculateDiffCoverage(
+        {
+          'core/src/main/java/com/example/Core.java': [9, 10, 11, 12, 14],
+          'src/main/java/com/example/App.java': [5],
+          'core/src/test/java/com/example/CoreTest.java': [3],
+          'README.md': [1]
+        },
+        lineCoverage
+      );
+
+      expect(result).toMatchObject({
+        coverage: '60.00',
+        coveredLines: 3,
+        totalLines: 5,
+        minimum: 50,
+        passed: true
+      });
+      expect(result.uncoveredFiles).toEqual([
+        {
+          file: expect.stringMatching(/core\/src\/main\/java\/com\/example\/Core\.java$/),
+          lines: [11, 12],
+          ranges: [[11, 12]]
+        }
+      ]);
+    });
+
+    it('should look up files of modules without a report in the aggregate report', () => {
+      const processor = new CoverageProcessor({ workingDirectory: '.' });
+      const aggregateCoverage = {
+        sourceFiles: { 'com/example/Api.java': { 7: true, 8: false } },
+        modules: []
+      };
+
+      const result = processor.calculateDiffCoverage(
+        { 'api/src/main/java/com/example/Api.java': [7, 8] },
+        aggregateCoverage
+      );
+
+      expect(result).toMatchObject({ coverage: '50.00', coveredLines: 1, totalLines: 2 });
+    });
+
+    it('should fail below the minimum and pass without changed code', () => {
+      const processor = new CoverageProcessor({ workingDirectory: '.', minDiffCoverage: 80 });
+      const changes = { 'core/src/main/java/com/example/Core.java': [10, 11] };
+
+      expect(processor.calculateDiffCoverage(changes, lineCoverage).passed).toBe(false);
+      expect(processor.calculateDiffCoverage({ 'README.md': [1] }, lineCoverage)).toMatchObject({
+        coverage: null,
+        passed: true
+      });
+    });
+  });
+
+  describe('publishDiffCoverage', () => {
+    it('should annotate each range of uncovered changed lines', () => {
+      new CoverageProcessor({}).publishDiffCoverage({
+        uncoveredFiles: [
+          {
+            file: 'core/Core.java',
+            ranges: [
+              [4, 4],
+              [7, 9]
+            ]
+          }
+        ]
+      });
+
+      expect(core.warning).toHaveBeenCalledWith('Changed line 4 is not covered by tests', {
+        title: 'Uncovered change',
+        file: 'core/Core.java',
+        startLine: 4,
+        endLine: 4
+      });
+      expect(core.warning).toHaveBeenCalledWith('Changed lines 7-9 are not covered by tests', {
+        title: 'Uncovered change',
+        file: 'core/Core.java',
+        startLine: 7,
+        endLine: 9
+      });
+    });
+  });
+
+  describe('describeFailure', () => {
+    const processor = new CoverageProcessor({});
+
+    it('should describe by how much a minimum was missed', () => {
+      expect(
+        processor.describeFailure({ scope: 'api', metric: 'branch', minimum: 60, measured: 30 })
+      ).toBe('api branch coverage 30.00% is 30.00 points below the minimum of 60%');
+    });
+
+    it('should describe missing coverage data', () => {
+      expect(
+        processor.describeFailure({ scope: 'total', metric: 'line', minimum: 80, measured: null })
+      ).toBe('line coverage: no coverage data (minimum 80%)');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CoverageReportLocator } = require('../../src/processors/coverage-report-locator');
+
+describe('CoverageReportLocator', () => {
+  let projectDir;
+  let locator;
+
+  const writeFile = (relativePath, content) => {
+    const file = path.join(projectDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  const jacocoReport = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<!DOCTYPE report PUBLIC "-//JACOCO//DTD Report 1.1//EN" "report.dtd">
+<report name="core">
+  <package name="com/example">
+    <class name="com/example/Core" sourcefilename="Core.java">
+      <counter type="LINE" missed="1" covered="1"/>
+    </class>
+    <sourcefile name="Core.java">
+      <line nr="3" mi="0" ci="4" mb="0" cb="0"/>
+      <line nr="5" mi="2" ci="0" mb="0" cb="0"/>
+    </sourcefile>
+    <counter type="LINE" missed="1" covered="1"/>
+  </package>
+  <counter type="INSTRUCTION" missed="2" covered="4"/>
+  <counter type="LINE" missed="1" covered="1"/>
+</report>`;
+
+  const coberturaReport = `<?xml version="1.0"?>
+<!DOCTYPE coverage SYSTEM "http://cobertura.sourceforge.net/xml/coverage-04.dtd">
+<coverage line-rate="0.5" branch-rate="0.5" timestamp="1">
+  <sources><source>/repo/api/src/main/java</source></sources>
+  <packages>
+    <package name="com.example">
+      <classes>
+        <class name="com.example.Api" filename="com/example/Api.java">
+          <methods/>
+          <lines>
+            <line number="7" hits="3" branch="true" condition-coverage="50% (1/2)"/>
+            <line number="8" hits="0" branch="false"/>
+          </lines>
+        </class>
+        <class name="com.example.Api$Inner" filename="com/example/Api.java">
+          <lines>
+            <line number="12" hits="1" branch="false"/>
+          </lines>
+        </class>
+      </classes>
+    </package>
+  </packages>
+</coverage>`;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-report-locator-'));
+    locator = new CoverageReportLocator();
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('readReport', () => {
+    it('should read JaCoCo reports', async () => {
+      writeFile('jacoco.xml', jacocoReport);
+
+      const report = await locator.readReport(path.join(projectDir, 'jacoco.xml'));
+
+      expect(report.format).toBe('jacoco');
+      // The report has no BRANCH counter, as its code has no branches
+      expect(report.counters).toEqual({
+        INSTRUCTION: { covered: 4, missed: 2 },
+        LINE: { covered: 1, missed: 1 }
+      });
+      expect(report.sourceFiles).toEqual({ 'com/example/Core.java': { 3: true, 5: false } });
+      expect(report.packages).toEqual([
+        expect.objectContaining({
+          name: 'com.example',
+          counters: expect.objectContaining({ LINE: { covered: 1, missed: 1 } })
+        })
+      ]);
+      expect(report.classes.map((cls) => cls.name)).toEqual(['com.example.Core']);
+    });
+
+    it('should read packages grouped per module in aggregate JaCoCo reports', async () => {
+      writeFile(
+        'jacoco.xml',
+        `<report name="aggregate"><group name="core">${jacocoReport.match(/<package[\s\S]*<\/package>/)[0]}</group>
+<counter type="LINE" missed="1" covered="1"/></report>`
+      );
+
+      const report = await locator.readReport(path.join(projectDir, 'jacoco.xml'));
+
+      expect(Object.keys(report.sourceFiles)).toEqual(['com/example/Core.java']);
+    });
+
+    it('should read Cobertura reports into line and branch counters', async () => {
+      writeFile('coverage.xml', coberturaReport);
+
+      const report = await locator.readReport(path.join(projectDir, 'coverage.xml'));
+
+      expect(report.format).toBe('cobertura');
+      expect(report.counters).toEqual({
+        LINE: { covered: 2, missed: 1 },
+        BRANCH: { covered: 1, missed: 1 }
+      });
+      expect(report.sourceFiles).toEqual({
+        'com/example/Api.java': { 7: true, 8: false, 12: true }
+      });
+      expect(report.packages).toEqual([
+        {
+          name: 'com.example',
+          counters: { LINE: { covered: 2, missed: 1 }, BRANCH: { covered: 1, missed: 1 } }
+        }
+      ]);
+      expect(report.classes.map((cls) => [cls.name, cls.counters.LINE])).toEqual([
+        ['com.example.Api', { covered: 1, missed: 1 }],
+        ['com.example.Api$Inner', { covered: 1, missed: 0 }]
+      ]);
+    });
+
+    it('should return null for missing or unknown reports', async () => {
+      writeFile('other.xml', '<testsuite name="x"/>');
+
+      expect(await locator.readReport(path.join(projectDir, 'other.xml'))).toBeNull();
+      expect(await locator.readReport(path.join(projectDir, 'missing.xml'))).toBeNull();
+    });
+  });
+
+  describe('locate', () => {
+    it('should prefer JaCoCo per module and add aggregate reports', async () => {
+      writeFile('core/target/site/jacoco/jacoco.xml', jacocoReport);
+      writeFile('core/target/site/cobertura/coverage.xml', coberturaReport);
+      writeFile('api/target/site/cobertura/coverage.xml', coberturaReport);
+      writeFile('report/target/site/jacoco-aggregate/jacoco.xml', jacocoReport);
+      const modules = ['core', 'api', 'report'].map((name) => ({
+        name,
+        directory: path.join(projectDir, name)
+      }));
+
+      const reports = await locator.locate(modules);
+
+      expect(
+        reports.map((report) => [report.module.name, report.format, report.aggregate])
+      ).toEqual([
+        ['core', 'jacoco', false],
+        ['api', 'cobertura', false],
+        ['report', 'jacoco', true]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { DependencyDiffProcessor } = require('../../src/processors/dependency-diff-processor');
+const { DependencyResolver } = require('../../src/scanners/dependency-resolver');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+
+describe('DependencyDiffProcessor', () => {
+  let processor;
+  let changeDetector;
+  let dependencyResolver;
+  let baseResolver;
+
+  const dependency = (artifactId, version, directDependency = null) => ({
+    groupId: 'org.example',
+    artifactId,
+    version,
+    scope: 'compile',
+    directDependency
+  });
+
+  const baseDependencies = [
+    dependency('kept', '1.0'),
+    dependency('bumped', '1.0'),
+    dependency('dropped', '3.1', { groupId: 'org.example', artifactId: 'kept' })
+  ];
+  const headDependencies = [
+    dependency('kept', '1.0'),
+    dependency('bumped', '1.2'),
+    dependency('fresh', '0.9', { groupId: 'org.example', artifactId: 'kept' })
+  ];
+
+  const pullRequestContext = {
+    eventName: 'pull_request',
+    pullRequest: { number: 7 },
+    changeRange: { baseSha: 'base1234567', headSha: 'head1234567' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    changeDetector = {
+      addWorktree: jest
+        .fn()
+        .mockResolvedValue({ worktree: '/tmp/wt', workingDirectory: '/tmp/wt/app' }),
+      removeWorktree: jest.fn().mockResolvedValue()
+    };
+    dependencyResolver = { resolve: jest.fn().mockResolvedValue(headDependencies) };
+    baseResolver = { resolve: jest.fn().mockResolvedValue(baseDependencies) };
+    processor = new DependencyDiffProcessor(
+      { workingDirectory: 'app' },
+      changeDetector,
+      dependencyResolver
+    );
+    processor.createResolver = jest.fn().mockReturnValue(baseResolver);
+  });
+
+  describe('compare', () => {
+    it('should resolve the base in a worktree and report the changes', async () => {
+      const diff = await processor.compare(pullRequestContext);
+
+      expect(changeDetector.addWorktree).toHaveBeenCalledWith('base1234567');
+      expect(processor.createResolver).toHaveBeenCalledWith('/tmp/wt/app');
+      expect(changeDetector.removeWorktree).toHaveBeenCalledWith('/tmp/wt');
+      expect(diff.added.map((change) => change.name)).toEqual(['org.example:fresh']);
+      expect(diff.removed.map((change) => change.name)).toEqual(['org.example:dropped']);
+      expect(diff.changed).toEqual([
+        {
+          name: 'org.example:bumped',
+          version: '1.2',
+          previousVersion: '1.0',
+          scope: 'compile',
+          direct: true,
+          vulnerabilities: []
+        }
+      ]);
+    });
+
+    it('should skip events other than pull requests', async () => {
+      const diff = await processor.compare({ eventName: 'push', changeRange: {} });
+
+      expect(diff).toBeNull();
+      expect(dependencyResolver.resolve).not.toHaveBeenCalled();
+    });
+
+    it('should remove the worktree and warn when the base cannot be resolved', async () => {
+      baseResolver.resolve.mockRejectedValue(new Error('dependency:tree failed with exit code 1'));
+
+      const diff = await processor.compare(pullRequestContext);
+
+      expect(diff).toBeNull();
+      expect(changeDetector.removeWorktree).toHaveBeenCalledWith('/tmp/wt');
+      expect(core.warning).toHaveBeenCalledWith(
+        'Could not compare dependencies with the base: dependency:tree failed with exit code 1'
+      );
+    });
+  });
+
+  describe('createResolver', () => {
+    it('should run Maven in the worktree with the executor of the head', () => {
+      const mavenExecutor = { mavenCommand: '/project/app/mvnw' };
+      const resolver = new DependencyDiffProcessor(
+        { workingDirectory: 'app', settingsFile: 'settings.xml' },
+        changeDetector,
+        new DependencyResolver({ workingDirectory: 'app' }, mavenExecutor)
+      ).createResolver('/tmp/wt/app');
+
+      expect(resolver).toBeInstanceOf(DependencyResolver);
+      expect(resolver.workingDirectory).toBe('/tmp/wt/app');
+      expect(resolver.mavenExecutor).toBe(mavenExecutor);
+    });
+  });
+
+  describe('diff', () => {
+    it('should list the findings of added dependencies', () => {
+      const findings = [
+        { ruleId: 'CVE-2024-0001', groupId: 'org.example', artifactId: 'fresh', version: '0.9' },
+        { ruleId: 'CVE-2024-0002', groupId: 'org.example', artifactId: 'kept', version: '1.0' }
+      ];
+
+      const { added } = processor.diff(baseDependencies, headDependencies, findings);
+
+      expect(added).toEqual([
+        {
+          name: 'org.example:fresh',
+          version: '0.9',
+          previousVersion: null,
+          scope: 'compile',
+          direct: false,
+          vulnerabilities: ['CVE-2024-0001']
+        }
+      ]);
+    });
+
+    it('should report modules converging on different versions as a change', () => {
+      const head = [...headDependencies, dependency('kept', '1.1')];
+
+      const { changed } = processor.diff(baseDependencies, head, []);
+
+      expect(changed.map((change) => [change.name, change.version])).toEqual([
+        ['org.example:bumped', '1.2'],
+        ['org.example:kept', '1.0, 1.1']
+      ]);
+    });
+  });
+});
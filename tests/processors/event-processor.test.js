@@ -48,6 +48,7 @@ describe('EventProcessor', () => {
       expect(result.eventName).toBe('push');
       expect(result.branch).toBe('main');
       expect(result.isMainBranch).toBe(true);
+      expect(result.isDefaultBranch).toBe(false);
       expect(result.shouldDeploy).toBe(true);
       expect(result.deploymentTarget).toBe('production');
       expect(result.commits).toHaveLength(1);
@@ -63,8 +64,8 @@ describe('EventProcessor', () => {
             number: 42,
             title: 'Test PR',
             body: 'Test description',
-            base: { ref: 'main' },
-            head: { ref: 'feature/test' },
+            base: { ref: 'main', sha: 'base123' },
+            head: { ref: 'feature/test', sha: 'head456' },
             user: { login: 'testuser' },
             draft: false,
             mergeable: true
@@ -86,6 +87,7 @@ describe('EventProcessor', () => {
       expect(result.pullRequest.headBranch).toBe('feature/test');
       expect(result.shouldRunTests).toBe(true);
       expect(result.shouldDeploy).toBe(false);
+      expect(result.changeRange).toEqual({ baseSha: 'base123', headSha: 'def456' });
     });
 
     it('should process release event correctly', async () => {
@@ -154,6 +156,13 @@ describe('EventProcessor', () => {
       expect(processor.isMainBranch('refs/heads/develop')).toBe(false);
     });
 
+    it('should detect the default branch of the repository', () => {
+      expect(processor.isDefaultBranch('refs/heads/trunk', 'trunk')).toBe(true);
+      expect(processor.isDefaultBranch('refs/tags/trunk', 'trunk')).toBe(false);
+      expect(processor.isDefaultBranch('refs/heads/main', 'trunk')).toBe(false);
+      expect(processor.isDefaultBranch('refs/heads/main', undefined)).toBe(false);
+    });
+
     it('should correctly identify develop branches', () => {
       expect(processor.isDevelopBranch('refs/heads/develop')).toBe(true);
       expect(processor.isDevelopBranch('refs/heads/development')).toBe(true);
@@ -188,6 +197,20 @@ describe('EventProcessor', () => {
     });
   });
 
+  describe('getChangeRange', () => {
+    it('should return the commit range of a push', () => {
+      expect(processor.getChangeRange('abc123', 'def456')).toEqual({
+        baseSha: 'abc123',
+        headSha: 'def456'
+      });
+    });
+
+    it('should return null for new branches and missing commits', () => {
+      expect(processor.getChangeRange('0000000000000000000000000000000000000000', 'def456')).toBeNull();
+      expect(processor.getChangeRange(undefined, 'def456')).toBeNull();
+    });
+  });
+
   describe('extractBranchName', () => {
     it('should extract branch names correctly', () => {
       expect(processor.extractBranchName('refs/heads/main')).toBe('main');
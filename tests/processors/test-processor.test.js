@@ -0,0 +1,404 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestProcessor } = require('../../src/processors/test-processor');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+
+describe('TestProcessor', () => {
+  let projectDir;
+  let processor;
+  const originalWorkspace = process.env.GITHUB_WORKSPACE;
+
+  const writeFile = (relativePath, content) => {
+    const file = path.join(projectDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  const failingSuite = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuite name="com.example.CalculatorTest" tests="3" failures="1" errors="1" skipped="0" time="0.5">
+  <testcase name="adds" classname="com.example.CalculatorTest" time="0.1"/>
+  <testcase name="divides" classname="com.example.CalculatorTest" time="0.2">
+    <failure message="expected: &lt;2&gt; but was: &lt;3&gt;" type="org.opentest4j.AssertionFailedError">org.opentest4j.AssertionFailedError: expected: &lt;2&gt; but was: &lt;3&gt;
+	at org.junit.jupiter.api.AssertionUtils.fail(AssertionUtils.java:55)
+	at com.example.CalculatorTest.divides(CalculatorTest.java:27)
+</failure>
+  </testcase>
+  <testcase name="parses" classname="com.example.CalculatorTest" time="0.2">
+    <error type="java.lang.NullPointerException">java.lang.NullPointerException
+	at com.example.Parser.parse(Parser.java:10)
+	at com.example.CalculatorTest$Nested.parses(CalculatorTest.java:41)
+</error>
+  </testcase>
+</testsuite>`;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-processor-'));
+    process.env.GITHUB_WORKSPACE = projectDir;
+    processor = new TestProcessor({ workingDirectory: projectDir, publishTestResults: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    process.env.GITHUB_WORKSPACE = originalWorkspace;
+  });
+
+  describe('parseTestResults', () => {
+    it('should parse failed test cases with their source location', async () => {
+      writeFile('target/surefire-reports/TEST-com.example.CalculatorTest.xml', failingSuite);
+      writeFile('src/test/java/com/example/CalculatorTest.java', 'class CalculatorTest {}');
+
+      const results = await processor.parseTestResults();
+
+      expect(results.totalTests).toBe(3);
+      expect(results.failedTests).toHaveLength(2);
+      expect(results.failedTests[0]).toMatchObject({
+        className: 'com.example.CalculatorTest',
+        name: 'divides',
+        type: 'failure',
+        exceptionType: 'org.opentest4j.AssertionFailedError',
+        message: 'expected: <2> but was: <3>',
+        file: 'src/test/java/com/example/CalculatorTest.java',
+        line: 27
+      });
+      expect(results.failedTests[0].stackTrace).toContain('AssertionUtils.fail');
+    });
+
+    it('should use nested class frames and fall back to the stack trace for the message', async () => {
+      writeFile('target/surefire-reports/TEST-com.example.CalculatorTest.xml', failingSuite);
+      writeFile('src/test/kotlin/com/example/CalculatorTest.java', 'class CalculatorTest {}');
+
+      const { failedTests } = await processor.parseTestResults();
+
+      expect(failedTests[1]).toMatchObject({
+        name: 'parses',
+        type: 'error',
+        message: 'java.lang.NullPointerException',
+        file: 'src/test/kotlin/com/example/CalculatorTest.java',
+        line: 41
+      });
+    });
+
+    it('should leave the file unset when the test source cannot be found', async () => {
+      writeFile('target/surefire-reports/TEST-com.example.CalculatorTest.xml', failingSuite);
+
+      const { failedTests } = await processor.parseTestResults();
+
+      expect(failedTests[0].file).toBeNull();
+      expect(failedTests[0].line).toBe(27);
+    });
+
+    it('should parse suites with a single passing test case', async () => {
+      writeFile(
+        'target/surefire-reports/TEST-com.example.OneTest.xml',
+        '<testsuite name="com.example.OneTest" tests="1" failures="0" errors="0" skipped="0" time="0.1">' +
+          '<testcase name="works" classname="com.example.OneTest" time="0.1"/></testsuite>'
+      );
+
+      const results = await processor.parseTestResults();
+
+      expect(results.totalTests).toBe(1);
+      expect(results.failedTests).toEqual([]);
+    });
+  });
+
+  describe('flaky tests', () => {
+    const rerunSuite = `<testsuite name="com.example.RetryTest" tests="2" failures="1" errors="0" skipped="0" time="1.0">
+  <testcase name="eventuallyPasses" classname="com.example.RetryTest" time="0.3">
+    <flakyFailure message="timed out" type="java.util.concurrent.TimeoutException">
+      <stackTrace>java.util.concurrent.TimeoutException: timed out
+	at com.example.RetryTest.eventuallyPasses(RetryTest.java:18)</stackTrace>
+      <system-out>first run</system-out>
+    </flakyFailure>
+    <flakyError message="connection reset" type="java.net.SocketException">
+      <stackTrace>java.net.SocketException: connection reset</stackTrace>
+    </flakyError>
+  </testcase>
+  <testcase name="alwaysFails" classname="com.example.RetryTest" time="0.3">
+    <failure message="boom" type="java.lang.AssertionError">java.lang.AssertionError: boom
+	at com.example.RetryTest.alwaysFails(RetryTest.java:25)</failure>
+    <rerunFailure message="boom" type="java.lang.AssertionError">
+      <stackTrace>java.lang.AssertionError: boom</stackTrace>
+    </rerunFailure>
+  </testcase>
+</testsuite>`;
+
+    it('should count tests that passed on rerun separately from failures', async () => {
+      writeFile('target/surefire-reports/TEST-com.example.RetryTest.xml', rerunSuite);
+      writeFile('src/test/java/com/example/RetryTest.java', 'class RetryTest {}');
+
+      const results = await processor.parseTestResults();
+
+      expect(results.totalFailures).toBe(1);
+      expect(results.totalFlaky).toBe(1);
+      expect(results.failedTests.map((test) => test.name)).toEqual(['alwaysFails']);
+      expect(results.flakyTests).toEqual([
+        expect.objectContaining({
+          className: 'com.example.RetryTest',
+          name: 'eventuallyPasses',
+          type: 'failure',
+          flakyRuns: 2,
+          message: 'timed out',
+          file: 'src/test/java/com/example/RetryTest.java',
+          line: 18
+        })
+      ]);
+    });
+
+    it('should publish flaky tests as warnings', async () => {
+      writeFile('target/surefire-reports/TEST-com.example.RetryTest.xml', rerunSuite);
+
+      await processor.process();
+
+      expect(core.warning).toHaveBeenCalledWith('Passed after 2 failed run(s): timed out', {
+        title: 'Flaky test: com.example.RetryTest.eventuallyPasses',
+        file: undefined,
+        startLine: undefined
+      });
+      expect(core.error).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('multi-module projects', () => {
+    const passingSuite = (name, tests) =>
+      `<testsuite name="${name}" tests="${tests}" failures="0" errors="0" skipped="1" time="1.5"></testsuite>`;
+
+    beforeEach(() => {
+      writeFile('pom.xml', '<project/>');
+      writeFile('core/pom.xml', '<project/>');
+      writeFile('services/api/pom.xml', '<project/>');
+      writeFile('core/src/test/resources/fixture/pom.xml', '<project/>');
+    });
+
+    it('should aggregate test reports of all modules with a per-module breakdown', async () => {
+      writeFile('core/target/surefire-reports/TEST-com.example.CalculatorTest.xml', failingSuite);
+      writeFile('core/src/test/java/com/example/CalculatorTest.java', 'class CalculatorTest {}');
+      writeFile(
+        'services/api/target/surefire-reports/TEST-com.example.ApiTest.xml',
+        passingSuite('com.example.ApiTest', 4)
+      );
+
+      const results = await processor.parseTestResults();
+
+      expect(results.totalTests).toBe(7);
+      expect(results.totalFailures).toBe(1);
+      expect(results.totalSkipped).toBe(1);
+      expect(results.modules.map((module) => [module.name, module.totalTests])).toEqual([
+        ['core', 3],
+        ['services/api', 4]
+      ]);
+      expect(results.failedTests[0]).toMatchObject({
+        module: 'core',
+        file: 'core/src/test/java/com/example/CalculatorTest.java'
+      });
+    });
+
+    it('should warn when no module has test reports', async () => {
+      const results = await processor.parseTestResults();
+
+      expect(results.modules).toEqual([]);
+      expect(core.warning).toHaveBeenCalledWith(
+        `No test results found in target/surefire-reports of any module in ${projectDir}`
+      );
+    });
+
+    it('should aggregate JaCoCo counters of all modules', async () => {
+      const jacoco = (covered, missed) =>
+        `<report name="x"><counter type="LINE" covered="${covered}" missed="${missed}"/></report>`;
+      writeFile('core/target/site/jacoco/jacoco.xml', jacoco(30, 10));
+      writeFile('services/api/target/site/jacoco/jacoco.xml', jacoco(10, 50));
+
+      const coverage = await processor.parseCoverageResults();
+
+      expect(coverage.lineCoverage).toBe('40.00');
+      expect(coverage.modules).toEqual([
+        expect.objectContaining({ name: 'core', lineCoverage: '75.00' }),
+        expect.objectContaining({ name: 'services/api', lineCoverage: '16.67' })
+      ]);
+    });
+
+    it('should take totals from aggregate reports and read Cobertura module reports', async () => {
+      writeFile(
+        'core/target/site/cobertura/coverage.xml',
+        '<coverage><packages><package name="com.example"><classes>' +
+          '<class filename="com/example/Core.java"><lines><line number="3" hits="1"/>' +
+          '<line number="4" hits="0"/></lines></class></classes></package></packages></coverage>'
+      );
+      writeFile(
+        'target/site/jacoco-aggregate/jacoco.xml',
+        '<report name="all"><counter type="LINE" covered="9" missed="1"/></report>'
+      );
+
+      const coverage = await processor.parseCoverageResults();
+
+      expect(coverage).toMatchObject({ format: 'jacoco', lineCoverage: '90.00' });
+      expect(coverage.modules).toEqual([
+        expect.objectContaining({
+          name: 'core',
+          format: 'cobertura',
+          lineCoverage: '50.00',
+          instructionCoverage: null
+        })
+      ]);
+    });
+  });
+
+  describe('parseCoverageResults', () => {
+    it('should keep the executed and missed lines of each source file', async () => {
+      writeFile(
+        'target/site/jacoco/jacoco.xml',
+        `<report name="app">
+  <package name="com/example">
+    <sourcefile name="Calculator.java">
+      <line nr="3" mi="0" ci="4" mb="0" cb="0"/>
+      <line nr="5" mi="2" ci="0" mb="1" cb="1"/>
+      <line nr="7" mi="0" ci="0" mb="0" cb="0"/>
+      <counter type="LINE" missed="1" covered="1"/>
+    </sourcefile>
+  </package>
+  <counter type="LINE" missed="1" covered="1"/>
+</report>`
+      );
+
+      const coverage = await processor.parseCoverageResults();
+
+      expect(coverage.lineCoverage).toBe('50.00');
+      expect(coverage.modules[0].sourceFiles).toEqual({
+        'com/example/Calculator.java': { 3: true, 5: false }
+      });
+    });
+
+    it('should not measure branch coverage of code without branches', async () => {
+      writeFile(
+        'target/site/jacoco/jacoco.xml',
+        `<report name="app">
+  <counter type="INSTRUCTION" missed="0" covered="12"/>
+  <counter type="LINE" missed="0" covered="4"/>
+</report>`
+      );
+
+      const coverage = await processor.parseCoverageResults();
+
+      expect(coverage.lineCoverage).toBe('100.00');
+      expect(coverage.branchCoverage).toBeNull();
+      expect(coverage.modules[0].branchCoverage).toBeNull();
+    });
+  });
+
+  describe('coverage breakdown', () => {
+    const jacoco = `<report name="app">
+  <package name="com/example/web">
+    <class name="com/example/web/Controller"><counter type="LINE" missed="8" covered="2"/></class>
+    <class name="com/example/web/Api"><counter type="INSTRUCTION" missed="0" covered="1"/></class>
+    <counter type="LINE" missed="8" covered="2"/>
+  </package>
+  <package name="com/example/core">
+    <class name="com/example/core/Big"><counter type="LINE" missed="40" covered="60"/></class>
+    <class name="com/example/core/Small"><counter type="LINE" missed="4" covered="6"/></class>
+    <counter type="LINE" missed="44" covered="66"/>
+  </package>
+  <counter type="LINE" missed="52" covered="68"/>
+</report>`;
+
+    it('should rank packages and classes from least to most covered', async () => {
+      writeFile('target/site/jacoco/jacoco.xml', jacoco);
+
+      const coverage = await processor.parseCoverageResults();
+
+      expect(coverage.packages.map((pkg) => [pkg.name, pkg.lineCoverage])).toEqual([
+        ['com.example.web', '20.00'],
+        ['com.example.core', '60.00']
+      ]);
+      expect(coverage.classes.map((cls) => [cls.name, cls.missedLines])).toEqual([
+        ['com.example.web.Controller', 8],
+        ['com.example.core.Big', 40],
+        ['com.example.core.Small', 4]
+      ]);
+    });
+
+    it('should write a coverage summary without per-line data', async () => {
+      writeFile('target/site/jacoco/jacoco.xml', jacoco);
+      processor = new TestProcessor({ workingDirectory: projectDir, generateCoverage: true });
+
+      await processor.process();
+
+      const summary = JSON.parse(
+        fs.readFileSync(path.join(projectDir, 'target', 'coverage-summary.json'), 'utf8')
+      );
+      expect(summary).toMatchObject({ format: 'jacoco', lineCoverage: '56.67' });
+      expect(summary.classes).toHaveLength(3);
+      expect(summary.modules[0]).not.toHaveProperty('sourceFiles');
+    });
+  });
+
+  describe('process', () => {
+    it('should report Failsafe integration tests separately', async () => {
+      writeFile(
+        'target/surefire-reports/TEST-com.example.OneTest.xml',
+        '<testsuite name="com.example.OneTest" tests="1" failures="0" errors="0" skipped="0" time="0.1">' +
+          '<testcase name="works" classname="com.example.OneTest" time="0.1"/></testsuite>'
+      );
+      writeFile('target/failsafe-reports/TEST-com.example.CalculatorIT.xml', failingSuite);
+
+      const results = await processor.process();
+
+      expect(results.totalTests).toBe(1);
+      expect(results.integrationTests.totalTests).toBe(3);
+      expect(results.integrationTests.failedTests).toHaveLength(2);
+      expect(core.error).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          title: 'Integration test failure: com.example.CalculatorTest.divides'
+        })
+      );
+      expect(core.warning).toHaveBeenCalledWith('2 integration test(s) failed');
+    });
+
+    it('should not report integration tests when Failsafe did not run', async () => {
+      writeFile('target/surefire-reports/TEST-com.example.CalculatorTest.xml', failingSuite);
+
+      const results = await processor.process();
+
+      expect(results.integrationTests).toBeNull();
+      expect(core.warning).not.toHaveBeenCalledWith(expect.stringContaining('failsafe-reports'));
+    });
+  });
+
+  describe('publishTestResults', () => {
+    it('should annotate each failed test at its source line', async () => {
+      writeFile('target/surefire-reports/TEST-com.example.CalculatorTest.xml', failingSuite);
+      writeFile('src/test/java/com/example/CalculatorTest.java', 'class CalculatorTest {}');
+
+      await processor.process();
+
+      expect(core.error).toHaveBeenCalledTimes(2);
+      expect(core.error).toHaveBeenCalledWith(
+        expect.stringContaining('expected: <2> but was: <3>'),
+        {
+          title: 'Test failure: com.example.CalculatorTest.divides',
+          file: 'src/test/java/com/example/CalculatorTest.java',
+          startLine: 27
+        }
+      );
+      expect(core.warning).toHaveBeenCalledWith('2 test(s) failed');
+    });
+
+    it('should not annotate when publishing is disabled', async () => {
+      writeFile('target/surefire-reports/TEST-com.example.CalculatorTest.xml', failingSuite);
+      processor = new TestProcessor({ workingDirectory: projectDir, publishTestResults: false });
+
+      const results = await processor.process();
+
+      expect(results.failedTests).toHaveLength(2);
+      expect(core.error).not.toHaveBeenCalled();
+    });
+  });
+});
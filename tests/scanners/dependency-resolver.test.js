@@ -0,0 +1,134 @@
+const exec = require('@actions/exec');
+const { DependencyResolver } = require('../../src/scanners/dependency-resolver');
+const { MavenExecutor } = require('../../src/executors/maven-executor');
+
+// Mock dependencies
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+const dependencyTree = `[INFO] --- dependency:3.6.1:tree (default-cli) @ app ---
+[INFO] com.example:app:jar:1.0.0
+[INFO] +- com.fasterxml.jackson.core:jackson-databind:jar:2.9.8:compile
+[INFO] |  +- com.fasterxml.jackson.core:jackson-annotations:jar:2.9.0:compile
+[INFO] |  \\- com.fasterxml.jackson.core:jackson-core:jar:2.9.8:compile
+[INFO] +- io.netty:netty-transport-native-epoll:jar:linux-x86_64:4.1.100.Final:runtime
+[INFO] \\- junit:junit:jar:4.12:test
+[INFO]    \\- org.hamcrest:hamcrest-core:jar:1.3:test
+[INFO] ------------------------------------------------------------------------
+[INFO] --- dependency:3.6.1:tree (default-cli) @ api ---
+[INFO] com.example:api:jar:1.0.0
+[INFO] \\- com.fasterxml.jackson.core:jackson-databind:jar:2.9.8:compile
+`;
+
+describe('DependencyResolver', () => {
+  let resolver;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exec.exec.mockImplementation(async (command, args, options) => {
+      options.listeners.stdout(Buffer.from(dependencyTree));
+      return 0;
+    });
+    resolver = new DependencyResolver({ workingDirectory: '/project' });
+  });
+
+  describe('resolve', () => {
+    it('should run dependency:tree once for all scanners', async () => {
+      const [first, second] = await Promise.all([resolver.resolve(), resolver.resolve()]);
+
+      expect(exec.exec).toHaveBeenCalledTimes(1);
+      expect(exec.exec).toHaveBeenCalledWith(
+        'mvn',
+        ['-B', 'dependency:tree'],
+        expect.objectContaining({ cwd: '/project' })
+      );
+      expect(second).toBe(first);
+    });
+
+    it('should run Maven with the command, settings file and arguments of the build', async () => {
+      const inputs = {
+        workingDirectory: '/project',
+        settingsFile: '.mvn/settings.xml',
+        mavenArgs: '-Dmaven.repo.local=/cache/m2 -U'
+      };
+      const mavenExecutor = new MavenExecutor(inputs);
+      mavenExecutor.mavenCommand = '/project/mvnw';
+
+      await new DependencyResolver(inputs, mavenExecutor).resolve();
+
+      expect(exec.exec).toHaveBeenCalledWith(
+        '/project/mvnw',
+        ['-B', 'dependency:tree', '-s', '.mvn/settings.xml', '-Dmaven.repo.local=/cache/m2', '-U'],
+        expect.objectContaining({ cwd: '/project' })
+      );
+    });
+
+    it('should retry after a failed resolution', async () => {
+      exec.exec.mockResolvedValueOnce(1);
+
+      await expect(resolver.resolve()).rejects.toThrow('dependency:tree failed with exit code 1');
+      expect(await resolver.resolve()).toHaveLength(4);
+    });
+  });
+
+  describe('parseDependencyTree', () => {
+    it('should keep the direct dependency of transitive ones and leave out test scope', () => {
+      const dependencies = resolver.parseDependencyTree(dependencyTree);
+
+      expect(dependencies.map((dependency) => dependency.artifactId)).toEqual([
+        'jackson-databind',
+        'jackson-annotations',
+        'jackson-core',
+        'netty-transport-native-epoll'
+      ]);
+      expect(dependencies[1].directDependency).toEqual({
+        groupId: 'com.fasterxml.jackson.core',
+        artifactId: 'jackson-databind'
+      });
+      expect(dependencies[3]).toMatchObject({ version: '4.1.100.Final', scope: 'runtime' });
+    });
+  });
+
+  describe('resolveModules', () => {
+    it('should list the unique non-test dependencies of each module', async () => {
+      const modules = await resolver.resolveModules();
+
+      expect([...modules.keys()]).toEqual(['com.example:app:1.0.0', 'com.example:api:1.0.0']);
+      expect(
+        modules.get('com.example:app:1.0.0').map((dependency) => dependency.artifactId)
+      ).toEqual([
+        'jackson-databind',
+        'jackson-annotations',
+        'jackson-core',
+        'netty-transport-native-epoll'
+      ]);
+      expect(modules.get('com.example:api:1.0.0')).toEqual([
+        {
+          groupId: 'com.fasterxml.jackson.core',
+          artifactId: 'jackson-databind',
+          version: '2.9.8',
+          scope: 'compile'
+        }
+      ]);
+    });
+
+    it('should share the dependency:tree run with resolve', async () => {
+      await resolver.resolve();
+      await resolver.resolveModules();
+
+      expect(exec.exec).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getLocalRepository', () => {
+    it('should ask Maven for the local repository', async () => {
+      exec.exec.mockImplementation(async (command, args, options) => {
+        options.listeners.stdout(Buffer.from('/home/runner/.m2/repository'));
+        return 0;
+      });
+
+      expect(await resolver.getLocalRepository()).toBe('/home/runner/.m2/repository');
+      expect(exec.exec.mock.calls[0][1]).toContain('-Dexpression=settings.localRepository');
+    });
+  });
+});
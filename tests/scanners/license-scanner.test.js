@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LicenseScanner } = require('../../src/scanners/license-scanner');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+describe('LicenseScanner', () => {
+  let repository;
+  let dependencyResolver;
+
+  const writePom = (groupId, artifactId, version, content) => {
+    const directory = path.join(repository, ...groupId.split('.'), artifactId, version);
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(
+      path.join(directory, `${artifactId}-${version}.pom`),
+      `<project>${content}</project>`
+    );
+  };
+
+  const license = (name, url = '') =>
+    `<licenses><license><name>${name}</name><url>${url}</url></license></licenses>`;
+
+  const createScanner = (inputs) =>
+    new LicenseScanner({ workingDirectory: repository, ...inputs }, dependencyResolver);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    repository = fs.mkdtempSync(path.join(os.tmpdir(), 'license-scanner-'));
+
+    writePom(
+      'com.fasterxml.jackson.core',
+      'jackson-databind',
+      '2.9.8',
+      license('The Apache Software License, Version 2.0')
+    );
+    writePom(
+      'org.example',
+      'child',
+      '1.0',
+      '<parent><groupId>org.example</groupId><artifactId>parent</artifactId><version>2.0</version></parent>'
+    );
+    writePom('org.example', 'parent', '2.0', license('GNU General Public License, version 3'));
+    writePom('org.unknown', 'nolicense', '1.0', '');
+
+    dependencyResolver = {
+      resolve: jest.fn().mockResolvedValue([
+        { groupId: 'com.fasterxml.jackson.core', artifactId: 'jackson-databind', version: '2.9.8' },
+        { groupId: 'org.example', artifactId: 'child', version: '1.0' },
+        { groupId: 'org.unknown', artifactId: 'nolicense', version: '1.0' }
+      ]),
+      getLocalRepository: jest.fn().mockResolvedValue(repository)
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(repository, { recursive: true, force: true });
+  });
+
+  describe('scan', () => {
+    it('should report denied licenses inherited from parent POMs', async () => {
+      const results = await createScanner({ deniedLicenses: ['GPL-3.0'] }).scan();
+
+      expect(results).toMatchObject({ dependencies: 3, unknown: 1, passed: false });
+      expect(results.violations).toEqual([
+        expect.objectContaining({
+          artifactId: 'child',
+          licenses: [{ name: 'GNU General Public License, version 3', id: 'GPL-3.0' }],
+          reason: 'Denied'
+        })
+      ]);
+    });
+
+    it('should report licenses missing from the allow list and dependencies without license', async () => {
+      const results = await createScanner({ allowedLicenses: ['Apache-2.0', 'MIT'] }).scan();
+
+      expect(results.violations.map(({ artifactId, reason }) => [artifactId, reason])).toEqual([
+        ['child', 'Not allowed'],
+        ['nolicense', 'No license found']
+      ]);
+    });
+
+    it('should combine the inputs with the policy file and skip ignored dependencies', async () => {
+      fs.writeFileSync(
+        path.join(repository, 'license-policy.json'),
+        JSON.stringify({ allowed: ['Apache License 2.0'], ignored: ['org.unknown:*'] })
+      );
+
+      const results = await createScanner({
+        allowedLicenses: ['GPL-3.0'],
+        licensePolicyFile: 'license-policy.json'
+      }).scan();
+
+      expect(results).toMatchObject({ dependencies: 2, violations: [], passed: true });
+    });
+
+    it('should return null when the policy file cannot be read', async () => {
+      expect(await createScanner({ licensePolicyFile: 'missing.json' }).scan()).toBeNull();
+    });
+  });
+
+  describe('checkLicenses', () => {
+    it('should accept dual-licensed dependencies when any license is acceptable', () => {
+      const scanner = createScanner({});
+      const licenses = [
+        { name: 'CDDL 1.1', id: 'CDDL-1.1' },
+        { name: 'GPL2 w/ CPE', id: 'GPL-2.0' }
+      ];
+
+      expect(scanner.checkLicenses(licenses, { allowed: [], denied: ['GPL-2.0'] })).toBeNull();
+      expect(
+        scanner.checkLicenses(licenses, { allowed: [], denied: ['GPL-2.0', 'CDDL-1.1'] })
+      ).toBe('Denied');
+    });
+  });
+
+  describe('toSpdxId', () => {
+    it('should recognize common license names and URLs', () => {
+      const scanner = createScanner({});
+
+      expect(scanner.toSpdxId('Apache License, Version 2.0')).toBe('Apache-2.0');
+      expect(
+        scanner.toSpdxId('Apache License', 'https://www.apache.org/licenses/LICENSE-2.0')
+      ).toBe('Apache-2.0');
+      expect(scanner.toSpdxId('The MIT License')).toBe('MIT');
+      expect(scanner.toSpdxId('Eclipse Public License - v 2.0')).toBe('EPL-2.0');
+      expect(scanner.toSpdxId('GNU Lesser General Public License')).toBe('LGPL-2.1');
+      expect(scanner.toSpdxId('Custom License')).toBe('Custom License');
+    });
+  });
+});
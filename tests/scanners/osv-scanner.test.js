@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const exec = require('@actions/exec');
+const { OsvScanner } = require('../../src/scanners/osv-scanner');
+
+// Mock dependencies
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+const dependencyTree = `[INFO] --- dependency:3.6.1:tree (default-cli) @ app ---
+[INFO] com.example:app:jar:1.0.0
+[INFO] +- com.fasterxml.jackson.core:jackson-databind:jar:2.9.8:compile
+[INFO] |  +- com.fasterxml.jackson.core:jackson-annotations:jar:2.9.0:compile
+[INFO] |  \\- com.fasterxml.jackson.core:jackson-core:jar:2.9.8:compile
+[INFO] +- org.yaml:snakeyaml:jar:1.33:runtime
+[INFO] \\- junit:junit:jar:4.12:test
+[INFO]    \\- org.hamcrest:hamcrest-core:jar:1.3:test
+[INFO] ------------------------------------------------------------------------
+`;
+
+describe('OsvScanner', () => {
+  let projectDir;
+  let scanner;
+
+  const writeAdvisory = (advisory) =>
+    fs.writeFileSync(path.join(projectDir, 'osv', `${advisory.id}.json`), JSON.stringify(advisory));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osv-scanner-'));
+    fs.mkdirSync(path.join(projectDir, 'osv'));
+
+    writeAdvisory({
+      id: 'GHSA-cmfg-87vq-g5g4',
+      aliases: ['CVE-2019-12086'],
+      summary: 'Information exposure in jackson-databind',
+      database_specific: { severity: 'HIGH' },
+      affected: [
+        {
+          package: { ecosystem: 'Maven', name: 'com.fasterxml.jackson.core:jackson-databind' },
+          ranges: [
+            {
+              type: 'ECOSYSTEM',
+              events: [{ introduced: '2.9.0' }, { fixed: '2.9.9' }]
+            }
+          ]
+        }
+      ],
+      references: [{ type: 'ADVISORY', url: 'https://nvd.nist.gov/vuln/detail/CVE-2019-12086' }]
+    });
+    writeAdvisory({
+      id: 'GHSA-w37g-rhq8-7m4j',
+      aliases: ['CVE-2017-18640'],
+      database_specific: { severity: 'MODERATE' },
+      affected: [
+        {
+          package: { ecosystem: 'Maven', name: 'org.yaml:snakeyaml' },
+          ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '0' }, { fixed: '1.26' }] }]
+        }
+      ]
+    });
+    writeAdvisory({
+      id: 'GHSA-269g-pwp5-87pp',
+      database_specific: { severity: 'MODERATE' },
+      affected: [
+        {
+          package: { ecosystem: 'Maven', name: 'junit:junit' },
+          versions: ['4.12']
+        }
+      ]
+    });
+
+    exec.exec.mockImplementation(async (command, args, options) => {
+      options.listeners.stdout(Buffer.from(dependencyTree));
+      return 0;
+    });
+
+    scanner = new OsvScanner({ workingDirectory: projectDir, osvDatabase: 'osv' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('scan', () => {
+    it('should report dependencies in affected version ranges', async () => {
+      const results = await scanner.scan();
+
+      expect(exec.exec).toHaveBeenCalledWith(
+        'mvn',
+        ['-B', 'dependency:tree'],
+        expect.objectContaining({ cwd: projectDir })
+      );
+      expect(results).toMatchObject({
+        vulnerabilities: 1,
+        criticalSeverity: 0,
+        highSeverity: 1,
+        mediumSeverity: 0,
+        dependencies: 4
+      });
+      expect(results.details[0]).toMatchObject({
+        id: 'GHSA-cmfg-87vq-g5g4',
+        cve: 'CVE-2019-12086',
+        severity: 'high',
+        groupId: 'com.fasterxml.jackson.core',
+        artifactId: 'jackson-databind',
+        version: '2.9.8',
+        directDependency: null,
+        references: ['https://nvd.nist.gov/vuln/detail/CVE-2019-12086']
+      });
+    });
+
+    it('should count critical advisories separately from high ones', async () => {
+      writeAdvisory({
+        id: 'GHSA-mjmj-j48q-9wg2',
+        aliases: ['CVE-2022-1471'],
+        database_specific: { severity: 'CRITICAL' },
+        affected: [
+          {
+            package: { ecosystem: 'Maven', name: 'org.yaml:snakeyaml' },
+            ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '0' }, { fixed: '2.0' }] }]
+          }
+        ]
+      });
+
+      const results = await scanner.scan();
+
+      expect(results).toMatchObject({ vulnerabilities: 2, criticalSeverity: 1, highSeverity: 1 });
+    });
+
+    it('should skip the scan without a database', async () => {
+      expect(await new OsvScanner({ workingDirectory: projectDir }).scan()).toBeNull();
+      expect(exec.exec).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the dependency tree cannot be resolved', async () => {
+      exec.exec.mockResolvedValue(1);
+
+      await expect(scanner.scan()).rejects.toThrow();
+    });
+  });
+
+  describe('isInRange', () => {
+    it('should replay introduced, fixed and last_affected events', () => {
+      const events = [
+        { introduced: '1.0' },
+        { fixed: '1.5' },
+        { introduced: '2.0-beta1' },
+        { last_affected: '2.3' }
+      ];
+
+      expect(scanner.isInRange('0.9', events)).toBe(false);
+      expect(scanner.isInRange('1.4.2', events)).toBe(true);
+      expect(scanner.isInRange('1.5', events)).toBe(false);
+      expect(scanner.isInRange('2.0', events)).toBe(true);
+      expect(scanner.isInRange('2.3', events)).toBe(true);
+      expect(scanner.isInRange('2.3.1', events)).toBe(false);
+    });
+  });
+});
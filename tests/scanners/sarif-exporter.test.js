@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SarifExporter } = require('../../src/scanners/sarif-exporter');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+const pom = `<project>
+  <dependencies>
+    <dependency>
+      <groupId>com.fasterxml.jackson.core</groupId>
+      <artifactId>jackson-databind</artifactId>
+      <version>2.9.8</version>
+    </dependency>
+    <dependency>
+      <groupId>org.springframework</groupId>
+      <artifactId>spring-web</artifactId>
+      <version>5.0.0.RELEASE</version>
+      <exclusions>
+        <exclusion>
+          <groupId>org.yaml</groupId>
+          <artifactId>snakeyaml</artifactId>
+        </exclusion>
+      </exclusions>
+    </dependency>
+  </dependencies>
+</project>
+`;
+
+describe('SarifExporter', () => {
+  let projectDir;
+  let exporter;
+
+  const jacksonFinding = {
+    id: 'SNYK-JAVA-COMFASTERXMLJACKSONCORE-72882',
+    cve: 'CVE-2019-12086',
+    title: 'Deserialization of Untrusted Data',
+    severity: 'high',
+    groupId: 'com.fasterxml.jackson.core',
+    artifactId: 'jackson-databind',
+    version: '2.9.8',
+    cvssScore: 7.5,
+    references: []
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sarif-exporter-'));
+    fs.writeFileSync(path.join(projectDir, 'pom.xml'), pom);
+    process.env.GITHUB_WORKSPACE = projectDir;
+
+    exporter = new SarifExporter(
+      { workingDirectory: projectDir },
+      { findModuleDirectories: jest.fn().mockResolvedValue([projectDir]) }
+    );
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_WORKSPACE;
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('write', () => {
+    it('should write one rule per CVE located at the dependency declaration', async () => {
+      const sarifPath = await exporter.write({ snyk: { details: [jacksonFinding] } });
+
+      expect(sarifPath).toBe(path.join(projectDir, 'target', 'dependency-vulnerabilities.sarif'));
+      const sarif = JSON.parse(fs.readFileSync(sarifPath, 'utf8'));
+      expect(sarif.version).toBe('2.1.0');
+
+      const [run] = sarif.runs;
+      expect(run.tool.driver.rules).toEqual([
+        expect.objectContaining({
+          id: 'CVE-2019-12086',
+          helpUri: 'https://nvd.nist.gov/vuln/detail/CVE-2019-12086',
+          defaultConfiguration: { level: 'error' },
+          properties: expect.objectContaining({ 'security-severity': '7.5' })
+        })
+      ]);
+      expect(run.results).toEqual([
+        expect.objectContaining({
+          ruleId: 'CVE-2019-12086',
+          level: 'error',
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: 'pom.xml' },
+                region: { startLine: 3, endLine: 7 }
+              }
+            }
+          ]
+        })
+      ]);
+    });
+
+    it('should report a vulnerability found by several scanners once', async () => {
+      const sarifPath = await exporter.write({
+        owasp: { details: [{ ...jacksonFinding, id: 'CVE-2019-12086' }] },
+        snyk: { details: [jacksonFinding] }
+      });
+
+      const [run] = JSON.parse(fs.readFileSync(sarifPath, 'utf8')).runs;
+      expect(run.results).toHaveLength(1);
+      expect(run.results[0].message.text).toContain('reported by owasp');
+    });
+  });
+
+  describe('createSarif', () => {
+    it('should map severities to SARIF levels', async () => {
+      const sarif = await exporter.createSarif(
+        ['critical', 'medium', 'low'].map((severity, index) => ({
+          ...jacksonFinding,
+          ruleId: `CVE-2020-000${index}`,
+          severity,
+          cvssScore: undefined
+        }))
+      );
+
+      const [run] = sarif.runs;
+      expect(run.results.map((result) => result.level)).toEqual(['error', 'warning', 'note']);
+      expect(run.tool.driver.rules.map((rule) => rule.properties['security-severity'])).toEqual([
+        '9.5',
+        '5.5',
+        '2.0'
+      ]);
+    });
+  });
+
+  describe('findDeclaration', () => {
+    it('should locate a transitive dependency at the direct dependency pulling it in', async () => {
+      const poms = await exporter.readPoms([path.join(projectDir, 'pom.xml')]);
+
+      const location = exporter.findDeclaration(
+        {
+          groupId: 'org.springframework',
+          artifactId: 'spring-core',
+          directDependency: { groupId: 'org.springframework', artifactId: 'spring-web' }
+        },
+        poms
+      );
+
+      expect(location.physicalLocation.region).toEqual({ startLine: 8, endLine: 18 });
+    });
+
+    it('should not match artifacts excluded from a dependency', async () => {
+      const poms = await exporter.readPoms([path.join(projectDir, 'pom.xml')]);
+
+      const location = exporter.findDeclaration(
+        { groupId: 'org.yaml', artifactId: 'snakeyaml' },
+        poms
+      );
+
+      expect(location.physicalLocation).toEqual({
+        artifactLocation: { uri: 'pom.xml' },
+        region: { startLine: 1 }
+      });
+    });
+  });
+});
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const exec = require('@actions/exec');
+const { SecurityScanner } = require('../../src/scanners/security-scanner');
+
+// Mock dependencies
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+describe('SecurityScanner', () => {
+  let projectDir;
+
+  const cacheManager = { findModuleDirectories: jest.fn().mockResolvedValue([]) };
+
+  const owaspReport = {
+    dependencies: [
+      {
+        fileName: 'jackson-databind-2.9.8.jar',
+        packages: [{ id: 'pkg:maven/com.fasterxml.jackson.core/jackson-databind@2.9.8' }],
+        vulnerabilities: [
+          { name: 'CVE-2019-12086', severity: 'HIGH', cvssv3: { baseScore: 7.5 } },
+          { name: 'CVE-2019-12814', severity: 'MEDIUM', cvssv3: { baseScore: 5.9 } }
+        ]
+      }
+    ]
+  };
+
+  const createScanner = (inputs = {}) =>
+    new SecurityScanner({ workingDirectory: projectDir, ...inputs }, cacheManager);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-scanner-'));
+    fs.mkdirSync(path.join(projectDir, 'target'));
+    fs.writeFileSync(
+      path.join(projectDir, 'target', 'dependency-check-report.json'),
+      JSON.stringify(owaspReport)
+    );
+    exec.exec.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('scan', () => {
+    it('should run only the selected scanners with the suppression file', async () => {
+      const scanner = createScanner({
+        securityScanners: ['owasp'],
+        securitySuppressionFile: 'owasp-suppressions.xml'
+      });
+
+      const results = await scanner.scan();
+
+      expect(exec.exec).toHaveBeenCalledTimes(1);
+      expect(exec.exec).toHaveBeenCalledWith(
+        'mvn',
+        [
+          'org.owasp:dependency-check-maven:aggregate',
+          '-Dformats=HTML,JSON',
+          `-DsuppressionFile=${path.join(projectDir, 'owasp-suppressions.xml')}`,
+          '-B',
+          '-V'
+        ],
+        expect.objectContaining({ cwd: projectDir })
+      );
+      expect(results.snyk).toBeNull();
+      expect(results.owasp.vulnerabilities).toBe(2);
+      expect(results.failedScanners).toEqual([]);
+    });
+
+    it('should run OWASP through the Maven Wrapper with the settings file and Maven arguments', async () => {
+      const scanner = createScanner({
+        securityScanners: ['owasp'],
+        settingsFile: 'ci-settings.xml',
+        mavenArgs: '-Dproxy=true'
+      });
+      scanner.mavenExecutor.mavenCommand = './mvnw';
+      scanner.mavenExecutor.projectList = ['core'];
+
+      await scanner.scan();
+
+      expect(exec.exec).toHaveBeenCalledWith(
+        './mvnw',
+        [
+          'org.owasp:dependency-check-maven:aggregate',
+          '-s',
+          'ci-settings.xml',
+          '-Dformats=HTML,JSON',
+          '-Dproxy=true',
+          '-B',
+          '-V'
+        ],
+        expect.anything()
+      );
+      expect(scanner.mavenExecutor.projectList).toEqual(['core']);
+    });
+
+    it('should count critical findings', async () => {
+      fs.writeFileSync(
+        path.join(projectDir, 'target', 'dependency-check-report.json'),
+        JSON.stringify({
+          dependencies: [
+            {
+              fileName: 'log4j-core-2.14.1.jar',
+              vulnerabilities: [{ name: 'CVE-2021-44228', severity: 'CRITICAL' }]
+            }
+          ]
+        })
+      );
+      const scanner = createScanner({ securityScanners: ['owasp'] });
+
+      const results = await scanner.scan();
+
+      expect(results.owasp).toMatchObject({ criticalSeverity: 1, highSeverity: 0 });
+      expect(scanner.generateSecuritySummary(results)).toContain('- Critical Severity: 1');
+    });
+
+    it('should record OWASP as failed when its report is missing', async () => {
+      fs.rmSync(path.join(projectDir, 'target', 'dependency-check-report.json'));
+      const scanner = createScanner({ securityScanners: ['owasp'] });
+
+      const results = await scanner.scan();
+
+      expect(results.owasp).toBeNull();
+      expect(results.failedScanners).toEqual([
+        { scanner: 'owasp', error: expect.stringContaining('Could not read OWASP report') }
+      ]);
+      expect(scanner.describeScanFailures(results)).toMatch(
+        /^Security scan incomplete, vulnerabilities could not be checked by: owasp \(Could not read OWASP report/
+      );
+    });
+
+    it('should record OWASP as failed when Maven fails', async () => {
+      exec.exec.mockResolvedValue(1);
+      const scanner = createScanner({ securityScanners: ['owasp'] });
+
+      const results = await scanner.scan();
+
+      expect(results.failedScanners).toEqual([
+        { scanner: 'owasp', error: expect.stringContaining('failed with exit code 1') }
+      ]);
+    });
+
+    it('should include the findings of the OSV scanner', async () => {
+      const scanner = createScanner({ securityScanners: ['osv'] });
+      scanner.osvScanner.scan = jest.fn().mockResolvedValue({
+        vulnerabilities: 1,
+        details: [{ id: 'GHSA-cmfg-87vq-g5g4', cve: 'CVE-2019-12086', severity: 'high' }]
+      });
+
+      const results = await scanner.scan();
+
+      expect(exec.exec).not.toHaveBeenCalled();
+      expect(results.totalIssues).toBe(1);
+      expect(results.blockingVulnerabilities).toEqual([
+        expect.objectContaining({ ruleId: 'CVE-2019-12086', scanner: 'osv' })
+      ]);
+    });
+
+    it('should report the vulnerabilities at or above the CVSS threshold', async () => {
+      const results = await createScanner({ securityScanners: ['owasp'] }).scan();
+
+      expect(results.threshold).toBe('7');
+      expect(results.blockingVulnerabilities.map((finding) => finding.ruleId)).toEqual([
+        'CVE-2019-12086'
+      ]);
+    });
+
+    it('should accept a severity as threshold', async () => {
+      const results = await createScanner({
+        securityScanners: ['owasp'],
+        securityThreshold: 'medium'
+      }).scan();
+
+      expect(results.blockingVulnerabilities).toHaveLength(2);
+    });
+
+    it('should only block findings missing from the baseline', async () => {
+      fs.writeFileSync(
+        path.join(projectDir, 'baseline.json'),
+        JSON.stringify({
+          findings: [
+            {
+              ruleId: 'CVE-2019-12086',
+              groupId: 'com.fasterxml.jackson.core',
+              artifactId: 'jackson-databind'
+            },
+            {
+              ruleId: 'CVE-2018-7489',
+              groupId: 'com.fasterxml.jackson.core',
+              artifactId: 'jackson-databind'
+            }
+          ]
+        })
+      );
+
+      const results = await createScanner({
+        securityScanners: ['owasp'],
+        securityThreshold: 'medium',
+        securityBaseline: 'baseline.json'
+      }).scan();
+
+      expect(results.blockingVulnerabilities.map((finding) => finding.ruleId)).toEqual([
+        'CVE-2019-12814'
+      ]);
+      expect(results.baseline.existing.map((finding) => finding.ruleId)).toEqual([
+        'CVE-2019-12086'
+      ]);
+      expect(results.baseline.fixed.map((finding) => finding.ruleId)).toEqual(['CVE-2018-7489']);
+    });
+  });
+
+  describe('getScore', () => {
+    it('should rate a finding without CVSS score by its severity', () => {
+      const scanner = createScanner();
+
+      expect(scanner.getScore({ cvssScore: 5.3, severity: 'critical' })).toBe(5.3);
+      expect(scanner.getScore({ severity: 'CRITICAL' })).toBe(9.0);
+      expect(scanner.getScore({})).toBe(0);
+    });
+  });
+
+  describe('generateSecuritySummary', () => {
+    it('should list the vulnerabilities at or above the threshold', async () => {
+      const scanner = createScanner({ securityScanners: ['owasp'] });
+
+      const summary = scanner.generateSecuritySummary(await scanner.scan());
+
+      expect(summary).toContain('### Vulnerabilities at or above the threshold (7)');
+      expect(summary).toContain(
+        '| CVE-2019-12086 | com.fasterxml.jackson.core:jackson-databind:2.9.8 | HIGH | 7.5 | owasp |'
+      );
+      expect(summary).not.toContain('CVE-2019-12814 |');
+    });
+
+    it('should list the findings fixed since the baseline', () => {
+      const summary = createScanner().generateSecuritySummary({
+        totalIssues: 0,
+        threshold: '7',
+        blockingVulnerabilities: [],
+        baseline: {
+          new: [],
+          existing: [],
+          fixed: [
+            {
+              ruleId: 'CVE-2018-7489',
+              groupId: 'com.fasterxml.jackson.core',
+              artifactId: 'jackson-databind',
+              version: '2.9.4',
+              severity: 'CRITICAL'
+            }
+          ]
+        }
+      });
+
+      expect(summary).toContain('- Fixed: 1');
+      expect(summary).toContain('### 🎉 Fixed since the baseline');
+      expect(summary).toContain(
+        '| CVE-2018-7489 | com.fasterxml.jackson.core:jackson-databind:2.9.4 | CRITICAL |'
+      );
+    });
+
+    it('should describe blocking findings as new with a baseline', () => {
+      const description = createScanner().describeBlockingVulnerabilities({
+        threshold: '7',
+        blockingVulnerabilities: [{ ruleId: 'CVE-2019-12814' }],
+        baseline: { new: [], existing: [], fixed: [] }
+      });
+
+      expect(description).toBe(
+        '1 new vulnerable dependencies at or above the security threshold of 7: CVE-2019-12814'
+      );
+    });
+  });
+});
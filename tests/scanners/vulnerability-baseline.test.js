@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cache = require('@actions/cache');
+const { VulnerabilityBaseline } = require('../../src/scanners/vulnerability-baseline');
+
+// Mock dependencies
+jest.mock('@actions/core');
+jest.mock('@actions/cache');
+
+const core = require('@actions/core');
+
+describe('VulnerabilityBaseline', () => {
+  let projectDir;
+
+  const finding = (ruleId, artifactId, version) => ({
+    ruleId,
+    groupId: 'org.example',
+    artifactId,
+    version,
+    severity: 'high',
+    scanner: 'owasp'
+  });
+
+  const createBaseline = (inputs = {}) =>
+    new VulnerabilityBaseline({
+      workingDirectory: projectDir,
+      securityBaseline: 'baseline.json',
+      ...inputs
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vulnerability-baseline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('load', () => {
+    it('should not load a baseline when none is configured', async () => {
+      expect(await createBaseline({ securityBaseline: '' }).load()).toBeNull();
+    });
+
+    it('should treat a missing baseline file as empty', async () => {
+      expect(await createBaseline().load()).toEqual([]);
+    });
+
+    it('should warn and skip an invalid baseline file', async () => {
+      fs.writeFileSync(path.join(projectDir, 'baseline.json'), '[]');
+
+      expect(await createBaseline().load()).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Could not read vulnerability baseline')
+      );
+    });
+
+    it('should restore the latest cached baseline when enabled', async () => {
+      const baseline = createBaseline({ securityBaselineCache: true });
+      const baselinePath = path.join(projectDir, 'baseline.json');
+      const prefix = baseline.getCacheKeyPrefix(baselinePath);
+      cache.restoreCache.mockImplementation(async () => {
+        fs.writeFileSync(baselinePath, JSON.stringify({ findings: [finding('CVE-1', 'lib')] }));
+        return `${prefix}41-1`;
+      });
+
+      const findings = await baseline.load();
+
+      expect(cache.restoreCache).toHaveBeenCalledWith(
+        [baselinePath],
+        expect.stringMatching(new RegExp(`^${prefix}`)),
+        [prefix]
+      );
+      expect(findings).toHaveLength(1);
+    });
+
+    it('should keep a committed baseline instead of restoring the cached one', async () => {
+      fs.writeFileSync(
+        path.join(projectDir, 'baseline.json'),
+        JSON.stringify({ findings: [finding('CVE-1', 'lib'), finding('CVE-2', 'lib')] })
+      );
+
+      const findings = await createBaseline({ securityBaselineCache: true }).load();
+
+      expect(cache.restoreCache).not.toHaveBeenCalled();
+      expect(findings).toHaveLength(2);
+    });
+  });
+
+  describe('classify', () => {
+    it('should classify findings as new, existing or fixed regardless of version', () => {
+      const baseline = createBaseline();
+
+      const result = baseline.classify(
+        [finding('CVE-1', 'lib', '1.1'), finding('CVE-2', 'lib', '1.1')],
+        [finding('CVE-1', 'lib', '1.0'), finding('CVE-3', 'other', '2.0')]
+      );
+
+      expect(result.new.map((f) => f.ruleId)).toEqual(['CVE-2']);
+      expect(result.existing.map((f) => f.ruleId)).toEqual(['CVE-1']);
+      expect(result.fixed.map((f) => f.ruleId)).toEqual(['CVE-3']);
+    });
+  });
+
+  describe('save', () => {
+    it('should write the findings and save them to the cache when enabled', async () => {
+      const baseline = createBaseline({ securityBaselineCache: true });
+      const baselinePath = path.join(projectDir, 'baseline.json');
+
+      const saved = await baseline.save([finding('CVE-1', 'lib', '1.0')]);
+
+      expect(saved).toBe(true);
+      expect(JSON.parse(fs.readFileSync(baselinePath, 'utf8')).findings).toEqual([
+        {
+          ruleId: 'CVE-1',
+          groupId: 'org.example',
+          artifactId: 'lib',
+          version: '1.0',
+          severity: 'high'
+        }
+      ]);
+      expect(cache.saveCache).toHaveBeenCalledWith(
+        [baselinePath],
+        expect.stringMatching(/^maven-security-baseline-/)
+      );
+    });
+
+    it('should not use the cache for a committed baseline', async () => {
+      await createBaseline().save([]);
+
+      expect(cache.saveCache).not.toHaveBeenCalled();
+    });
+  });
+});
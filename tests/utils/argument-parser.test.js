@@ -0,0 +1,67 @@
+const { ArgumentParser } = require('../../src/utils/argument-parser');
+const fc = require('fast-check');
+
+describe('ArgumentParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ArgumentParser();
+  });
+
+  describe('parse', () => {
+    it('should split on whitespace without producing empty arguments', () => {
+      expect(parser.parse('  -DskipITs   -Pci\t-T 4  ')).toEqual(['-DskipITs', '-Pci', '-T', '4']);
+    });
+
+    it('should keep double-quoted values together and strip the quotes', () => {
+      expect(parser.parse('-Dtest.name="foo bar" -Dx=1')).toEqual(['-Dtest.name=foo bar', '-Dx=1']);
+    });
+
+    it('should keep single-quoted values literally', () => {
+      expect(parser.parse("-Dmsg='a \"quoted\" \\n value'")).toEqual(['-Dmsg=a "quoted" \\n value']);
+    });
+
+    it('should handle backslash escapes outside and inside double quotes', () => {
+      expect(parser.parse('-Dpath=C:\\\\tools -Da=b\\ c')).toEqual(['-Dpath=C:\\tools', '-Da=b c']);
+      expect(parser.parse('"-Dq=\\"x\\" \\d"')).toEqual(['-Dq="x" \\d']);
+    });
+
+    it('should keep empty quoted arguments', () => {
+      expect(parser.parse('-Dempty="" \'\'')).toEqual(['-Dempty=', '']);
+    });
+
+    it('should treat multi-line YAML input as separate arguments', () => {
+      const input = '-DskipITs\n# integration tests run nightly\n-Dgroups="fast, unit" \\\n  -Pci\n';
+
+      expect(parser.parse(input)).toEqual(['-DskipITs', '-Dgroups=fast, unit', '-Pci']);
+    });
+
+    it('should not treat # inside an argument as a comment', () => {
+      expect(parser.parse('-Dtest=Foo#bar')).toEqual(['-Dtest=Foo#bar']);
+    });
+
+    it('should reject unterminated quotes and trailing backslashes', () => {
+      expect(() => parser.parse('-Dx="open')).toThrow('Unterminated double quote');
+      expect(() => parser.parse("-Dx='open")).toThrow('Unterminated single quote');
+      expect(() => parser.parse('-Dx=\\')).toThrow('Trailing backslash');
+    });
+
+    it('should return no arguments for empty input', () => {
+      expect(parser.parse('')).toEqual([]);
+      expect(parser.parse(undefined)).toEqual([]);
+    });
+
+    it('should round-trip any arguments quoted with single quotes', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.string().filter((s) => !s.includes("'")), { maxLength: 5 }),
+          (args) => {
+            const input = args.map((arg) => `'${arg}'`).join(' ');
+            expect(parser.parse(input)).toEqual(args);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
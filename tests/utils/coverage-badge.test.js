@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CoverageBadge } = require('../../src/utils/coverage-badge');
+
+// Mock dependencies
+jest.mock('@actions/core');
+
+describe('CoverageBadge', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-badge-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('write', () => {
+    it('should write the SVG badge and a shields.io endpoint next to it', async () => {
+      const badge = new CoverageBadge({
+        workingDirectory: projectDir,
+        coverageBadgePath: '.github/badges/coverage.svg'
+      });
+
+      const result = await badge.write({ lineCoverage: '85.27' });
+
+      const svg = fs.readFileSync(path.join(projectDir, '.github/badges/coverage.svg'), 'utf8');
+      expect(svg).toContain('<title>coverage: 85.3%</title>');
+      expect(svg).toContain('fill="#4c1"');
+      expect(
+        JSON.parse(fs.readFileSync(path.join(projectDir, '.github/badges/coverage.json'), 'utf8'))
+      ).toEqual({ schemaVersion: 1, label: 'coverage', message: '85.3%', color: 'brightgreen' });
+      expect(result.endpointPath).toBe(path.join(projectDir, '.github/badges/coverage.json'));
+    });
+
+    it('should write a grey badge when coverage was not found', async () => {
+      const badge = new CoverageBadge({
+        workingDirectory: projectDir,
+        coverageBadgePath: 'coverage.svg'
+      });
+
+      const result = await badge.write(null);
+
+      expect(result).toMatchObject({ message: 'unknown', color: 'lightgrey' });
+    });
+
+    it('should not write a badge without a badge path', async () => {
+      expect(await new CoverageBadge({ workingDirectory: projectDir }).write({})).toBeNull();
+      expect(fs.readdirSync(projectDir)).toEqual([]);
+    });
+  });
+
+  describe('getColor', () => {
+    it('should use the configured color thresholds', () => {
+      const badge = new CoverageBadge({
+        coverageBadgeGreenThreshold: 90,
+        coverageBadgeYellowThreshold: 70
+      });
+
+      expect(badge.getColor(90)).toBe('brightgreen');
+      expect(badge.getColor(85)).toBe('yellow');
+      expect(badge.getColor(69.9)).toBe('red');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { MavenLifecycle } = require('../../src/utils/maven-lifecycle');
+
+describe('MavenLifecycle', () => {
+  let lifecycle;
+
+  beforeEach(() => {
+    lifecycle = new MavenLifecycle();
+  });
+
+  describe('parseOperation', () => {
+    it('should split steps on commas, whitespace and newlines', () => {
+      const steps = lifecycle.parseOperation('clean, verify\n  dependency:tree');
+
+      expect(steps).toEqual([
+        { name: 'clean', type: 'phase' },
+        { name: 'verify', type: 'phase' },
+        { name: 'dependency:tree', type: 'goal' }
+      ]);
+    });
+
+    it('should normalize phase case but keep plugin goals as written', () => {
+      const steps = lifecycle.parseOperation('INSTALL versions:display-dependency-updates');
+
+      expect(steps[0]).toEqual({ name: 'install', type: 'phase' });
+      expect(steps[1]).toEqual({ name: 'versions:display-dependency-updates', type: 'goal' });
+    });
+
+    it('should accept fully qualified plugin goals', () => {
+      const steps = lifecycle.parseOperation('org.jacoco:jacoco-maven-plugin:0.8.11:report');
+
+      expect(steps).toEqual([{ name: 'org.jacoco:jacoco-maven-plugin:0.8.11:report', type: 'goal' }]);
+    });
+
+    it('should mark unknown steps with a null type', () => {
+      const steps = lifecycle.parseOperation('clean build');
+
+      expect(steps[1]).toEqual({ name: 'build', type: null });
+    });
+
+    it('should return no steps for empty input', () => {
+      expect(lifecycle.parseOperation('')).toEqual([]);
+      expect(lifecycle.parseOperation(' , ')).toEqual([]);
+    });
+  });
+
+  describe('includesPhase', () => {
+    it('should detect phases implied by later phases of the same lifecycle', () => {
+      const steps = lifecycle.parseOperation('clean install');
+
+      expect(lifecycle.includesPhase(steps, 'test')).toBe(true);
+      expect(lifecycle.includesPhase(steps, 'deploy')).toBe(false);
+    });
+
+    it('should not treat plugin goals as phases', () => {
+      const steps = lifecycle.parseOperation('surefire:test');
+
+      expect(lifecycle.includesPhase(steps, 'test')).toBe(false);
+    });
+  });
+
+  describe('parseMojoExecution', () => {
+    it('should parse Maven 3.9 short plugin names', () => {
+      const execution = lifecycle.parseMojoExecution(
+        '[INFO] --- compiler:3.11.0:compile (default-compile) @ app ---'
+      );
+
+      expect(execution).toEqual({
+        prefix: 'compiler',
+        version: '3.11.0',
+        goal: 'compile',
+        executionId: 'default-compile',
+        module: 'app'
+      });
+    });
+
+    it('should derive prefixes from full plugin artifactIds', () => {
+      const official = lifecycle.parseMojoExecution(
+        '[INFO] --- maven-surefire-plugin:3.2.2:test (default-test) @ app ---'
+      );
+      const thirdParty = lifecycle.parseMojoExecution(
+        '[INFO] --- jacoco-maven-plugin:0.8.11:prepare-agent (default) @ app ---'
+      );
+
+      expect(official.prefix).toBe('surefire');
+      expect(thirdParty.prefix).toBe('jacoco');
+    });
+
+    it('should ignore other log lines', () => {
+      expect(lifecycle.parseMojoExecution('[INFO] BUILD SUCCESS')).toBeNull();
+    });
+  });
+
+  describe('resolveStepResults', () => {
+    const execution = (prefix, goal) => ({ prefix, goal });
+
+    it('should mark every step successful when the build succeeds', () => {
+      const steps = lifecycle.parseOperation('clean verify');
+
+      const results = lifecycle.resolveStepResults(steps, [], true);
+
+      expect(results.map((step) => step.status)).toEqual(['success', 'success']);
+    });
+
+    it('should attribute a failure to the step owning the last mojo execution', () => {
+      const steps = lifecycle.parseOperation('clean verify dependency:tree');
+      const executions = [
+        execution('clean', 'clean'),
+        execution('resources', 'resources'),
+        execution('compiler', 'compile'),
+        execution('surefire', 'test')
+      ];
+
+      const results = lifecycle.resolveStepResults(steps, executions, false);
+
+      expect(results.map((step) => step.status)).toEqual(['success', 'failure', 'skipped']);
+    });
+
+    it('should attribute a failure to a plugin goal step', () => {
+      const steps = lifecycle.parseOperation('clean compile dependency:tree');
+      const executions = [
+        execution('clean', 'clean'),
+        execution('compiler', 'compile'),
+        execution('dependency', 'tree')
+      ];
+
+      const results = lifecycle.resolveStepResults(steps, executions, false);
+
+      expect(results.map((step) => step.status)).toEqual(['success', 'success', 'failure']);
+    });
+
+    it('should not move back to earlier steps for later reactor modules', () => {
+      const steps = lifecycle.parseOperation('clean install');
+      const executions = [
+        execution('clean', 'clean'),
+        execution('install', 'install'),
+        execution('clean', 'clean'),
+        execution('compiler', 'compile')
+      ];
+
+      const results = lifecycle.resolveStepResults(steps, executions, false);
+
+      expect(results.map((step) => step.status)).toEqual(['success', 'failure']);
+    });
+
+    it('should fail the first step when nothing ran', () => {
+      const steps = lifecycle.parseOperation('clean verify');
+
+      const results = lifecycle.resolveStepResults(steps, [], false);
+
+      expect(results.map((step) => step.status)).toEqual(['failure', 'skipped']);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const { MavenVersion } = require('../../src/utils/maven-version');
+
+describe('MavenVersion', () => {
+  let mavenVersion;
+
+  beforeEach(() => {
+    mavenVersion = new MavenVersion();
+  });
+
+  describe('compare', () => {
+    it('should compare numeric items as numbers', () => {
+      expect(mavenVersion.compare('1.10', '1.9')).toBeGreaterThan(0);
+      expect(mavenVersion.compare('2.9.10.1', '2.9.10')).toBeGreaterThan(0);
+    });
+
+    it('should treat missing items as zero or release', () => {
+      expect(mavenVersion.compare('1.0', '1.0.0')).toBe(0);
+      expect(mavenVersion.compare('5.3.0.RELEASE', '5.3.0')).toBe(0);
+      expect(mavenVersion.compare('1.0.Final', '1')).toBe(0);
+    });
+
+    it('should order qualifiers before the release', () => {
+      const versions = ['1.0', '1.0-sp1', '1.0-alpha1', '1.0-SNAPSHOT', '1.0-rc1', '1.0-beta2'];
+
+      expect([...versions].sort((a, b) => mavenVersion.compare(a, b))).toEqual([
+        '1.0-alpha1',
+        '1.0-beta2',
+        '1.0-rc1',
+        '1.0-SNAPSHOT',
+        '1.0',
+        '1.0-sp1'
+      ]);
+    });
+
+    it('should order unknown qualifiers after known ones', () => {
+      expect(mavenVersion.compare('1.0-jre', '1.0-sp')).toBeGreaterThan(0);
+      expect(mavenVersion.compare('31.1-android', '31.1-jre')).toBeLessThan(0);
+    });
+  });
+});
@@ -277,6 +277,139 @@ describe('OutputManager', () => {
       expect(core.summary.addCodeBlock).toHaveBeenCalledWith('Maven compilation failed', 'text');
     });
 
+    it('should include the security scan summary', async () => {
+      // Act
+      await outputManager.createJobSummary({
+        status: 'failure',
+        buildTime: 30,
+        securitySummary: '## Security Scan Results\n\n**Total Issues Found: 2**\n'
+      });
+
+      // Assert
+      expect(core.summary.addRaw).toHaveBeenCalledWith(
+        '\n## Security Scan Results\n\n**Total Issues Found: 2**\n\n'
+      );
+    });
+
+    it('should list dependencies violating the license policy', async () => {
+      // Act
+      await outputManager.createJobSummary({
+        status: 'failure',
+        buildTime: 30,
+        licenseResults: {
+          dependencies: 12,
+          unknown: 1,
+          violations: [
+            {
+              groupId: 'org.example',
+              artifactId: 'gpl-lib',
+              version: '1.0',
+              licenses: [{ name: 'GNU General Public License, version 3', id: 'GPL-3.0' }],
+              reason: 'Denied'
+            }
+          ],
+          passed: false
+        }
+      });
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('License Violations', 3);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Dependency', 'Version', 'Licenses', 'Reason'],
+        ['org.example:gpl-lib', '1.0', 'GNU General Public License, version 3', 'Denied']
+      ]);
+    });
+
+    it('should list the dependency changes of a pull request', async () => {
+      // Act
+      await outputManager.createJobSummary({
+        status: 'success',
+        buildTime: 30,
+        dependencyDiff: {
+          added: [
+            {
+              name: 'com.fasterxml.jackson.core:jackson-databind',
+              version: '2.9.10',
+              previousVersion: null,
+              scope: 'compile',
+              direct: false,
+              vulnerabilities: ['CVE-2020-36518']
+            }
+          ],
+          removed: [],
+          changed: [
+            {
+              name: 'org.slf4j:slf4j-api',
+              version: '2.0.9',
+              previousVersion: '1.7.36',
+              scope: 'compile',
+              direct: true,
+              vulnerabilities: []
+            }
+          ]
+        }
+      });
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Dependency Changes', 2);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Change', 'Dependency', 'Version', 'Type', 'Vulnerabilities'],
+        [
+          'Added',
+          'com.fasterxml.jackson.core:jackson-databind',
+          '2.9.10',
+          'transitive',
+          '⚠️ CVE-2020-36518'
+        ],
+        ['Changed', 'org.slf4j:slf4j-api', '1.7.36 → 2.0.9', 'direct', '-']
+      ]);
+    });
+
+    it('should list the deployed files', async () => {
+      // Act
+      await outputManager.createJobSummary({
+        status: 'success',
+        buildTime: 30,
+        deployment: {
+          target: 'nexus',
+          repositoryUrl: 'https://nexus.example.com',
+          files: [
+            {
+              path: '/repo/target/core-2.0.jar',
+              url: 'https://nexus.example.com/repository/maven-releases/org/example/core/2.0/core-2.0.jar'
+            }
+          ]
+        }
+      });
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Deployment', 2);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['File', 'URL'],
+        [
+          'core-2.0.jar',
+          'https://nexus.example.com/repository/maven-releases/org/example/core/2.0/core-2.0.jar'
+        ]
+      ]);
+    });
+
+    it('should show the build-info of an Artifactory deployment', async () => {
+      // Act
+      await outputManager.createJobSummary({
+        status: 'success',
+        buildTime: 30,
+        deployment: {
+          target: 'artifactory',
+          repositoryUrl: 'https://example.jfrog.io/artifactory',
+          files: [],
+          buildInfo: { name: 'CI', number: '42' }
+        }
+      });
+
+      // Assert
+      expect(core.summary.addRaw).toHaveBeenCalledWith('📋 **Build-info:** CI #42\n\n');
+    });
+
     it('should handle job summary creation failure', async () => {
       // Arrange
       const result = {
@@ -342,6 +475,387 @@ describe('OutputManager', () => {
     });
   });
 
+  describe('addTestsSection', () => {
+    it('should add totals and a row per test suite', async () => {
+      // Arrange
+      const testResults = {
+        totalTests: 10,
+        totalFailures: 1,
+        totalErrors: 1,
+        totalSkipped: 2,
+        totalTime: '3.50',
+        successRate: '80.00',
+        testSuites: [
+          { name: 'com.example.FooTest', tests: 10, failures: 1, errors: 1, skipped: 2, time: 3.5 }
+        ]
+      };
+
+      // Act
+      await outputManager.addTestsSection(testResults);
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Test Results', 2);
+      expect(core.summary.addTable).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          ['Passed', '6'],
+          ['Success Rate', '80.00%']
+        ])
+      );
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Suite', 'Tests', 'Failures', 'Errors', 'Skipped', 'Time'],
+        ['com.example.FooTest', '10', '1', '1', '2', '3.5s']
+      ]);
+    });
+  });
+
+  describe('addFlakyTestsTable', () => {
+    it('should list flaky tests with their failed runs', async () => {
+      // Act
+      await outputManager.addFlakyTestsTable([
+        {
+          className: 'com.example.FooTest',
+          name: 'retries',
+          flakyRuns: 2,
+          message: 'timed out\nafter 5s',
+          file: 'src/test/java/com/example/FooTest.java',
+          line: 7
+        }
+      ]);
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Flaky Tests', 3);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Test', 'Failed Runs', 'First Failure', 'Location'],
+        ['com.example.FooTest.retries', '2', 'timed out', 'src/test/java/com/example/FooTest.java:7']
+      ]);
+      expect(core.summary.addRaw).not.toHaveBeenCalled();
+    });
+
+    it('should limit the flaky tests listed', async () => {
+      // Arrange
+      const flakyTests = [];
+      for (let i = 0; i < 52; i++) {
+        flakyTests.push({ className: 'com.example.FooTest', name: `test${i}`, flakyRuns: 1, message: 'failed' });
+      }
+
+      // Act
+      await outputManager.addFlakyTestsTable(flakyTests);
+
+      // Assert
+      expect(core.summary.addTable.mock.calls[0][0]).toHaveLength(51);
+      expect(core.summary.addRaw).toHaveBeenCalledWith('\n…and 2 more flaky test(s)\n');
+    });
+  });
+
+  describe('addModulesTable', () => {
+    it('should add a row per module with its line coverage', async () => {
+      // Arrange
+      const modules = [
+        { name: 'core', totalTests: 5, totalFailures: 1, totalErrors: 0, totalSkipped: 1, totalTime: '2.00' },
+        { name: 'api', totalTests: 3, totalFailures: 0, totalErrors: 0, totalSkipped: 0, totalTime: '1.00' }
+      ];
+      const coverage = { modules: [{ name: 'core', lineCoverage: '75.00' }] };
+
+      // Act
+      await outputManager.addModulesTable(modules, coverage);
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Modules', 3);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Module', 'Tests', 'Passed', 'Failed', 'Skipped', 'Time', 'Line Coverage'],
+        ['core', '5', '3', '1', '1', '2.00s', '75.00%'],
+        ['api', '3', '3', '0', '0', '1.00s', '-']
+      ]);
+    });
+  });
+
+  describe('addCoverageSection', () => {
+    it('should list each coverage minimum with its shortfall', async () => {
+      // Arrange
+      const coverage = { lineCoverage: '72.50', branchCoverage: '60.00', instructionCoverage: '80.00' };
+      const coverageCheck = {
+        passed: false,
+        results: [
+          { scope: 'total', metric: 'line', minimum: 80, measured: 72.5, passed: false },
+          { scope: 'core', metric: 'branch', minimum: 50, measured: 60, passed: true },
+          { scope: 'api', metric: 'line', minimum: 50, measured: null, passed: false }
+        ]
+      };
+
+      // Act
+      await outputManager.addCoverageSection(coverage, coverageCheck);
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Coverage', 2);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Scope', 'Metric', 'Measured', 'Minimum', 'Status'],
+        ['total', 'line', '72.50%', '80%', '❌ Missed by 7.50 points'],
+        ['core', 'branch', '60.00%', '50%', '✅ Met'],
+        ['api', 'line', '-', '50%', '❌ No coverage data']
+      ]);
+    });
+  });
+
+  describe('addCoverageItemsTable', () => {
+    it('should list the least covered items up to the row limit', async () => {
+      // Arrange
+      outputManager.maxCoverageItemRows = 1;
+      const classes = [
+        { name: 'com.example.Web', lineCoverage: '20.00', branchCoverage: null, instructionCoverage: '25.00', missedLines: 8 },
+        { name: 'com.example.Core', lineCoverage: '60.00', branchCoverage: '50.00', instructionCoverage: '55.00', missedLines: 4 }
+      ];
+
+      // Act
+      await outputManager.addCoverageItemsTable('Least Covered Classes', 'Class', classes);
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Least Covered Classes', 3);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Class', 'Line', 'Branch', 'Instruction', 'Missed Lines'],
+        ['com.example.Web', '20.00%', '-', '25.00%', '8']
+      ]);
+    });
+  });
+
+  describe('addDiffCoverageSection', () => {
+    it('should list uncovered changed lines as ranges', async () => {
+      // Act
+      await outputManager.addDiffCoverageSection({
+        coverage: '60.00',
+        coveredLines: 3,
+        totalLines: 5,
+        minimum: 80,
+        passed: false,
+        uncoveredFiles: [{ file: 'core/Core.java', lines: [4, 7, 8], ranges: [[4, 4], [7, 8]] }]
+      });
+
+      // Assert
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Metric', 'Value'],
+        ['Changed Lines With Code', '5'],
+        ['Covered', '3'],
+        ['Diff Coverage', '60.00%'],
+        ['Minimum', '80%'],
+        ['Status', '❌ Below minimum']
+      ]);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['File', 'Lines'],
+        ['core/Core.java', '4, 7-8']
+      ]);
+    });
+  });
+
+  describe('addTestsSection failed tests', () => {
+    it('should list failed tests with their location', async () => {
+      // Arrange
+      const testResults = {
+        totalTests: 2,
+        totalFailures: 1,
+        totalErrors: 1,
+        totalSkipped: 0,
+        totalTime: '1.00',
+        successRate: '0.00',
+        testSuites: [],
+        failedTests: [
+          {
+            className: 'com.example.FooTest',
+            name: 'works',
+            message: 'expected true\nbut was false',
+            file: 'src/test/java/com/example/FooTest.java',
+            line: 12
+          },
+          { className: 'com.example.BarTest', name: 'runs', message: 'boom', file: null, line: null }
+        ]
+      };
+
+      // Act
+      await outputManager.addTestsSection(testResults);
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Failed Tests', 3);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Test', 'Message', 'Location'],
+        ['com.example.FooTest.works', 'expected true', 'src/test/java/com/example/FooTest.java:12'],
+        ['com.example.BarTest.runs', 'boom', '-']
+      ]);
+    });
+  });
+
+  describe('addPhasesSection', () => {
+    it('should add a row per pipeline step', async () => {
+      // Arrange
+      const phases = [
+        { name: 'clean', type: 'phase', status: 'success' },
+        { name: 'verify', type: 'phase', status: 'failure' },
+        { name: 'dependency:tree', type: 'goal', status: 'skipped' }
+      ];
+
+      // Act
+      await outputManager.addPhasesSection(phases);
+
+      // Assert
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Build Phases', 2);
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        ['Step', 'Type', 'Status'],
+        ['clean', 'Phase', '✅ Success'],
+        ['verify', 'Phase', '❌ Failure'],
+        ['dependency:tree', 'Plugin goal', '⏭️ Skipped']
+      ]);
+    });
+
+    it('should set phase-results output as JSON', () => {
+      // Arrange
+      const result = {
+        status: 'failure',
+        buildTime: 10,
+        phases: [
+          { name: 'clean', type: 'phase', status: 'success' },
+          { name: 'verify', type: 'phase', status: 'failure' }
+        ]
+      };
+
+      // Act
+      outputManager.setOutputs(result);
+
+      // Assert
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'phase-results',
+        JSON.stringify(result.phases)
+      );
+    });
+
+    it('should set test result outputs', () => {
+      // Act
+      outputManager.setOutputs({
+        status: 'failure',
+        buildTime: 10,
+        testResults: { totalTests: 12, totalFailures: 2, totalErrors: 1, totalSkipped: 3 }
+      });
+
+      // Assert
+      expect(core.setOutput).toHaveBeenCalledWith('tests-total', '12');
+      expect(core.setOutput).toHaveBeenCalledWith('tests-failed', '3');
+      expect(core.setOutput).toHaveBeenCalledWith('tests-skipped', '3');
+    });
+
+    it('should set integration test outputs when Failsafe reports were found', () => {
+      // Act
+      outputManager.setOutputs({
+        status: 'success',
+        buildTime: 10,
+        testResults: {
+          totalTests: 5,
+          totalFailures: 0,
+          totalErrors: 0,
+          totalSkipped: 0,
+          integrationTests: { totalTests: 4, totalFailures: 1, totalErrors: 0, totalSkipped: 2 }
+        }
+      });
+
+      // Assert
+      expect(core.setOutput).toHaveBeenCalledWith('tests-total', '5');
+      expect(core.setOutput).toHaveBeenCalledWith('integration-tests-total', '4');
+      expect(core.setOutput).toHaveBeenCalledWith('integration-tests-failed', '1');
+      expect(core.setOutput).toHaveBeenCalledWith('integration-tests-skipped', '2');
+    });
+
+    it('should set flaky-tests output from unit and integration tests', () => {
+      // Act
+      outputManager.setOutputs({
+        status: 'success',
+        buildTime: 10,
+        testResults: {
+          totalTests: 5,
+          totalFailures: 0,
+          totalErrors: 0,
+          totalSkipped: 0,
+          flakyTests: [{ className: 'com.example.FooTest', name: 'retries', module: 'core', flakyRuns: 1 }],
+          integrationTests: {
+            totalTests: 1,
+            totalFailures: 0,
+            totalErrors: 0,
+            totalSkipped: 0,
+            flakyTests: [{ className: 'com.example.FooIT', name: 'connects', module: 'api', flakyRuns: 2 }]
+          }
+        }
+      });
+
+      // Assert
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'flaky-tests',
+        JSON.stringify([
+          { name: 'com.example.FooTest.retries', module: 'core', flakyRuns: 1 },
+          { name: 'com.example.FooIT.connects', module: 'api', flakyRuns: 2 }
+        ])
+      );
+    });
+
+    it('should set coverage outputs from the measured coverage', () => {
+      // Act
+      outputManager.setOutputs({
+        status: 'success',
+        buildTime: 10,
+        testResults: {
+          totalTests: 5,
+          totalFailures: 0,
+          totalErrors: 0,
+          totalSkipped: 0,
+          coverage: { lineCoverage: '72.50', branchCoverage: '60.00', instructionCoverage: '80.00' }
+        }
+      });
+
+      // Assert
+      expect(core.setOutput).toHaveBeenCalledWith('coverage-line', '72.50');
+      expect(core.setOutput).toHaveBeenCalledWith('coverage-branch', '60.00');
+      expect(core.setOutput).toHaveBeenCalledWith('coverage-instruction', '80.00');
+    });
+
+    it('should set diff-coverage output for pull requests', () => {
+      // Act
+      outputManager.setOutputs({ status: 'success', buildTime: 10, diffCoverage: { coverage: '60.00' } });
+
+      // Assert
+      expect(core.setOutput).toHaveBeenCalledWith('diff-coverage', '60.00');
+    });
+
+    it('should set sarif-file output when the security scan wrote a SARIF report', () => {
+      // Act
+      outputManager.setOutputs({
+        status: 'success',
+        buildTime: 10,
+        securityResults: { sarifFile: 'target/dependency-vulnerabilities.sarif' }
+      });
+
+      // Assert
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'sarif-file',
+        'target/dependency-vulnerabilities.sarif'
+      );
+    });
+
+    it('should set sbom-path output when the SBOM was generated', () => {
+      // Act
+      outputManager.setOutputs({
+        status: 'success',
+        buildTime: 10,
+        sbom: { path: 'target/bom.json', specVersion: '1.5', components: 12 }
+      });
+
+      // Assert
+      expect(core.setOutput).toHaveBeenCalledWith('sbom-path', 'target/bom.json');
+    });
+
+    it('should set affected-modules output only when modules were selected', () => {
+      // Act
+      outputManager.setOutputs({ status: 'success', buildTime: 10, affectedModules: ['core', 'api'] });
+      outputManager.setOutputs({ status: 'success', buildTime: 10, affectedModules: null });
+
+      // Assert
+      expect(core.setOutput).toHaveBeenCalledWith('affected-modules', 'core,api');
+      expect(core.setOutput.mock.calls.filter(([name]) => name === 'affected-modules')).toHaveLength(1);
+    });
+  });
+
   describe('getActionStatusEmoji', () => {
     it('should return correct emoji for existing action', () => {
       expect(outputManager.getActionStatusEmoji('existing')).toBe('✅ Existing');
@@ -94,14 +94,52 @@ describe('InputValidator', () => {
       expect(errors[0]).toContain('Required input is missing');
     });
 
-    it('should reject comma-separated operations', () => {
+    it('should accept comma-separated operations', () => {
       const errors = [];
       core.getInput.mockReturnValue('clean,compile,test');
       
       validator.validateOperation(errors);
       
+      expect(errors).toHaveLength(0);
+    });
+
+    it('should accept whitespace and newline separated phases and plugin goals', () => {
+      const errors = [];
+      core.getInput.mockReturnValue('clean verify\ndependency:tree org.jacoco:jacoco-maven-plugin:report');
+      
+      validator.validateOperation(errors);
+      
+      expect(errors).toHaveLength(0);
+    });
+
+    it('should accept lifecycle phases outside the common operations', () => {
+      const errors = [];
+      core.getInput.mockReturnValue('integration-test');
+      
+      validator.validateOperation(errors);
+      
+      expect(errors).toHaveLength(0);
+    });
+
+    it('should name the unknown steps of a pipeline', () => {
+      const errors = [];
+      core.getInput.mockReturnValue('clean build verify');
+      
+      validator.validateOperation(errors);
+      
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toContain('Unknown step(s): build');
+      expect(errors[0]).toContain('Did you mean "compile" or "package"?');
+    });
+
+    it('should reject plugin goals with unsafe characters', () => {
+      const errors = [];
+      core.getInput.mockReturnValue('exec:exec;rm');
+      
+      validator.validateOperation(errors);
+      
       expect(errors).toHaveLength(1);
-      expect(errors[0]).toContain('Multiple operations not supported');
+      expect(errors[0]).toContain('Invalid value');
     });
 
     it('should provide helpful suggestions for common typos', () => {
@@ -275,6 +313,44 @@ describe('InputValidator', () => {
       });
     });
 
+    it('should validate quoted and multi-line arguments as Maven receives them', () => {
+      const errors = [];
+      core.getInput.mockReturnValue('-Dtest.name="foo bar"\n-Dgroups=\'fast\'\n  -Pci');
+      
+      validator.validateMavenArgs(errors);
+      
+      expect(errors).toHaveLength(0);
+    });
+
+    it('should reject dangerous arguments hidden in quotes or long-option form', () => {
+      ['"-f" other.xml', '--settings=custom.xml', '\'--quiet\''].forEach(args => {
+        const errors = [];
+        core.getInput.mockReturnValue(args);
+        validator.validateMavenArgs(errors);
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toContain('not allowed');
+      });
+    });
+
+    it('should reject unterminated quotes', () => {
+      const errors = [];
+      core.getInput.mockReturnValue('-Dtest.name="foo bar');
+      
+      validator.validateMavenArgs(errors);
+      
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toContain('Unterminated double quote');
+    });
+
+    it('should reject line breaks inside a quoted argument', () => {
+      const errors = [];
+      core.getInput.mockReturnValue('"-Dx=a\nrm -rf /"');
+      
+      validator.validateMavenArgs(errors);
+      
+      expect(errors[0]).toContain('command injection');
+    });
+
     it('should reject arguments that are too long', () => {
       const errors = [];
       const longArgs = 'a'.repeat(1001); // Exceeds maxStringLength
@@ -310,6 +386,270 @@ describe('InputValidator', () => {
     });
   });
 
+  describe('validateCoverageThresholds', () => {
+    it('should accept global and per-module coverage minimums', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'min-line-coverage': '80',
+          'min-branch-coverage': '62.5',
+          'module-coverage-thresholds': 'core:line=90\n*:branch=50'
+        };
+        return inputs[name] || '';
+      });
+
+      validator.validateCoverageThresholds(errors);
+
+      expect(errors).toHaveLength(0);
+      expect(validator.getCoverageThresholds()).toEqual([
+        { module: null, metric: 'line', minimum: 80 },
+        { module: null, metric: 'branch', minimum: 62.5 },
+        { module: 'core', metric: 'line', minimum: 90 },
+        { module: '*', metric: 'branch', minimum: 50 }
+      ]);
+    });
+
+    it('should reject an invalid diff coverage minimum', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => (name === 'min-diff-coverage' ? '-5' : ''));
+
+      validator.validateCoverageThresholds(errors);
+
+      expect(errors).toEqual([expect.stringContaining('min-diff-coverage')]);
+    });
+
+    it('should reject minimums outside 0 to 100 and unknown metrics', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'min-instruction-coverage': '101',
+          'module-coverage-thresholds': 'core:method=50\napi:line=high'
+        };
+        return inputs[name] || '';
+      });
+
+      validator.validateCoverageThresholds(errors);
+
+      expect(errors).toHaveLength(3);
+      expect(errors[0]).toContain('min-instruction-coverage');
+      expect(errors[1]).toContain('Invalid key \'core:method\'');
+      expect(errors[2]).toContain('Invalid value \'high\'');
+    });
+  });
+
+  describe('validateCoverageBadge', () => {
+    it('should accept an SVG path with ordered color thresholds', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'coverage-badge-path': '.github/badges/coverage.svg',
+          'coverage-badge-green-threshold': '90',
+          'coverage-badge-yellow-threshold': '70'
+        };
+        return inputs[name] || '';
+      });
+
+      validator.validateCoverageBadge(errors);
+
+      expect(errors).toHaveLength(0);
+    });
+
+    it('should reject non-SVG paths and a yellow threshold above green', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'coverage-badge-path': 'badges/coverage.png',
+          'coverage-badge-green-threshold': '50',
+          'coverage-badge-yellow-threshold': '70'
+        };
+        return inputs[name] || '';
+      });
+
+      validator.validateCoverageBadge(errors);
+
+      expect(errors).toEqual([
+        '- coverage-badge-path: Must be an SVG file (*.svg)',
+        '- coverage-badge-yellow-threshold: Must not be greater than coverage-badge-green-threshold'
+      ]);
+    });
+  });
+
+  describe('validateSecurityInputs', () => {
+    it('should accept known scanners and a severity threshold', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'security-scanners': 'OWASP, snyk',
+          'security-threshold': 'High',
+          'security-suppression-file': 'owasp-suppressions.xml'
+        };
+        return inputs[name] || '';
+      });
+
+      validator.validateSecurityInputs(errors);
+
+      expect(errors).toHaveLength(0);
+      expect(validator.getSecurityScanners()).toEqual(['owasp', 'snyk']);
+    });
+
+    it('should reject unknown scanners and thresholds outside the CVSS range', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'security-scanners': 'owasp,trivy',
+          'security-threshold': '11'
+        };
+        return inputs[name] || '';
+      });
+
+      validator.validateSecurityInputs(errors);
+
+      expect(errors).toEqual([
+        "- security-scanners: Invalid scanner(s) 'trivy'. Must be one or more of: owasp, snyk, osv",
+        "- security-threshold: Invalid value '11'. Must be a CVSS score from 0 to 10 or one of: low, medium, high, critical"
+      ]);
+    });
+
+    it('should require a baseline file when the baseline is cached', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) =>
+        name === 'security-baseline-cache' ? 'true' : ''
+      );
+
+      validator.validateSecurityInputs(errors);
+
+      expect(errors).toEqual([
+        '- security-baseline: Required when security-baseline-cache is true'
+      ]);
+    });
+  });
+
+  describe('validateDeployInputs', () => {
+    it('should require a valid target and an HTTPS or HTTP deploy URL', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'deploy-target': 'maven-central',
+          'deploy-url': 'ftp://nexus.example.com',
+          'nexus-snapshot-repository': 'maven/snapshots'
+        };
+        return inputs[name] || '';
+      });
+
+      validator.validateDeployInputs(errors);
+
+      expect(errors).toEqual([
+        "- deploy-target: Invalid target 'maven-central'. Must be one of: nexus, artifactory, github-packages",
+        '- deploy-url: Must use HTTPS or HTTP',
+        "- nexus-snapshot-repository: Invalid repository name 'maven/snapshots'"
+      ]);
+    });
+
+    it('should warn about an HTTP deploy URL', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = { 'deploy-target': 'nexus', 'deploy-url': 'http://nexus.internal:8081' };
+        return inputs[name] || '';
+      });
+
+      validator.validateDeployInputs(errors);
+
+      expect(errors).toEqual([]);
+      expect(core.warning).toHaveBeenCalledWith(
+        'deploy-url http://nexus.internal:8081 uses HTTP, credentials are sent unencrypted'
+      );
+    });
+
+    it('should accept a deploy target with an operation including deploy', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = { operation: 'clean deploy', 'deploy-target': 'github-packages' };
+        return inputs[name] || '';
+      });
+
+      validator.validateDeployInputs(errors);
+
+      expect(errors).toEqual([]);
+    });
+
+    it('should check the Artifactory repository names', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'deploy-target': 'artifactory',
+          'deploy-url': 'https://example.jfrog.io/artifactory',
+          'artifactory-release-repository': 'libs release'
+        };
+        return inputs[name] || '';
+      });
+
+      validator.validateDeployInputs(errors);
+
+      expect(errors).toEqual([
+        "- artifactory-release-repository: Invalid repository name 'libs release'"
+      ]);
+    });
+
+    it('should require a deploy URL with a deploy target', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => (name === 'deploy-target' ? 'nexus' : ''));
+
+      validator.validateDeployInputs(errors);
+
+      expect(errors).toEqual(['- deploy-url: Required when deploy-target is set']);
+    });
+
+    it('should not require a deploy URL for GitHub Packages', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) =>
+        name === 'deploy-target' ? 'github-packages' : ''
+      );
+
+      validator.validateDeployInputs(errors);
+
+      expect(errors).toEqual([]);
+    });
+
+    it('should mask the deploy password for logging', () => {
+      expect(validator.sanitizeForLogging({ deployPassword: 's3cret' })).toEqual({
+        deployPassword: '***'
+      });
+    });
+  });
+
+  describe('validateLicenseInputs', () => {
+    it('should require a policy when the license check is enabled', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => (name === 'license-check' ? 'true' : ''));
+
+      validator.validateLicenseInputs(errors);
+
+      expect(errors).toEqual([
+        '- license-check: Requires allowed-licenses, denied-licenses or license-policy-file'
+      ]);
+    });
+
+    it('should accept license lists separated by commas or newlines', () => {
+      const errors = [];
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'license-check': 'true',
+          'allowed-licenses': 'Apache-2.0, MIT\nBSD-3-Clause'
+        };
+        return inputs[name] || '';
+      });
+
+      validator.validateLicenseInputs(errors);
+
+      expect(errors).toHaveLength(0);
+      expect(validator.parseList(core.getInput('allowed-licenses'))).toEqual([
+        'Apache-2.0',
+        'MIT',
+        'BSD-3-Clause'
+      ]);
+    });
+  });
+
   describe('parseKeyValuePairs', () => {
     it('should parse valid key=value pairs', () => {
       const input = 'KEY1=value1\nKEY2=value2';
@@ -511,15 +851,14 @@ describe('InputValidator', () => {
       });
     });
 
-    describe('Property 2: Multiple Operation Rejection', () => {
+    describe('Property 2: Multiple Operation Pipelines', () => {
       /**
-       * Feature: single-operation-support, Property 2: Multiple Operation Rejection
-       * Validates: Requirements 1.5, 4.2
+       * Feature: multi-phase-pipelines, Property 2: Multiple Operation Pipelines
        * 
-       * For any input containing multiple operations or comma-separated values, 
-       * the validator should reject the input with a clear error message.
+       * For any ordered list of valid operations, separated by commas, whitespace
+       * or newlines, the validator should accept the input as one pipeline.
        */
-      it('should reject any input containing multiple comma-separated operations', () => {
+      it('should accept any input containing multiple comma-separated operations', () => {
         fc.assert(fc.property(
           fc.array(fc.constantFrom(...validator.validOperations), { minLength: 2, maxLength: 5 }),
           (operations) => {
@@ -531,18 +870,16 @@ describe('InputValidator', () => {
             // Act
             validator.validateOperation(errors);
             
-            // Assert - should reject multiple operations with clear error message
-            expect(errors).toHaveLength(1);
-            expect(errors[0]).toContain('Multiple operations not supported');
-            expect(errors[0]).toContain('Please specify only one operation');
+            // Assert - should accept the pipeline
+            expect(errors).toHaveLength(0);
           }
         ), { numRuns: 100 });
       });
 
-      it('should reject multiple operations with various separators and whitespace', () => {
+      it('should accept multiple operations with various separators and whitespace', () => {
         fc.assert(fc.property(
           fc.array(fc.constantFrom(...validator.validOperations), { minLength: 2, maxLength: 4 }),
-          fc.constantFrom(',', ', ', ' , ', '  ,  '), // various comma formats with whitespace
+          fc.constantFrom(',', ', ', ' , ', '  ,  ', ' ', '\n', '\n  '),
           (operations, separator) => {
             // Arrange
             const errors = [];
@@ -552,9 +889,8 @@ describe('InputValidator', () => {
             // Act
             validator.validateOperation(errors);
             
-            // Assert - should reject regardless of whitespace around commas
-            expect(errors).toHaveLength(1);
-            expect(errors[0]).toContain('Multiple operations not supported');
+            // Assert - should accept regardless of separator
+            expect(errors).toHaveLength(0);
           }
         ), { numRuns: 100 });
       });
@@ -562,7 +898,7 @@ describe('InputValidator', () => {
       it('should reject mixed valid and invalid operations when comma-separated', () => {
         fc.assert(fc.property(
           fc.constantFrom(...validator.validOperations),
-          fc.string().filter(s => !validator.validOperations.includes(s.toLowerCase().trim()) && s.length > 0 && s.length < 20),
+          fc.stringMatching(/^[a-z]{1,19}$/).filter(s => !validator.mavenLifecycle.isPhase(s)),
           (validOperation, invalidOperation) => {
             // Arrange
             const errors = [];
@@ -572,31 +908,23 @@ describe('InputValidator', () => {
             // Act
             validator.validateOperation(errors);
             
-            // Assert - should reject due to multiple operations, not invalid operation
+            // Assert - should reject and name the invalid step
             expect(errors).toHaveLength(1);
-            expect(errors[0]).toContain('Multiple operations not supported');
+            expect(errors[0]).toContain('Invalid value');
+            expect(errors[0]).toContain(`Unknown step(s): ${invalidOperation}`);
           }
         ), { numRuns: 100 });
       });
 
-      it('should provide descriptive error message for multiple operation rejection', () => {
+      it('should parse the pipeline steps in order', () => {
         fc.assert(fc.property(
-          fc.array(fc.constantFrom(...validator.validOperations), { minLength: 2, maxLength: 3 }),
+          fc.array(fc.constantFrom(...validator.validOperations), { minLength: 1, maxLength: 5 }),
           (operations) => {
-            // Arrange
-            const errors = [];
-            const multipleOperationsInput = operations.join(',');
-            core.getInput.mockReturnValue(multipleOperationsInput);
-            
             // Act
-            validator.validateOperation(errors);
+            const steps = validator.mavenLifecycle.parseOperation(operations.join(' '));
             
-            // Assert - error message should be descriptive and actionable
-            expect(errors).toHaveLength(1);
-            const errorMessage = errors[0];
-            expect(errorMessage).toContain('operation:');
-            expect(errorMessage).toContain('Multiple operations not supported');
-            expect(errorMessage).toContain('Please specify only one operation');
+            // Assert - steps keep the input order
+            expect(steps.map(step => step.name)).toEqual(operations);
           }
         ), { numRuns: 100 });
       });
@@ -711,7 +1039,8 @@ describe('InputValidator', () => {
                    s.length < 30 &&
                    !validator.validOperations.includes(s.trim().toLowerCase()) &&
                    /[^a-zA-Z0-9_-]/.test(s) && // Contains special characters
-                   !s.includes(','); // Exclude comma-separated to focus on invalid chars
+                   !s.includes(',') && // Exclude comma-separated to focus on invalid chars
+                   !s.includes(':'); // Exclude plugin goal syntax (prefix:goal)
           }),
           (operationWithSpecialChars) => {
             // Arrange